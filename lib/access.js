@@ -0,0 +1,260 @@
+const { allowsProject } = require('./tokens');
+const { roleAtLeast } = require('./workspaces');
+
+/**
+ * Authorization of the workspace, project and documentation routes.
+ * The acting user is always the subject of the verified credential (`req.user.sub`, set by the auth
+ * middleware): a `userId` / `user_id` in the request body is never trusted, one naming another user
+ * is refused. The user's role on a project is their role in the project's workspace; a project
+ * created before workspaces existed (no `workspace_id`) is owned by its creator alone.
+ * Every route answers the same way:
+ *   401 without a credential,
+ *   403 when the user has no role, or too low a role, on the resource (or it lies outside the
+ *       projects of an access token),
+ *   404 when the workspace, project or documentation doesn't exist.
+ */
+
+const UNAUTHENTICATED = { status: 401, error: 'Authentication required' };
+const FORBIDDEN = { status: 403, error: 'You are not authorized to access these projects' };
+
+/**
+ * Creates the authorization middleware.
+ * @param {Object} storage - The storage backend.
+ * @returns {Object} - `{ requireUser, loadWorkspace, loadProject, loadDocumentation, authorizeWorkspace,
+ * authorizeProject, authorizeDocumentation, projectRole }`.
+ */
+function createAccess(storage) {
+  /**
+   * @param {Object} projectData - A project.
+   * @param {string} userId - A user ID.
+   * @returns {Promise<string|null>} - The role of the user on the project, null when they have none.
+   */
+  async function projectRole(projectData, userId) {
+    if (!userId) {
+      return null;
+    }
+    if (!projectData.workspace_id) {
+      return projectData.user_id === userId ? 'owner' : null;
+    }
+    const { data: member, error } = await storage.getMember(projectData.workspace_id, userId);
+    if (error) {
+      throw new Error(error.message);
+    }
+    return member ? member.role : null;
+  }
+
+  /**
+   * Loads a project on which the acting user has at least the given role.
+   * @param {Object} req - Express request, authenticated.
+   * @param {string} projectId - The project ID.
+   * @param {string} [role] - The role the action needs: `viewer`, `editor` or `owner`.
+   * @returns {Promise<Object>} - `{ data, role }` with the project and the user's role, or `{ status, error }`.
+   */
+  async function authorizeProject(req, projectId, role = 'viewer') {
+    const actor = actingUser(req);
+    if (actor.error) {
+      return actor;
+    }
+    if (!projectId) {
+      return { status: 400, error: 'project_id is required' };
+    }
+
+    const { data: projectData, error } = await storage.getProject(projectId);
+    if (error) {
+      return { status: 500, error: error.message };
+    }
+    if (!projectData) {
+      return { status: 404, error: 'Project not found' };
+    }
+
+    const granted = await projectRole(projectData, actor.data);
+    if (!granted) {
+      return FORBIDDEN;
+    }
+    if (!allowsProject(req.auth, projectId)) {
+      return { status: 403, error: 'This access token is not valid for this project' };
+    }
+    if (!roleAtLeast(granted, role)) {
+      return { status: 403, error: `This action requires the ${role} role` };
+    }
+    return { data: projectData, role: granted };
+  }
+
+  /**
+   * Loads a documentation whose project the acting user has at least the given role on.
+   * @param {Object} req - Express request, authenticated.
+   * @param {string} docId - The documentation ID.
+   * @param {string} [projectId] - The project the caller expects the documentation in.
+   * @param {string} [role] - The role the action needs.
+   * @returns {Promise<Object>} - `{ data, project, role }`, or `{ status, error }`.
+   */
+  async function authorizeDocumentation(req, docId, projectId, role = 'viewer') {
+    const actor = actingUser(req);
+    if (actor.error) {
+      return actor;
+    }
+    if (!docId) {
+      return { status: 400, error: 'docId is required' };
+    }
+
+    const { data: docData, error } = await storage.getDocumentation(docId);
+    if (error) {
+      return { status: 500, error: error.message };
+    }
+    if (!docData || (projectId && String(projectId) !== String(docData.project_id))) {
+      return { status: 404, error: 'Documentation not found' };
+    }
+
+    const project = await authorizeProject(req, docData.project_id, role);
+    if (project.error) {
+      return project;
+    }
+    return { data: docData, project: project.data, role: project.role };
+  }
+
+  /**
+   * Loads a workspace in which the acting user has at least the given role.
+   * @param {Object} req - Express request, authenticated.
+   * @param {string} workspaceId - The workspace ID.
+   * @param {string} [role] - The role the action needs.
+   * @returns {Promise<Object>} - `{ data, role }` with the workspace and the user's role, or `{ status, error }`.
+   */
+  async function authorizeWorkspace(req, workspaceId, role = 'viewer') {
+    const actor = actingUser(req);
+    if (actor.error) {
+      return actor;
+    }
+    if (!workspaceId) {
+      return { status: 400, error: 'workspace_id is required' };
+    }
+
+    const { data: workspace, error } = await storage.getWorkspace(workspaceId);
+    if (error) {
+      return { status: 500, error: error.message };
+    }
+    if (!workspace) {
+      return { status: 404, error: 'Workspace not found' };
+    }
+
+    const { data: member, error: memberError } = await storage.getMember(workspaceId, actor.data);
+    if (memberError) {
+      return { status: 500, error: memberError.message };
+    }
+    if (!member) {
+      return { status: 403, error: 'You are not a member of this workspace' };
+    }
+    if (!roleAtLeast(member.role, role)) {
+      return { status: 403, error: `This action requires the ${role} role` };
+    }
+    return { data: workspace, role: member.role };
+  }
+
+  // Middleware: the request has a credential and names no other user; sets `req.userId`
+  function requireUser(req, res, next) {
+    const actor = actingUser(req);
+    if (actor.error) {
+      return res.status(actor.status).json({ error: actor.error, success: false });
+    }
+    req.userId = actor.data;
+    return next();
+  }
+
+  /**
+   * Middleware setting `req.workspace` and `req.role` from the `workspaceId` route parameter or the
+   * `workspace_id` body field.
+   * @param {string} role - The role the route needs.
+   * @returns {Function} - Express middleware.
+   */
+  function loadWorkspace(role) {
+    return (req, res, next) => {
+      const body = req.body || {};
+      return respond(res, next, () => authorizeWorkspace(req, req.params.workspaceId || body.workspace_id, role), (result) => {
+        req.userId = req.user.sub;
+        req.workspace = result.data;
+        req.role = result.role;
+      });
+    };
+  }
+
+  /**
+   * Middleware setting `req.project` and `req.role` from the `projectId` route parameter or the
+   * `project_id` body field.
+   * @param {string} role - The role the route needs.
+   * @returns {Function} - Express middleware.
+   */
+  function loadProject(role) {
+    return (req, res, next) => {
+      const body = req.body || {};
+      return respond(res, next, () => authorizeProject(req, req.params.projectId || body.project_id || body.projectId, role), (result) => {
+        req.userId = req.user.sub;
+        req.project = result.data;
+        req.role = result.role;
+      });
+    };
+  }
+
+  /**
+   * Middleware setting `req.documentation`, `req.project` and `req.role` from the `docId` route
+   * parameter or body field.
+   * @param {string} role - The role the route needs.
+   * @returns {Function} - Express middleware.
+   */
+  function loadDocumentation(role) {
+    return (req, res, next) => {
+      const body = req.body || {};
+      const docId = req.params.docId || req.params.docid || body.docId;
+      return respond(res, next, () => authorizeDocumentation(req, docId, body.project_id, role), (result) => {
+        req.userId = req.user.sub;
+        req.documentation = result.data;
+        req.project = result.project;
+        req.role = result.role;
+      });
+    };
+  }
+
+  return {
+    requireUser,
+    loadWorkspace,
+    loadProject,
+    loadDocumentation,
+    authorizeWorkspace,
+    authorizeProject,
+    authorizeDocumentation,
+    projectRole,
+  };
+}
+
+/**
+ * @param {Object} req - Express request.
+ * @returns {Object} - `{ data }` with the acting user ID, or `{ status, error }`.
+ */
+function actingUser(req) {
+  if (!req.user || !req.user.sub) {
+    return UNAUTHENTICATED;
+  }
+  const body = req.body || {};
+  for (const claimed of [body.userId, body.user_id]) {
+    if (claimed !== undefined && claimed !== null && claimed !== req.user.sub) {
+      return FORBIDDEN;
+    }
+  }
+  return { data: req.user.sub };
+}
+
+async function respond(res, next, authorize, accept) {
+  try {
+    const result = await authorize();
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, success: false });
+    }
+    accept(result);
+  } catch (err) {
+    console.error('Error processing request:', err);
+    return res.status(500).json({
+      error: `Error processing request: ${err instanceof Error ? err.message : 'Unknown error'}`,
+    });
+  }
+  return next();
+}
+
+module.exports = { createAccess };
@@ -0,0 +1,309 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Bearer token authentication against one or more identity providers.
+ * A provider verifies tokens with a static PEM key, a JWKS document (fetched from a URL, discovered
+ * from the issuer's OpenID configuration, or read from a local file) and optionally restricts the
+ * audience and the authorized parties (`azp` claim).
+ *
+ * Providers come from AUTH_PROVIDERS (a JSON array, or the path of a JSON file holding one):
+ *   [{ "name": "clerk", "issuer": "https://example.clerk.accounts.dev",
+ *      "jwksUri": "https://example.clerk.accounts.dev/.well-known/jwks.json",
+ *      "audiences": ["api-weaver"], "authorizedParties": ["https://app.example.com"] }]
+ * Without it a single Clerk provider is built from CLERK_PEM_PUBLIC_KEY, or CLERK_ISSUER with an
+ * optional CLERK_JWKS_URL, with AUTH_AUDIENCES and AUTH_AUTHORIZED_PARTIES as comma separated allowlists.
+ * Providers verifying against a JWKS need an issuer; with authorized parties, tokens must carry `azp`.
+ * Personal access tokens (see ./tokens) are accepted next to JWTs when `options.accessTokens` is set.
+ */
+
+const DEFAULT_ALGORITHMS = ['RS256'];
+
+// How long a fetched JWKS is trusted before it is fetched again
+const DEFAULT_JWKS_CACHE_TTL = 10 * 60 * 1000;
+
+// A token signed with an unknown key id refetches the JWKS (key rotation), at most this often
+const MIN_JWKS_REFRESH_INTERVAL = 30 * 1000;
+
+const JWKS_REQUEST_TIMEOUT = 5000;
+
+/**
+ * Reads the provider configuration from the environment.
+ * @param {Object} [env] - Environment variables.
+ * @returns {Array} - Normalized providers.
+ */
+function loadProviders(env = process.env) {
+  if (env.AUTH_PROVIDERS) {
+    const source = env.AUTH_PROVIDERS.trim();
+    const providers = JSON.parse(source.startsWith('[') ? source : fs.readFileSync(source, 'utf8'));
+    if (!Array.isArray(providers)) {
+      throw new Error('AUTH_PROVIDERS must be a JSON array of providers');
+    }
+    return providers.map(normalizeProvider);
+  }
+
+  const clerk = {
+    name: 'clerk',
+    issuer: env.CLERK_ISSUER,
+    jwksUri: env.CLERK_JWKS_URL,
+    publicKey: env.CLERK_PEM_PUBLIC_KEY,
+    audiences: list(env.AUTH_AUDIENCES),
+    authorizedParties: list(env.AUTH_AUTHORIZED_PARTIES),
+  };
+  return clerk.issuer || clerk.jwksUri || clerk.publicKey ? [normalizeProvider(clerk)] : [];
+}
+
+function list(value) {
+  return String(value || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+function normalizeProvider(provider, index) {
+  if (!provider || typeof provider !== 'object') {
+    throw new Error(`Authentication provider ${index} must be an object`);
+  }
+  const normalized = {
+    name: provider.name || provider.issuer || `provider-${index === undefined ? 0 : index}`,
+    issuer: provider.issuer ? String(provider.issuer).replace(/\/+$/, '') : null,
+    jwksUri: provider.jwksUri || null,
+    jwksFile: provider.jwksFile || null,
+    publicKey: provider.publicKey ? String(provider.publicKey).replace(/\\n/g, '\n') : null,
+    audiences: [].concat(provider.audiences || provider.audience || []),
+    authorizedParties: [].concat(provider.authorizedParties || []),
+    algorithms: [].concat(provider.algorithms || DEFAULT_ALGORITHMS),
+    clockTolerance: Number(provider.clockTolerance) || 0,
+    jwksCacheTtl: Number(provider.jwksCacheTtl) || DEFAULT_JWKS_CACHE_TTL,
+  };
+  if (!normalized.publicKey && !normalized.jwksUri && !normalized.jwksFile && !normalized.issuer) {
+    throw new Error(`Authentication provider ${normalized.name} needs a publicKey, jwksUri, jwksFile or issuer`);
+  }
+  // A JWKS may publish the keys of several tenants, only the issuer ties a token to this provider
+  if (!normalized.publicKey && !normalized.issuer) {
+    throw new Error(`Authentication provider ${normalized.name} needs an issuer to verify tokens against its JWKS`);
+  }
+  return normalized;
+}
+
+/**
+ * Creates the signing key source of a provider; JWKS keys are cached and refetched on expiry or
+ * when a token names a key id the cache doesn't know.
+ * @param {Object} provider - A normalized provider.
+ * @returns {Object} - `{ getKey(kid) }` resolving to a public key.
+ */
+function createKeySource(provider) {
+  if (provider.publicKey) {
+    return { getKey: async () => provider.publicKey };
+  }
+
+  let keys = null;
+  let fetchedAt = 0;
+  let lastAttempt = 0;
+  let pending = null;
+
+  async function fetchJwks() {
+    if (provider.jwksFile) {
+      return JSON.parse(await fs.promises.readFile(provider.jwksFile, 'utf8'));
+    }
+
+    let uri = provider.jwksUri;
+    if (!uri) {
+      const discovery = await axios.get(`${provider.issuer}/.well-known/openid-configuration`, { timeout: JWKS_REQUEST_TIMEOUT });
+      uri = discovery.data && discovery.data.jwks_uri;
+      if (!uri) {
+        throw new Error(`No jwks_uri in the OpenID configuration of ${provider.issuer}`);
+      }
+    }
+    const response = await axios.get(uri, { timeout: JWKS_REQUEST_TIMEOUT });
+    return response.data;
+  }
+
+  // Concurrent requests share one fetch; a failed fetch keeps the previous keys
+  function refresh() {
+    if (!pending) {
+      lastAttempt = Date.now();
+      pending = fetchJwks()
+        .then((jwks) => {
+          keys = parseJwks(jwks);
+          fetchedAt = Date.now();
+        })
+        .catch((err) => {
+          if (!keys) throw err;
+          console.error(`JWKS refresh failed for ${provider.name}:`, err.message);
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  }
+
+  function find(kid) {
+    if (!keys) return null;
+    if (kid) return keys.get(kid) || null;
+    return keys.size === 1 ? [...keys.values()][0] : null;
+  }
+
+  return {
+    async getKey(kid) {
+      if (!keys || Date.now() - fetchedAt > provider.jwksCacheTtl) {
+        await refresh();
+      }
+      let key = find(kid);
+      if (!key && Date.now() - lastAttempt >= MIN_JWKS_REFRESH_INTERVAL) {
+        await refresh();
+        key = find(kid);
+      }
+      if (!key) {
+        throw new Error(kid ? `No signing key found for kid ${kid}` : 'Token has no kid and the JWKS holds several keys');
+      }
+      return key;
+    },
+  };
+}
+
+function parseJwks(jwks) {
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    throw new Error('Invalid JWKS document: keys is missing');
+  }
+  const keys = new Map();
+  jwks.keys
+    .filter((jwk) => jwk && (!jwk.use || jwk.use === 'sig'))
+    .forEach((jwk, index) => {
+      keys.set(jwk.kid || `key-${index}`, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    });
+  return keys;
+}
+
+/**
+ * Creates the authenticator.
+ * @param {Object} [options] - Options.
+ * @param {Array} [options.providers] - Provider definitions, read from the environment by default.
+ * @param {Object} [options.accessTokens] - `{ matches(token), verify(token) }` for personal access tokens.
+ * @returns {Object} - `{ providers, verifyToken, authenticate, optionalUser }`.
+ */
+function createAuth(options = {}) {
+  const providers = (options.providers ? options.providers.map(normalizeProvider) : loadProviders())
+    .map((provider) => ({ ...provider, keys: createKeySource(provider) }));
+
+  // The provider whose issuer signed the token; a provider without an issuer (a static public key
+  // only) takes the tokens no other provider issued, its key still has to verify them
+  function selectProvider(issuer) {
+    const normalized = issuer ? String(issuer).replace(/\/+$/, '') : null;
+    return providers.find((provider) => provider.issuer && provider.issuer === normalized)
+      || providers.find((provider) => !provider.issuer)
+      || null;
+  }
+
+  /**
+   * Verifies a JWT against the provider that issued it.
+   * @param {string} token - The JWT.
+   * @returns {Promise<Object>} - `{ claims, provider }`; rejects when the token is invalid.
+   */
+  async function verifyToken(token) {
+    if (providers.length === 0) {
+      throw new Error('No authentication provider is configured');
+    }
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.payload || typeof decoded.payload !== 'object') {
+      throw new Error('Malformed token');
+    }
+
+    const provider = selectProvider(decoded.payload.iss);
+    if (!provider) {
+      throw new Error(`Unknown token issuer: ${decoded.payload.iss}`);
+    }
+
+    const key = await provider.keys.getKey(decoded.header.kid);
+    const claims = jwt.verify(token, key, {
+      algorithms: provider.algorithms,
+      // Issuers are configured without a trailing slash, some providers (Auth0) sign with one
+      issuer: provider.issuer ? [provider.issuer, `${provider.issuer}/`] : undefined,
+      audience: provider.audiences.length > 0 ? provider.audiences : undefined,
+      clockTolerance: provider.clockTolerance,
+    });
+
+    if (provider.authorizedParties.length > 0) {
+      if (!claims.azp) {
+        throw new Error('Token has no authorized party (azp claim)');
+      }
+      if (!provider.authorizedParties.includes(claims.azp)) {
+        throw new Error('Invalid authorized party (azp claim)');
+      }
+    }
+    if (!claims.sub) {
+      throw new Error('Token has no subject');
+    }
+    return { claims, provider: provider.name };
+  }
+
+  // A JWT or, when enabled, a personal access token; resolves to `{ user, auth }`
+  async function identify(token) {
+    const { accessTokens } = options;
+    if (accessTokens && accessTokens.matches(token)) {
+      const access = await accessTokens.verify(token);
+      return { user: { sub: access.userId }, auth: { type: 'token', ...access } };
+    }
+    const { claims, provider } = await verifyToken(token);
+    return { user: claims, auth: { type: 'jwt', provider, userId: claims.sub } };
+  }
+
+  // Middleware: rejects requests without a valid bearer token, sets `req.user` to the token claims
+  // and `req.auth` to how the request authenticated
+  async function authenticate(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'No authorization token provided' });
+    }
+
+    try {
+      const { user, auth } = await identify(token);
+      req.user = user;
+      req.auth = auth;
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Invalid token',
+        details: error.message,
+      });
+    }
+    return next();
+  }
+
+  /**
+   * Reads the signed-in user of a request that may be anonymous, from the Authorization header or
+   * from Clerk's `__session` cookie (browsers don't send headers when loading a page).
+   * @param {Object} req - Express request.
+   * @returns {Promise<string|null>} - The user id, or null when anonymous or the token is invalid.
+   */
+  async function optionalUser(req) {
+    const token = bearerToken(req) || sessionCookie(req);
+    if (!token) {
+      return null;
+    }
+    try {
+      return (await identify(token)).user.sub;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  return { providers, verifyToken, authenticate, optionalUser };
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization;
+  if (!header) {
+    return null;
+  }
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : header.trim();
+}
+
+function sessionCookie(req) {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith('__session='));
+  return cookie ? decodeURIComponent(cookie.slice('__session='.length)) : null;
+}
+
+module.exports = { createAuth, loadProviders, bearerToken };
@@ -0,0 +1,288 @@
+/**
+ * Shared helpers for code generation from an OpenAPI 3 document (not dereferenced, so component
+ * schemas stay named): deterministic naming, operation collection and TypeScript type rendering.
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const COMPONENT_SCHEMA_REF = /^#\/components\/schemas\/([^/]+)$/;
+
+// Words TypeScript won't accept as function or type names
+const RESERVED_WORDS = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else',
+  'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof',
+  'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void',
+  'while', 'with', 'await', 'let', 'static', 'yield', 'any', 'boolean', 'number', 'string', 'unknown',
+]);
+
+// Global types a generated declaration must not shadow (the SDK runtime relies on some of them)
+const RESERVED_TYPE_NAMES = new Set([
+  'Array', 'Blob', 'Boolean', 'Date', 'Error', 'Headers', 'Map', 'Number', 'Object', 'Promise', 'Record',
+  'Request', 'RequestInit', 'Response', 'Set', 'String', 'URL', 'ApiError', 'AuthHook', 'ClientConfig',
+  'RequestContext', 'RequestOptions',
+]);
+
+/**
+ * Splits an identifier-ish string into words (`getUserById`, `get_user-by id`, `/users/{id}`).
+ * @param {string} value - The string to split.
+ * @returns {Array} - The words.
+ */
+function words(value) {
+  return String(value || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * @param {string} value - The string to convert.
+ * @returns {string} - PascalCase identifier (prefixed with `_` when it would start with a digit).
+ */
+function pascalCase(value) {
+  const result = words(value).map((word) => word[0].toUpperCase() + word.slice(1)).join('') || 'Unnamed';
+  return /^\d/.test(result) ? `_${result}` : result;
+}
+
+/**
+ * @param {string} value - The string to convert.
+ * @returns {string} - camelCase identifier, safe to use as a function name.
+ */
+function camelCase(value) {
+  const pascal = pascalCase(value);
+  const result = pascal.startsWith('_') ? pascal : pascal[0].toLowerCase() + pascal.slice(1);
+  return RESERVED_WORDS.has(result) ? `${result}_` : result;
+}
+
+/**
+ * Type name of a component schema; names of global types get a `Schema` suffix.
+ * @param {string} name - The key of the schema in `components.schemas`.
+ * @returns {string} - The TypeScript type name.
+ */
+function schemaTypeName(name) {
+  const pascal = pascalCase(name);
+  return RESERVED_TYPE_NAMES.has(pascal) ? `${pascal}Schema` : pascal;
+}
+
+/**
+ * Resolves a local `$ref` (`#/components/...`) to the object it points to.
+ * @param {Object} spec - The OpenAPI document.
+ * @param {Object} value - An object that may be a reference.
+ * @returns {Object} - The referenced object (or the value itself).
+ */
+function resolveRef(spec, value) {
+  let current = value;
+  const seen = new Set();
+  while (current && typeof current.$ref === 'string' && current.$ref.startsWith('#/') && !seen.has(current.$ref)) {
+    seen.add(current.$ref);
+    current = current.$ref
+      .slice(2)
+      .split('/')
+      .map((part) => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, key) => (node ? node[key] : undefined), spec);
+  }
+  return current || {};
+}
+
+/**
+ * Lists every operation of the document with deterministic names.
+ * Names come from `operationId`; operations without one are named from method and path.
+ * Parameters, request bodies and responses are resolved, their schemas are left as written.
+ * @param {Object} spec - The OpenAPI 3 document.
+ * @returns {Array} - `{ name, typeName, method, path, operation, parameters, requestBody, responses }`.
+ */
+function collectOperations(spec) {
+  const operations = [];
+  const usedNames = new Set();
+
+  for (const [path, rawPathItem] of Object.entries(spec.paths || {})) {
+    const pathItem = resolveRef(spec, rawPathItem);
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      let name = camelCase(operation.operationId || `${method} ${path.replace(/\{([^}]+)\}/g, 'by $1')}`);
+      for (let counter = 2; usedNames.has(name); counter++) {
+        name = `${camelCase(operation.operationId || `${method} ${path}`)}${counter}`;
+      }
+      usedNames.add(name);
+
+      // Operation parameters override path level ones with the same name and location
+      const own = (operation.parameters || []).map((param) => resolveRef(spec, param));
+      const shared = (pathItem.parameters || [])
+        .map((param) => resolveRef(spec, param))
+        .filter((param) => !own.some((item) => item.name === param.name && item.in === param.in));
+
+      const responses = {};
+      for (const [code, response] of Object.entries(operation.responses || {})) {
+        responses[code] = resolveRef(spec, response);
+      }
+
+      operations.push({
+        name,
+        typeName: pascalCase(name),
+        method,
+        path,
+        operation,
+        parameters: [...shared, ...own].filter((param) => param.name && param.in),
+        requestBody: operation.requestBody ? resolveRef(spec, operation.requestBody) : null,
+        responses,
+      });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Picks the JSON (or first) media type of a content map.
+ * @param {Object} content - Media type map.
+ * @returns {Object|null} - `{ mediaType, schema }`, or null when there is no content.
+ */
+function primaryContent(content) {
+  const mediaTypes = Object.keys(content || {});
+  if (mediaTypes.length === 0) {
+    return null;
+  }
+  const mediaType = mediaTypes.find((type) => /json/i.test(type)) || mediaTypes[0];
+  return { mediaType, schema: (content[mediaType] || {}).schema || {} };
+}
+
+/**
+ * Renders a schema as a TypeScript type expression.
+ * Component schema references become their type name; other local references are inlined.
+ * @param {Object} spec - The OpenAPI document.
+ * @param {Object} schema - The schema.
+ * @param {string} [indent] - Indentation of the surrounding declaration.
+ * @param {Set} [inlining] - References being inlined, guards recursive non-component references.
+ * @returns {string} - The TypeScript type.
+ */
+function schemaToTs(spec, schema, indent = '', inlining = new Set()) {
+  if (!schema || typeof schema !== 'object' || Object.keys(schema).length === 0) {
+    return 'unknown';
+  }
+
+  if (typeof schema.$ref === 'string') {
+    const component = COMPONENT_SCHEMA_REF.exec(schema.$ref);
+    if (component) {
+      return schemaTypeName(decodeURIComponent(component[1]));
+    }
+    if (inlining.has(schema.$ref)) {
+      return 'unknown';
+    }
+    return schemaToTs(spec, resolveRef(spec, schema), indent, new Set([...inlining, schema.$ref]));
+  }
+
+  const nullable = schema.nullable === true || (Array.isArray(schema.type) && schema.type.includes('null'));
+  const type = baseType(spec, schema, indent, inlining);
+  return nullable && type !== 'unknown' && type !== 'null' ? `${wrapUnion(type)} | null` : type;
+}
+
+function baseType(spec, schema, indent, inlining) {
+  if (schema.const !== undefined) {
+    return JSON.stringify(schema.const);
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum.filter((value) => value !== null).map((value) => JSON.stringify(value)).join(' | ') || 'null';
+  }
+  if (Array.isArray(schema.allOf) && schema.allOf.length > 0) {
+    return schema.allOf.map((part) => wrapUnion(schemaToTs(spec, part, indent, inlining))).join(' & ');
+  }
+  for (const keyword of ['oneOf', 'anyOf']) {
+    if (Array.isArray(schema[keyword]) && schema[keyword].length > 0) {
+      return [...new Set(schema[keyword].map((part) => schemaToTs(spec, part, indent, inlining)))].join(' | ');
+    }
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type.filter((item) => item !== 'null') : [schema.type];
+  if (types.length > 1) {
+    return types.map((item) => baseType(spec, { ...schema, type: item }, indent, inlining)).join(' | ');
+  }
+
+  const type = types[0] || (schema.properties ? 'object' : schema.items ? 'array' : undefined);
+  switch (type) {
+    case 'string':
+      return schema.format === 'binary' ? 'Blob' : 'string';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'null':
+      return 'null';
+    case 'array':
+      return `Array<${schemaToTs(spec, schema.items, indent, inlining)}>`;
+    case 'object':
+      return objectType(spec, schema, indent, inlining);
+    default:
+      return 'unknown';
+  }
+}
+
+function objectType(spec, schema, indent, inlining) {
+  const properties = Object.entries(schema.properties || {});
+  const required = new Set(schema.required || []);
+  const inner = `${indent}  `;
+  const lines = properties.map(([name, property]) => {
+    const doc = docComment(property, inner);
+    return `${doc}${inner}${propertyKey(name)}${required.has(name) ? '' : '?'}: ${schemaToTs(spec, property, inner, inlining)};`;
+  });
+
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    lines.push(`${inner}[key: string]: ${properties.length > 0 ? 'unknown' : schemaToTs(spec, schema.additionalProperties, inner, inlining)};`);
+  } else if (schema.additionalProperties === true || (properties.length === 0 && schema.additionalProperties !== false)) {
+    lines.push(`${inner}[key: string]: unknown;`);
+  }
+
+  return lines.length > 0 ? `{\n${lines.join('\n')}\n${indent}}` : 'Record<string, never>';
+}
+
+/**
+ * Renders a named declaration: an interface for object schemas, a type alias otherwise.
+ * @param {Object} spec - The OpenAPI document.
+ * @param {string} name - The type name.
+ * @param {Object} schema - The schema.
+ * @returns {string} - The exported declaration.
+ */
+function renderTypeDeclaration(spec, name, schema) {
+  const type = schemaToTs(spec, schema || {});
+  const doc = docComment(schema || {}, '');
+  if (type.startsWith('{\n')) {
+    return `${doc}export interface ${name} ${type}\n`;
+  }
+  return `${doc}export type ${name} = ${type};\n`;
+}
+
+function docComment(schema, indent) {
+  const text = schema && typeof schema === 'object' ? schema.description || schema.title : null;
+  if (!text) {
+    return '';
+  }
+  const lines = String(text).replace(/\*\//g, '*\\/').split('\n');
+  if (lines.length === 1) {
+    return `${indent}/** ${lines[0]} */\n`;
+  }
+  return `${indent}/**\n${lines.map((line) => `${indent} * ${line}`.trimEnd()).join('\n')}\n${indent} */\n`;
+}
+
+function propertyKey(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+function wrapUnion(type) {
+  return /[|&]/.test(type) && !type.startsWith('{') ? `(${type})` : type;
+}
+
+module.exports = {
+  pascalCase,
+  camelCase,
+  schemaTypeName,
+  resolveRef,
+  collectOperations,
+  primaryContent,
+  schemaToTs,
+  renderTypeDeclaration,
+  docComment,
+  propertyKey,
+  COMPONENT_SCHEMA_REF,
+};
@@ -0,0 +1,222 @@
+const { generateExample, mediaExample, pickMediaType } = require('./mock');
+const { buildRequest, executeRequest, checkResponse } = require('./playground');
+
+/**
+ * Contract tests: runs every documented operation against a live API with example inputs and
+ * checks the responses against the documented status codes and schemas.
+ * Operations are described by `convertData` output, so the runner sees exactly what the stored
+ * documentation shows.
+ */
+
+/**
+ * Runs the contract tests of one or more documentations.
+ * @param {Array} documents - `{ docId, title, convertedData, baseUrl }` per documentation; `baseUrl` is the
+ * server of the documentation.
+ * @param {Object} [options] - Run options.
+ * @param {string} [options.baseUrl] - Absolute base URL of the API under test, overrides the documentation servers.
+ * @param {number} [options.timeout] - Per request timeout in milliseconds.
+ * @returns {Promise<Object>} - The report: `{ base_url, started_at, finished_at, duration_ms, summary, results }`.
+ */
+async function runContractTests(documents, options = {}) {
+  const startedAt = new Date();
+  const results = [];
+
+  // One request at a time keeps the load on the API under test predictable
+  for (const document of documents) {
+    for (const { path, method, details } of listOperations(document.convertedData)) {
+      results.push(await runOperation(document, path, method, details, options));
+    }
+  }
+
+  const finishedAt = new Date();
+  return {
+    base_url: options.baseUrl || null,
+    started_at: startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt - startedAt,
+    summary: {
+      total: results.length,
+      passed: results.filter((result) => result.status === 'passed').length,
+      failed: results.filter((result) => result.status === 'failed').length,
+      errors: results.filter((result) => result.status === 'error').length,
+    },
+    results,
+  };
+}
+
+// Webhooks are sent by the API rather than served by it, so they are not exercised
+function listOperations(convertedData) {
+  const operations = [];
+  for (const pathObj of convertedData || []) {
+    const [path, methodsArray] = Object.entries(pathObj)[0];
+    for (const methodObj of methodsArray) {
+      const [method, details] = Object.entries(methodObj)[0];
+      if (!details.webhook) {
+        operations.push({ path, method, details });
+      }
+    }
+  }
+  return operations;
+}
+
+async function runOperation(document, path, method, details, options) {
+  const result = {
+    doc_id: document.docId,
+    documentation: document.title || null,
+    operation: `${method.toUpperCase()} ${path}`,
+    operation_id: details.operationId || null,
+    status: 'passed',
+    request: null,
+    response: null,
+    violations: [],
+  };
+
+  const baseUrl = options.baseUrl || document.baseUrl;
+  if (!baseUrl) {
+    result.status = 'error';
+    result.message = 'No absolute server URL in the documentation and no baseUrl given';
+    return result;
+  }
+
+  const operation = operationFromDetails(details);
+  const built = buildRequest({
+    baseUrl,
+    path,
+    method,
+    pathItem: {},
+    operation,
+    params: exampleParameters(details.parameters || []),
+    body: exampleBody(details.input || {}),
+  });
+
+  if (built.errors) {
+    result.status = 'error';
+    result.message = `Could not build the request: ${built.errors.map((error) => `${error.in} ${error.name} ${error.message}`).join(', ')}`;
+    return result;
+  }
+  result.request = { method: built.request.method, url: built.request.url };
+
+  let response;
+  try {
+    response = await executeRequest(built.request, { timeout: options.timeout });
+  } catch (err) {
+    result.status = 'error';
+    result.message = `Request failed: ${err.message}`;
+    return result;
+  }
+  result.response = { status: response.status, duration_ms: response.durationMs };
+
+  const check = checkResponse(operation, response);
+  result.violations = check.errors.map((error) => ({ ...error, response: check.responseKey }));
+
+  // Example inputs are valid by construction, so a documented success response is expected
+  const documentsSuccess = (details.output || []).length > 0;
+  if (documentsSuccess && !String(response.status).startsWith('2')) {
+    result.violations.unshift({ path: '$', message: `expected a 2xx response, got ${response.status}`, response: check.responseKey });
+  }
+
+  if (result.violations.length > 0) {
+    result.status = 'failed';
+  }
+  return result;
+}
+
+// Rebuilds the parts of an OpenAPI operation the request builder and response check need
+function operationFromDetails(details) {
+  const responses = {};
+  for (const response of [...details.output || [], ...details.otherResponses || [], ...details.errorResponses || []]) {
+    responses[response.code] = { description: response.description, content: response.content };
+  }
+
+  const operation = { parameters: details.parameters || [], responses };
+  if (details.input && Object.keys(details.input).length > 0) {
+    operation.requestBody = { content: details.input };
+  }
+  return operation;
+}
+
+/**
+ * Builds example values for the required parameters (optional ones are left out).
+ * @param {Array} parameters - Parameters as extracted by convertData.
+ * @returns {Object} - Values keyed by location, as accepted by buildRequest.
+ */
+function exampleParameters(parameters) {
+  const values = { path: {}, query: {}, header: {}, cookie: {} };
+  for (const param of parameters) {
+    if (!values[param.in] || (!param.required && param.in !== 'path')) continue;
+    values[param.in][param.name] = generateExample(param.schema || { type: 'string' });
+  }
+  return values;
+}
+
+function exampleBody(content) {
+  const mediaType = pickMediaType(content, undefined, true);
+  return mediaType ? mediaExample(content[mediaType] || {}) : undefined;
+}
+
+/**
+ * Serializes a report as JUnit XML, one test suite per documentation and one test case per operation.
+ * @param {Object} report - The contract test report.
+ * @returns {string} - JUnit XML.
+ */
+function toJUnitXml(report) {
+  const suites = new Map();
+  for (const result of report.results || []) {
+    const name = result.documentation || result.doc_id || 'API';
+    if (!suites.has(name)) suites.set(name, []);
+    suites.get(name).push(result);
+  }
+
+  const summary = report.summary || {};
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Contract tests" tests="${summary.total || 0}" failures="${summary.failed || 0}" errors="${summary.errors || 0}" time="${seconds(report.duration_ms)}">`,
+  ];
+
+  for (const [name, results] of suites) {
+    const failures = results.filter((result) => result.status === 'failed').length;
+    const errors = results.filter((result) => result.status === 'error').length;
+    const time = results.reduce((total, result) => total + ((result.response && result.response.duration_ms) || 0), 0);
+    lines.push(`  <testsuite name="${escapeXml(name)}" tests="${results.length}" failures="${failures}" errors="${errors}" time="${seconds(time)}" timestamp="${escapeXml(report.started_at || '')}">`);
+
+    for (const result of results) {
+      const caseTime = seconds((result.response && result.response.duration_ms) || 0);
+      const open = `    <testcase name="${escapeXml(result.operation)}" classname="${escapeXml(name)}" time="${caseTime}"`;
+      if (result.status === 'passed') {
+        lines.push(`${open}/>`);
+        continue;
+      }
+
+      lines.push(`${open}>`);
+      if (result.status === 'error') {
+        lines.push(`      <error message="${escapeXml(result.message)}"/>`);
+      } else {
+        const details = result.violations.map((violation) => `${violation.path}: ${violation.message}`).join('\n');
+        lines.push(`      <failure message="${escapeXml(result.violations[0].message)}">${escapeXml(details)}</failure>`);
+      }
+      lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+function seconds(milliseconds) {
+  return ((Number(milliseconds) || 0) / 1000).toFixed(3);
+}
+
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Characters XML 1.0 can't carry at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+module.exports = { runContractTests, toJUnitXml };
@@ -0,0 +1,334 @@
+/**
+ * Breaking-change detection between two versions of an API.
+ * Both sides are compared in the structure produced by `convertData`: one `{ [path]: [{ [method]: details }] }`
+ * entry per path, where details hold `parameters`, `input` (request content), `output`, `otherResponses` and `errorResponses`.
+ *
+ * Schemas are compared in the direction data flows: a request schema breaks clients when it accepts less
+ * than before (new required field, narrowed type, removed enum value), a response schema breaks clients
+ * when it returns something they don't expect (removed field, widened type, new enum value).
+ */
+
+const BREAKING = 'breaking';
+const NON_BREAKING = 'non-breaking';
+
+// Type changes that accept strictly more values than before
+const WIDENINGS = [['integer', 'number']];
+
+/**
+ * Compares two converted API documents.
+ * @param {Array} base - The previous version, as returned by convertData.
+ * @param {Array} revision - The new version, as returned by convertData.
+ * @returns {Object} - `{ breaking, summary, changes }`; each change has `type`, `severity`, `operation`, `location` and `message`.
+ */
+function diffConvertedData(base, revision) {
+  const changes = [];
+  const before = indexOperations(base);
+  const after = indexOperations(revision);
+
+  for (const [key, operation] of before) {
+    if (!after.has(key)) {
+      changes.push(change('operation.removed', BREAKING, operation, '', `Operation ${key} was removed`));
+    }
+  }
+
+  for (const [key, operation] of after) {
+    if (!before.has(key)) {
+      changes.push(change('operation.added', NON_BREAKING, operation, '', `Operation ${key} was added`));
+      continue;
+    }
+    diffOperation(before.get(key), operation, changes);
+  }
+
+  const breakingCount = changes.filter((item) => item.severity === BREAKING).length;
+  return {
+    breaking: breakingCount > 0,
+    summary: {
+      total: changes.length,
+      breaking: breakingCount,
+      nonBreaking: changes.length - breakingCount,
+    },
+    changes,
+  };
+}
+
+// Flattens convertData output into a Map keyed by `METHOD /path`
+function indexOperations(convertedData) {
+  const operations = new Map();
+
+  for (const pathObj of convertedData || []) {
+    const [path, methodsArray] = Object.entries(pathObj)[0];
+    for (const methodObj of methodsArray) {
+      const [method, details] = Object.entries(methodObj)[0];
+      const key = `${method.toUpperCase()} ${path}`;
+      operations.set(key, { key, path, method, details });
+    }
+  }
+
+  return operations;
+}
+
+function diffOperation(before, after, changes) {
+  diffParameters(before, after, changes);
+  diffRequestContent(before, after, changes);
+  diffResponses(before, after, responsesOf(before.details), responsesOf(after.details), changes);
+}
+
+function responsesOf(details) {
+  return [...details.output || [], ...details.otherResponses || [], ...details.errorResponses || []];
+}
+
+function diffParameters(before, after, changes) {
+  const oldParams = new Map((before.details.parameters || []).map((param) => [`${param.in}.${param.name}`, param]));
+  const newParams = new Map((after.details.parameters || []).map((param) => [`${param.in}.${param.name}`, param]));
+
+  for (const [key, param] of oldParams) {
+    if (!newParams.has(key)) {
+      changes.push(change('parameter.removed', BREAKING, after, `parameters.${key}`,
+        `${param.in} parameter "${param.name}" was removed`));
+    }
+  }
+
+  for (const [key, param] of newParams) {
+    const location = `parameters.${key}`;
+    const previous = oldParams.get(key);
+
+    if (!previous) {
+      changes.push(param.required
+        ? change('parameter.added', BREAKING, after, location, `Required ${param.in} parameter "${param.name}" was added`)
+        : change('parameter.added', NON_BREAKING, after, location, `Optional ${param.in} parameter "${param.name}" was added`));
+      continue;
+    }
+
+    if (!previous.required && param.required) {
+      changes.push(change('parameter.required', BREAKING, after, location,
+        `${param.in} parameter "${param.name}" became required`));
+    } else if (previous.required && !param.required) {
+      changes.push(change('parameter.optional', NON_BREAKING, after, location,
+        `${param.in} parameter "${param.name}" became optional`));
+    }
+
+    // Parameters are sent by the client, so they follow the request rules
+    diffSchema(previous.schema, param.schema, 'request', `${location}.schema`, after, changes);
+  }
+}
+
+function diffRequestContent(before, after, changes) {
+  const oldContent = before.details.input || {};
+  const newContent = after.details.input || {};
+  const hadBody = Object.keys(oldContent).length > 0;
+  const hasBody = Object.keys(newContent).length > 0;
+
+  if (hadBody && !hasBody) {
+    changes.push(change('requestBody.removed', BREAKING, after, 'requestBody', 'Request body was removed'));
+    return;
+  }
+  if (!hadBody && hasBody) {
+    changes.push(change('requestBody.added', NON_BREAKING, after, 'requestBody', 'Request body was added'));
+    return;
+  }
+
+  diffContent(oldContent, newContent, 'request', 'requestBody.content', after, changes);
+}
+
+function diffResponses(before, after, oldResponses, newResponses, changes) {
+  const oldByCode = new Map(oldResponses.map((response) => [response.code, response]));
+  const newByCode = new Map(newResponses.map((response) => [response.code, response]));
+
+  for (const [code] of oldByCode) {
+    if (!newByCode.has(code)) {
+      // Clients rely on the documented success, redirect and `default` responses; losing an error response is harmless
+      const severity = code.startsWith('4') || code.startsWith('5') ? NON_BREAKING : BREAKING;
+      changes.push(change('response.removed', severity, after, `responses.${code}`, `Response ${code} was removed`));
+    }
+  }
+
+  for (const [code, response] of newByCode) {
+    const location = `responses.${code}`;
+    if (!oldByCode.has(code)) {
+      changes.push(change('response.added', NON_BREAKING, after, location, `Response ${code} was added`));
+      continue;
+    }
+    diffContent(oldByCode.get(code).content || {}, response.content || {}, 'response', `${location}.content`, after, changes);
+  }
+}
+
+function diffContent(oldContent, newContent, direction, location, operation, changes) {
+  for (const mediaType of Object.keys(oldContent)) {
+    if (!(mediaType in newContent)) {
+      changes.push(change(`${direction}.mediaType.removed`, BREAKING, operation, `${location}.${mediaType}`,
+        `Media type ${mediaType} was removed from the ${direction}`));
+    }
+  }
+
+  for (const [mediaType, media] of Object.entries(newContent)) {
+    const mediaLocation = `${location}.${mediaType}`;
+    if (!(mediaType in oldContent)) {
+      changes.push(change(`${direction}.mediaType.added`, NON_BREAKING, operation, mediaLocation,
+        `Media type ${mediaType} was added to the ${direction}`));
+      continue;
+    }
+    diffSchema((oldContent[mediaType] || {}).schema, (media || {}).schema, direction, `${mediaLocation}.schema`, operation, changes);
+  }
+}
+
+/**
+ * Compares two (dereferenced, possibly circular) schemas and records the differences.
+ * @param {Object} oldSchema - The previous schema.
+ * @param {Object} newSchema - The new schema.
+ * @param {string} direction - 'request' or 'response'.
+ * @param {string} location - Location of the schema inside the operation.
+ * @param {Object} operation - The operation the schema belongs to.
+ * @param {Array} changes - Collected changes.
+ * @param {WeakMap} [seen] - Schema pairs already compared, guards against circular schemas.
+ */
+function diffSchema(oldSchema, newSchema, direction, location, operation, changes, seen = new WeakMap()) {
+  if (!isSchema(oldSchema) || !isSchema(newSchema)) {
+    return;
+  }
+  if (seen.has(oldSchema) && seen.get(oldSchema).has(newSchema)) {
+    return;
+  }
+  if (!seen.has(oldSchema)) seen.set(oldSchema, new WeakSet());
+  seen.get(oldSchema).add(newSchema);
+
+  const isRequest = direction === 'request';
+  const record = (type, breaksClients, message) => {
+    changes.push(change(`${direction}.${type}`, breaksClients ? BREAKING : NON_BREAKING, operation, location, message));
+  };
+
+  // Type
+  if (oldSchema.type !== newSchema.type) {
+    if (oldSchema.type && newSchema.type) {
+      const widened = WIDENINGS.some(([from, to]) => oldSchema.type === from && newSchema.type === to);
+      const narrowed = WIDENINGS.some(([from, to]) => oldSchema.type === to && newSchema.type === from);
+      if (widened || narrowed) {
+        // A request that accepts more (or a response that returns less) keeps working
+        record(widened ? 'type.widened' : 'type.narrowed', isRequest ? narrowed : widened,
+          `Type changed from ${oldSchema.type} to ${newSchema.type}`);
+      } else {
+        record('type.changed', true, `Type changed from ${oldSchema.type} to ${newSchema.type}`);
+      }
+    } else if (newSchema.type) {
+      record('type.narrowed', isRequest, `Type restricted to ${newSchema.type}`);
+    } else {
+      record('type.widened', !isRequest, `Type ${oldSchema.type} is no longer enforced`);
+    }
+  }
+
+  // Format
+  if (oldSchema.format !== newSchema.format) {
+    const message = newSchema.format
+      ? `Format changed from ${oldSchema.format || 'none'} to ${newSchema.format}`
+      : `Format ${oldSchema.format} was removed`;
+    record('format.changed', isRequest ? Boolean(newSchema.format) : Boolean(oldSchema.format), message);
+  }
+
+  // Nullable
+  if (Boolean(oldSchema.nullable) !== Boolean(newSchema.nullable)) {
+    if (newSchema.nullable) {
+      record('nullable.added', !isRequest, 'Value became nullable');
+    } else {
+      record('nullable.removed', isRequest, 'Value is no longer nullable');
+    }
+  }
+
+  // Enum
+  if (Array.isArray(oldSchema.enum) || Array.isArray(newSchema.enum)) {
+    diffEnum(oldSchema.enum, newSchema.enum, isRequest, record);
+  }
+
+  // Properties
+  if (oldSchema.properties || newSchema.properties) {
+    diffProperties(oldSchema, newSchema, direction, location, operation, changes, seen, record);
+  }
+
+  // Array items
+  if (oldSchema.items || newSchema.items) {
+    diffSchema(oldSchema.items, newSchema.items, direction, `${location}.items`, operation, changes, seen);
+  }
+
+  // Composition keywords are compared by number of variants only
+  for (const keyword of ['oneOf', 'anyOf']) {
+    const oldVariants = (oldSchema[keyword] || []).length;
+    const newVariants = (newSchema[keyword] || []).length;
+    if (oldVariants !== newVariants && oldVariants > 0 && newVariants > 0) {
+      const added = newVariants > oldVariants;
+      record(`${keyword}.changed`, isRequest ? !added : added,
+        `${keyword} ${added ? 'gained' : 'lost'} ${Math.abs(newVariants - oldVariants)} variant(s)`);
+    }
+  }
+}
+
+function diffEnum(oldEnum, newEnum, isRequest, record) {
+  if (!Array.isArray(newEnum)) {
+    record('enum.removed', !isRequest, 'Enum constraint was removed');
+    return;
+  }
+  if (!Array.isArray(oldEnum)) {
+    record('enum.added', isRequest, `Values restricted to ${JSON.stringify(newEnum)}`);
+    return;
+  }
+
+  const removed = oldEnum.filter((value) => !newEnum.some((other) => sameValue(value, other)));
+  const added = newEnum.filter((value) => !oldEnum.some((other) => sameValue(value, other)));
+  if (removed.length > 0) {
+    record('enum.valueRemoved', isRequest, `Enum values removed: ${JSON.stringify(removed)}`);
+  }
+  if (added.length > 0) {
+    record('enum.valueAdded', !isRequest, `Enum values added: ${JSON.stringify(added)}`);
+  }
+}
+
+function diffProperties(oldSchema, newSchema, direction, location, operation, changes, seen, record) {
+  const isRequest = direction === 'request';
+  const oldProperties = oldSchema.properties || {};
+  const newProperties = newSchema.properties || {};
+  const oldRequired = new Set(oldSchema.required || []);
+  const newRequired = new Set(newSchema.required || []);
+
+  for (const name of Object.keys(oldProperties)) {
+    if (!(name in newProperties)) {
+      // Clients may still send it (usually ignored), but they can no longer read it
+      record('property.removed', !isRequest, `Property "${name}" was removed`);
+    }
+  }
+
+  for (const [name, property] of Object.entries(newProperties)) {
+    if (!(name in oldProperties)) {
+      const required = newRequired.has(name);
+      record('property.added', isRequest && required,
+        `${required ? 'Required' : 'Optional'} property "${name}" was added`);
+      continue;
+    }
+
+    if (!oldRequired.has(name) && newRequired.has(name)) {
+      record('property.required', isRequest, `Property "${name}" became required`);
+    } else if (oldRequired.has(name) && !newRequired.has(name)) {
+      record('property.optional', !isRequest, `Property "${name}" became optional`);
+    }
+
+    diffSchema(oldProperties[name], property, direction, `${location}.properties.${name}`, operation, changes, seen);
+  }
+}
+
+function change(type, severity, operation, location, message) {
+  return {
+    type,
+    severity,
+    operation: operation.key,
+    path: operation.path,
+    method: operation.method,
+    location,
+    message,
+  };
+}
+
+function isSchema(schema) {
+  return Boolean(schema) && typeof schema === 'object' && !Array.isArray(schema);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = { diffConvertedData, BREAKING, NON_BREAKING };
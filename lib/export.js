@@ -0,0 +1,392 @@
+const { mediaExample } = require('./mock');
+
+/**
+ * Static documentation export: renders the documentations of a project, as `convertData` extracts
+ * them, into a self-contained HTML site or a single Markdown file.
+ * Documents are `{ docId, title, description, baseUrl, convertedData, error }`; `convertedData` is
+ * null for a documentation without an OpenAPI document, `error` is set when it could not be read.
+ */
+
+const STYLESHEET = `body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; color: #1f2328; line-height: 1.5; }
+main { max-width: 960px; margin: 0 auto; padding: 24px; }
+a { color: #0969da; }
+code, pre { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 13px; }
+pre { background: #f6f8fa; padding: 12px; overflow: auto; border-radius: 6px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; }
+th, td { border: 1px solid #d0d7de; padding: 6px 10px; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+.operation { border: 1px solid #d0d7de; border-radius: 6px; padding: 0 16px 8px; margin: 24px 0; }
+.method { display: inline-block; min-width: 64px; padding: 2px 8px; border-radius: 4px; color: #fff; background: #6e7781; font-weight: 600; text-align: center; }
+.method.get { background: #1f883d; } .method.post { background: #0969da; } .method.put { background: #9a6700; }
+.method.patch { background: #8250df; } .method.delete { background: #cf222e; }
+.muted { color: #656d76; }
+`;
+
+/**
+ * Renders the export as files of a static HTML site: an index page, one page per documentation
+ * and a stylesheet.
+ * @param {Object} project - The project (`project_name`, `description`).
+ * @param {Array} documents - The documentations to render.
+ * @returns {Array} - `{ name, content }` files.
+ */
+function renderHtmlSite(project, documents) {
+  const pages = assignFileNames(documents, 'html');
+  const projectName = project.project_name || 'API documentation';
+
+  const index = htmlPage(projectName, [
+    `<h1>${escapeHtml(projectName)}</h1>`,
+    project.description ? `<p>${escapeHtml(project.description)}</p>` : '',
+    '<ul>',
+    ...pages.map(({ document, fileName }) => {
+      const count = listOperations(document.convertedData).length;
+      return `  <li><a href="${escapeHtml(fileName)}">${escapeHtml(document.title || document.docId)}</a> <span class="muted">(${count} operation${count === 1 ? '' : 's'})</span></li>`;
+    }),
+    '</ul>',
+  ]);
+
+  return [
+    { name: 'index.html', content: index },
+    { name: 'style.css', content: STYLESHEET },
+    ...pages.map(({ document, fileName }) => ({
+      name: fileName,
+      content: htmlPage(`${document.title || document.docId} - ${projectName}`, documentHtml(document, projectName)),
+    })),
+  ];
+}
+
+function htmlPage(title, body) {
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    '<link rel="stylesheet" href="style.css">',
+    '</head>',
+    '<body>',
+    '<main>',
+    ...body.filter(Boolean),
+    '</main>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+function documentHtml(document, projectName) {
+  const lines = [
+    `<p><a href="index.html">${escapeHtml(projectName)}</a></p>`,
+    `<h1>${escapeHtml(document.title || document.docId)}</h1>`,
+    document.description ? `<p>${escapeHtml(document.description)}</p>` : '',
+    document.baseUrl ? `<p>Server: <code>${escapeHtml(document.baseUrl)}</code></p>` : '',
+  ];
+
+  const operations = listOperations(document.convertedData);
+  if (document.error) {
+    lines.push(`<p class="muted">The OpenAPI document could not be read: ${escapeHtml(document.error)}</p>`);
+  } else if (operations.length === 0) {
+    lines.push('<p class="muted">No operations documented yet.</p>');
+  } else {
+    lines.push('<h2>Operations</h2>', '<ul>');
+    for (const operation of operations) {
+      lines.push(`  <li><a href="#${operation.anchor}"><code>${operation.method.toUpperCase()} ${escapeHtml(operation.path)}</code></a>${operation.details.summary ? ` ${escapeHtml(operation.details.summary)}` : ''}</li>`);
+    }
+    lines.push('</ul>');
+  }
+
+  for (const { path, method, details, anchor } of operations) {
+    lines.push(
+      `<section class="operation" id="${anchor}">`,
+      `<h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code>${details.webhook ? ' <span class="muted">(webhook)</span>' : ''}</h3>`,
+      details.summary ? `<p><strong>${escapeHtml(details.summary)}</strong></p>` : '',
+      details.description ? `<p>${escapeHtml(details.description)}</p>` : '',
+      details.operationId ? `<p class="muted">Operation ID: <code>${escapeHtml(details.operationId)}</code></p>` : '',
+    );
+
+    if ((details.parameters || []).length > 0) {
+      lines.push('<h4>Parameters</h4>', htmlTable(['Name', 'In', 'Type', 'Required', 'Description'], details.parameters.map((param) => [
+        `<code>${escapeHtml(param.name)}</code>`,
+        escapeHtml(param.in),
+        escapeHtml(typeLabel(param.schema)),
+        param.required ? 'yes' : 'no',
+        escapeHtml(param.description || ''),
+      ])));
+    }
+
+    for (const [mediaType, media] of Object.entries(details.input || {})) {
+      lines.push(`<h4>Request body <span class="muted">${escapeHtml(mediaType)}</span></h4>`, ...contentHtml(media));
+    }
+
+    for (const response of [...details.output || [], ...details.otherResponses || [], ...details.errorResponses || []]) {
+      lines.push(`<h4>Response ${escapeHtml(response.code)}${response.description ? ` <span class="muted">${escapeHtml(response.description)}</span>` : ''}</h4>`);
+      for (const [mediaType, media] of Object.entries(response.content || {})) {
+        lines.push(`<p class="muted">${escapeHtml(mediaType)}</p>`, ...contentHtml(media));
+      }
+    }
+
+    lines.push('</section>');
+  }
+
+  return lines;
+}
+
+function contentHtml(media) {
+  const lines = [];
+  const rows = schemaRows(media.schema);
+  if (rows.length > 0) {
+    lines.push(htmlTable(['Field', 'Type', 'Required', 'Description'], rows.map((row) => [
+      `<code>${escapeHtml(row.name)}</code>`,
+      escapeHtml(row.type),
+      row.required ? 'yes' : 'no',
+      escapeHtml(row.description),
+    ])));
+  } else if (media.schema) {
+    lines.push(`<p>Type: <code>${escapeHtml(typeLabel(media.schema))}</code></p>`);
+  }
+
+  const example = mediaExample(media);
+  if (example !== undefined && example !== null) {
+    lines.push('<p>Example:</p>', `<pre><code>${escapeHtml(JSON.stringify(example, null, 2))}</code></pre>`);
+  }
+  return lines;
+}
+
+function htmlTable(headers, rows) {
+  return [
+    '<table>',
+    `<tr>${headers.map((header) => `<th>${header}</th>`).join('')}</tr>`,
+    ...rows.map((cells) => `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`),
+    '</table>',
+  ].join('\n');
+}
+
+/**
+ * Renders the export as a single Markdown file.
+ * @param {Object} project - The project (`project_name`, `description`).
+ * @param {Array} documents - The documentations to render.
+ * @returns {string} - The Markdown document.
+ */
+function renderMarkdown(project, documents) {
+  const lines = [`# ${project.project_name || 'API documentation'}`, ''];
+  if (project.description) {
+    lines.push(project.description, '');
+  }
+
+  // GitHub suffixes repeated heading anchors with -1, -2, ...
+  const anchors = new Map();
+  lines.push('## Contents', '');
+  for (const document of documents) {
+    const anchor = headingAnchor(document.title || document.docId);
+    const seen = anchors.get(anchor) || 0;
+    anchors.set(anchor, seen + 1);
+    lines.push(`- [${escapeMarkdown(document.title || document.docId)}](#${seen > 0 ? `${anchor}-${seen}` : anchor})`);
+  }
+  lines.push('');
+
+  for (const document of documents) {
+    lines.push(`## ${document.title || document.docId}`, '');
+    if (document.description) lines.push(document.description, '');
+    if (document.baseUrl) lines.push(`Server: \`${document.baseUrl}\``, '');
+
+    const operations = listOperations(document.convertedData);
+    if (document.error) {
+      lines.push(`_The OpenAPI document could not be read: ${document.error}_`, '');
+    } else if (operations.length === 0) {
+      lines.push('_No operations documented yet._', '');
+    }
+
+    for (const { path, method, details } of operations) {
+      lines.push(`### ${method.toUpperCase()} ${path}${details.webhook ? ' (webhook)' : ''}`, '');
+      if (details.summary) lines.push(`**${details.summary}**`, '');
+      if (details.description) lines.push(details.description, '');
+      if (details.operationId) lines.push(`Operation ID: \`${details.operationId}\``, '');
+
+      if ((details.parameters || []).length > 0) {
+        lines.push('#### Parameters', '', ...markdownTable(['Name', 'In', 'Type', 'Required', 'Description'], details.parameters.map((param) => [
+          `\`${param.name}\``,
+          param.in,
+          typeLabel(param.schema),
+          param.required ? 'yes' : 'no',
+          param.description || '',
+        ])), '');
+      }
+
+      for (const [mediaType, media] of Object.entries(details.input || {})) {
+        lines.push(`#### Request body (\`${mediaType}\`)`, '', ...contentMarkdown(media));
+      }
+
+      for (const response of [...details.output || [], ...details.otherResponses || [], ...details.errorResponses || []]) {
+        lines.push(`#### Response ${response.code}${response.description ? ` - ${response.description}` : ''}`, '');
+        for (const [mediaType, media] of Object.entries(response.content || {})) {
+          lines.push(`\`${mediaType}\``, '', ...contentMarkdown(media));
+        }
+      }
+    }
+  }
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd()}\n`;
+}
+
+function contentMarkdown(media) {
+  const lines = [];
+  const rows = schemaRows(media.schema);
+  if (rows.length > 0) {
+    lines.push(...markdownTable(['Field', 'Type', 'Required', 'Description'], rows.map((row) => [
+      `\`${row.name}\``,
+      row.type,
+      row.required ? 'yes' : 'no',
+      row.description,
+    ])), '');
+  } else if (media.schema) {
+    lines.push(`Type: \`${typeLabel(media.schema)}\``, '');
+  }
+
+  const example = mediaExample(media);
+  if (example !== undefined && example !== null) {
+    lines.push('Example:', '', '```json', JSON.stringify(example, null, 2), '```', '');
+  }
+  return lines;
+}
+
+function markdownTable(headers, rows) {
+  const cell = (value) => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map((cells) => `| ${cells.map(cell).join(' | ')} |`),
+  ];
+}
+
+// Operations of a documentation with a unique anchor each
+function listOperations(convertedData) {
+  const operations = [];
+  for (const pathObj of convertedData || []) {
+    const [path, methodsArray] = Object.entries(pathObj)[0];
+    for (const methodObj of methodsArray) {
+      const [method, details] = Object.entries(methodObj)[0];
+      operations.push({ path, method, details, anchor: `op-${operations.length + 1}-${method}` });
+    }
+  }
+  return operations;
+}
+
+/**
+ * Flattens the fields of a dereferenced schema into table rows (`items[].name` for array items).
+ * Recursive schemas are listed once.
+ * @param {Object} schema - The schema.
+ * @param {string} [prefix] - Name of the enclosing field.
+ * @param {Array} [stack] - Schemas being listed, guards recursion.
+ * @returns {Array} - `{ name, type, required, description }` rows.
+ */
+function schemaRows(schema, prefix = '', stack = []) {
+  if (!schema || typeof schema !== 'object' || stack.includes(schema)) {
+    return [];
+  }
+  const nested = [...stack, schema];
+
+  if (Array.isArray(schema.allOf)) {
+    return schema.allOf.flatMap((part) => schemaRows(part, prefix, nested));
+  }
+  for (const keyword of ['oneOf', 'anyOf']) {
+    if (Array.isArray(schema[keyword])) {
+      return schema[keyword].flatMap((part) => schemaRows(part, prefix, nested));
+    }
+  }
+  if (schema.items && (schema.type === 'array' || !schema.type)) {
+    return schemaRows(schema.items, `${prefix}[]`, nested);
+  }
+
+  const required = new Set(schema.required || []);
+  const rows = [];
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const fieldName = prefix ? `${prefix}.${name}` : name;
+    rows.push({
+      name: fieldName,
+      type: typeLabel(property),
+      required: required.has(name),
+      description: describe(property),
+    });
+    rows.push(...schemaRows(property, fieldName, nested));
+  }
+  return rows;
+}
+
+/**
+ * @param {Object} schema - A dereferenced schema.
+ * @returns {string} - Short type description (`string (email)`, `array of integer`, `"a" | "b"`).
+ */
+function typeLabel(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return 'any';
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+  }
+  for (const keyword of ['oneOf', 'anyOf', 'allOf']) {
+    if (Array.isArray(schema[keyword])) {
+      return `${keyword} (${schema[keyword].map(typeLabel).join(', ')})`;
+    }
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type || (schema.properties ? 'object' : schema.items ? 'array' : 'any')];
+  const label = types.map((type) => {
+    if (type === 'array') return `array of ${typeLabel(schema.items)}`;
+    return schema.format && type !== 'null' ? `${type} (${schema.format})` : type;
+  }).join(' | ');
+  return schema.nullable ? `${label} | null` : label;
+}
+
+// Description with the validation keywords readers need
+function describe(schema) {
+  const constraints = [];
+  for (const keyword of ['minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems', 'pattern', 'default']) {
+    if (schema[keyword] !== undefined) constraints.push(`${keyword}: ${JSON.stringify(schema[keyword])}`);
+  }
+  return [schema.description, constraints.join(', ')].filter(Boolean).join(' ');
+}
+
+// One file name per documentation, from its title
+function assignFileNames(documents, extension) {
+  const used = new Set(['index']);
+  return documents.map((document) => {
+    const base = slugify(document.title) || slugify(document.docId) || 'documentation';
+    let name = base;
+    for (let counter = 2; used.has(name); counter++) {
+      name = `${base}-${counter}`;
+    }
+    used.add(name);
+    return { document, fileName: `${name}.${extension}` };
+  });
+}
+
+/**
+ * @param {string} value - A title.
+ * @returns {string} - Lowercase, dash separated file name part.
+ */
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Anchor GitHub generates for a Markdown heading
+function headingAnchor(text) {
+  return String(text).toLowerCase().trim().replace(/[^\w\- ]/g, '').replace(/ /g, '-');
+}
+
+function escapeMarkdown(value) {
+  return String(value).replace(/([\\[\]])/g, '\\$1');
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = { renderHtmlSite, renderMarkdown, slugify };
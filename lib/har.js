@@ -0,0 +1,327 @@
+const { inferSchema } = require('./schema');
+
+/**
+ * HAR (HTTP Archive) to OpenAPI 3.0 inference.
+ * Entries are grouped by method and templated path; parameters, request bodies and
+ * response schemas are inferred from every entry of a group.
+ */
+
+const NUMERIC_SEGMENT = /^\d+$/;
+const UUID_SEGMENT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Static assets recorded alongside the API calls
+const STATIC_EXTENSIONS = /\.(js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|woff2?|ttf|eot|html?)$/i;
+const API_RESOURCE_TYPES = ['xhr', 'fetch'];
+
+// Headers set by the browser or described elsewhere in OpenAPI
+const IGNORED_HEADERS = [
+  'accept', 'accept-encoding', 'accept-language', 'authorization', 'cache-control', 'connection',
+  'content-length', 'content-type', 'cookie', 'dnt', 'host', 'origin', 'pragma', 'priority', 'referer',
+  'te', 'upgrade-insecure-requests', 'user-agent',
+];
+
+/**
+ * Checks whether the payload looks like a HAR capture.
+ * @param {Object} har - The uploaded HAR.
+ * @returns {boolean} - True when `log.entries` is present.
+ */
+function isHar(har) {
+  return Boolean(har && har.log && Array.isArray(har.log.entries));
+}
+
+/**
+ * Infers an OpenAPI 3.0 document from the entries of a HAR capture.
+ * @param {Object} har - The HAR capture exported from the browser devtools.
+ * @param {Object} [options] - Inference options.
+ * @param {string} [options.host] - Only use entries sent to this host.
+ * @param {string} [options.title] - Title of the generated document.
+ * @returns {Object} - The OpenAPI 3.0 document.
+ */
+function convertHarToOpenApi(har, options = {}) {
+  const groups = new Map();
+  const origins = [];
+
+  for (const entry of har.log.entries) {
+    if (!isApiEntry(entry)) continue;
+
+    let url;
+    try {
+      url = new URL(entry.request.url);
+    } catch (err) {
+      continue;
+    }
+    if (options.host && url.host !== options.host) continue;
+
+    const method = String(entry.request.method || 'GET').toLowerCase();
+    const { template, values } = templatePath(url.pathname);
+    const key = `${method} ${template}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, { method, template, samples: [] });
+    }
+    groups.get(key).samples.push({ entry, url, pathValues: values });
+    origins.push(url.origin);
+  }
+
+  const openapi = {
+    openapi: '3.0.3',
+    info: {
+      title: options.title || 'API inferred from HAR capture',
+      version: '1.0.0',
+      description: `Inferred from ${har.log.entries.length} recorded requests`,
+    },
+    servers: rankByFrequency(origins).map((origin) => ({ url: origin })),
+    paths: {},
+  };
+  if (openapi.servers.length === 0) {
+    openapi.servers = [{ url: '/' }];
+  }
+
+  const operationIds = new Set();
+  for (const { method, template, samples } of groups.values()) {
+    openapi.paths[template] = openapi.paths[template] || {};
+    openapi.paths[template][method] = buildOperation(method, template, samples, operationIds);
+  }
+
+  return openapi;
+}
+
+/**
+ * Replaces numeric and UUID path segments with `{id}` parameters.
+ * @param {string} pathname - The request path.
+ * @returns {Object} - `{ template, values }` where values maps parameter names to the recorded segments.
+ */
+function templatePath(pathname) {
+  const values = {};
+  let count = 0;
+
+  const segments = pathname.split('/').map((segment) => {
+    const decoded = safeDecode(segment);
+    if (!NUMERIC_SEGMENT.test(decoded) && !UUID_SEGMENT.test(decoded)) {
+      return segment;
+    }
+    count += 1;
+    const name = count === 1 ? 'id' : `id${count}`;
+    values[name] = decoded;
+    return `{${name}}`;
+  });
+
+  return { template: segments.join('/') || '/', values };
+}
+
+function buildOperation(method, template, samples, operationIds) {
+  const operation = {
+    summary: `${method.toUpperCase()} ${template}`,
+    operationId: uniqueOperationId(method, template, operationIds),
+  };
+
+  const parameters = [
+    ...pathParameters(samples),
+    ...namedParameters(samples, 'query', (sample) => sample.entry.request.queryString || []),
+    ...namedParameters(samples, 'header', (sample) =>
+      (sample.entry.request.headers || []).filter((header) => isDocumentedHeader(header.name))
+    ),
+  ];
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  const requestBody = buildRequestBody(samples);
+  if (requestBody) operation.requestBody = requestBody;
+
+  operation.responses = buildResponses(samples);
+  return operation;
+}
+
+function pathParameters(samples) {
+  const names = Object.keys(samples[0].pathValues);
+  return names.map((name) => {
+    const values = samples.map((sample) => sample.pathValues[name]);
+    // A segment seen as both a number and a UUID is a plain string
+    if (values.every((value) => NUMERIC_SEGMENT.test(value))) {
+      return { name, in: 'path', required: true, schema: { type: 'integer' }, example: Number(values[0]) };
+    }
+    const schema = values.every((value) => UUID_SEGMENT.test(value)) ? { type: 'string', format: 'uuid' } : { type: 'string' };
+    // Prefer a non-numeric example, it shows the identifiers are not only numbers
+    const example = values.find((value) => !NUMERIC_SEGMENT.test(value));
+    return { name, in: 'path', required: true, schema, example };
+  });
+}
+
+/**
+ * Builds query or header parameters; a parameter is required when every sample sent it.
+ */
+function namedParameters(samples, location, pick) {
+  const seen = new Map();
+
+  samples.forEach((sample, index) => {
+    for (const { name, value } of pick(sample)) {
+      if (!name || name.startsWith(':')) continue;
+      const key = location === 'header' ? name.toLowerCase() : name;
+      if (!seen.has(key)) {
+        seen.set(key, { name, values: [], samples: new Set() });
+      }
+      seen.get(key).values.push(safeDecode(String(value)));
+      seen.get(key).samples.add(index);
+    }
+  });
+
+  return [...seen.values()].map(({ name, values, samples: seenIn }) => {
+    const type = scalarType(values);
+    return {
+      name,
+      in: location,
+      required: seenIn.size === samples.length,
+      schema: { type },
+      example: type === 'string' ? values[0] : JSON.parse(values[0]),
+    };
+  });
+}
+
+function buildRequestBody(samples) {
+  const bodies = new Map();
+
+  for (const { entry } of samples) {
+    const postData = entry.request.postData;
+    if (!postData) continue;
+
+    const mediaType = cleanMediaType(postData.mimeType) || 'application/octet-stream';
+    let sample;
+    if (Array.isArray(postData.params) && postData.params.length > 0) {
+      sample = Object.fromEntries(postData.params.map((param) => [param.name, param.value]));
+    } else {
+      sample = parseBody(postData.text, mediaType);
+    }
+    if (sample === undefined) continue;
+
+    addSample(bodies, mediaType, sample);
+  }
+
+  if (bodies.size === 0) {
+    return null;
+  }
+  return { required: true, content: buildContent(bodies) };
+}
+
+function buildResponses(samples) {
+  const responses = {};
+  const bodies = {};
+
+  for (const { entry } of samples) {
+    const response = entry.response;
+    if (!response || !response.status) continue;
+
+    const code = String(response.status);
+    responses[code] = responses[code] || { description: response.statusText || `${code} response` };
+
+    const body = response.content || {};
+    const mediaType = cleanMediaType(body.mimeType);
+    if (!mediaType || !body.text) continue;
+
+    const text = body.encoding === 'base64' ? Buffer.from(body.text, 'base64').toString('utf8') : body.text;
+    const sample = parseBody(text, mediaType);
+    if (sample === undefined) continue;
+
+    bodies[code] = bodies[code] || new Map();
+    addSample(bodies[code], mediaType, sample);
+  }
+
+  for (const [code, samplesByType] of Object.entries(bodies)) {
+    responses[code].content = buildContent(samplesByType);
+  }
+
+  if (Object.keys(responses).length === 0) {
+    responses.default = { description: 'Response' };
+  }
+  return responses;
+}
+
+function addSample(samplesByType, mediaType, sample) {
+  if (!samplesByType.has(mediaType)) samplesByType.set(mediaType, []);
+  samplesByType.get(mediaType).push(sample);
+}
+
+// One schema per media type inferred from all recorded samples, the first sample is the example
+function buildContent(samplesByType) {
+  const content = {};
+  for (const [mediaType, samples] of samplesByType) {
+    content[mediaType] = { schema: inferSchema(samples), example: samples[0] };
+  }
+  return content;
+}
+
+function parseBody(text, mediaType) {
+  if (typeof text !== 'string' || text === '') {
+    return undefined;
+  }
+  if (/json/i.test(mediaType)) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      return undefined;
+    }
+  }
+  if (mediaType === 'application/x-www-form-urlencoded') {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+  if (/^text\/|xml/i.test(mediaType)) {
+    return text;
+  }
+  return undefined;
+}
+
+function isApiEntry(entry) {
+  if (!entry || !entry.request || !entry.request.url) {
+    return false;
+  }
+  if (entry._resourceType) {
+    return API_RESOURCE_TYPES.includes(entry._resourceType);
+  }
+  return !STATIC_EXTENSIONS.test(entry.request.url.split('?')[0]);
+}
+
+function isDocumentedHeader(name) {
+  const lower = String(name || '').toLowerCase();
+  return Boolean(lower) && !lower.startsWith(':') && !lower.startsWith('sec-') && !IGNORED_HEADERS.includes(lower);
+}
+
+function scalarType(values) {
+  if (values.every((value) => /^-?(0|[1-9]\d*)$/.test(value))) return 'integer';
+  if (values.every((value) => /^-?(0|[1-9]\d*)(\.\d+)?$/.test(value))) return 'number';
+  if (values.every((value) => value === 'true' || value === 'false')) return 'boolean';
+  return 'string';
+}
+
+function cleanMediaType(mimeType) {
+  return String(mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+function uniqueOperationId(method, template, used) {
+  const words = template
+    .replace(/\{([^}]+)\}/g, 'by $1')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1));
+  const base = `${method}${words.join('')}`;
+
+  let id = base;
+  for (let counter = 2; used.has(id); counter++) {
+    id = `${base}${counter}`;
+  }
+  used.add(id);
+  return id;
+}
+
+function rankByFrequency(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([value]) => value);
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+module.exports = { isHar, convertHarToOpenApi, templatePath };
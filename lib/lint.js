@@ -0,0 +1,305 @@
+const { isSwagger2, convertSwagger2ToOpenApi3 } = require('./swagger2');
+
+/**
+ * Style and quality linting of OpenAPI documents.
+ * Every rule has a default severity that a project can override (`error`, `warning`, `info`) or
+ * switch `off`. Findings carry the JSON path of the offending node in the linted document.
+ */
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const RULES = [
+  {
+    id: 'operation-operationId',
+    severity: 'warning',
+    description: 'Operations should have an operationId.',
+    check: (spec) => operations(spec)
+      .filter(({ operation }) => !operation.operationId)
+      .map(({ path, method }) => ({ path: ['paths', path, method], message: `${method.toUpperCase()} ${path} has no operationId` })),
+  },
+  {
+    id: 'operation-operationId-unique',
+    severity: 'error',
+    description: 'operationIds must be unique in the document.',
+    check: (spec) => {
+      const seen = new Map();
+      const findings = [];
+      for (const { path, method, operation } of operations(spec)) {
+        if (!operation.operationId) continue;
+        if (seen.has(operation.operationId)) {
+          findings.push({
+            path: ['paths', path, method, 'operationId'],
+            message: `operationId "${operation.operationId}" is also used by ${seen.get(operation.operationId)}`,
+          });
+        } else {
+          seen.set(operation.operationId, `${method.toUpperCase()} ${path}`);
+        }
+      }
+      return findings;
+    },
+  },
+  {
+    id: 'operation-summary',
+    severity: 'warning',
+    description: 'Operations should have a summary.',
+    check: (spec) => operations(spec)
+      .filter(({ operation }) => !operation.summary || !String(operation.summary).trim())
+      .map(({ path, method }) => ({ path: ['paths', path, method], message: `${method.toUpperCase()} ${path} has no summary` })),
+  },
+  {
+    id: 'operation-tags',
+    severity: 'info',
+    description: 'Operations should be tagged to group them in the documentation.',
+    check: (spec) => operations(spec)
+      .filter(({ operation }) => !Array.isArray(operation.tags) || operation.tags.length === 0)
+      .map(({ path, method }) => ({ path: ['paths', path, method], message: `${method.toUpperCase()} ${path} has no tags` })),
+  },
+  {
+    id: 'operation-4xx-response',
+    severity: 'warning',
+    description: 'Operations should document at least one 4xx response.',
+    check: (spec) => operations(spec)
+      .filter(({ operation }) => !Object.keys(operation.responses || {}).some((code) => /^4/.test(code)))
+      .map(({ path, method }) => ({ path: ['paths', path, method, 'responses'], message: `${method.toUpperCase()} ${path} documents no 4xx response` })),
+  },
+  {
+    id: 'path-parameters-defined',
+    severity: 'error',
+    description: 'Every path template parameter must be defined as a path parameter.',
+    check: (spec) => {
+      const findings = [];
+      for (const { path, method, operation, pathItem } of operations(spec)) {
+        const defined = [...pathItem.parameters || [], ...operation.parameters || []]
+          .map((param) => resolveLocalRef(spec, param))
+          .filter((param) => param && param.in === 'path')
+          .map((param) => param.name);
+        for (const [, name] of path.matchAll(/\{([^}]+)\}/g)) {
+          if (!defined.includes(name)) {
+            findings.push({ path: ['paths', path, method], message: `path parameter "${name}" is not defined for ${method.toUpperCase()} ${path}` });
+          }
+        }
+      }
+      return findings;
+    },
+  },
+  {
+    id: 'path-casing',
+    severity: 'warning',
+    description: 'Path segments should use one casing style (kebab-case, snake_case or camelCase) throughout the document.',
+    check: (spec) => {
+      const styled = [];
+      for (const path of Object.keys(spec.paths || {})) {
+        for (const segment of path.split('/')) {
+          const style = segmentStyle(segment);
+          if (style) styled.push({ path, segment, style });
+        }
+      }
+
+      // The most used style is the convention, the others are inconsistent with it
+      const counts = new Map();
+      for (const { style } of styled) counts.set(style, (counts.get(style) || 0) + 1);
+      if (counts.size < 2) {
+        return [];
+      }
+      const convention = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+      const findings = [];
+      for (const { path, segment, style } of styled) {
+        if (style !== convention && !findings.some((finding) => finding.path[1] === path)) {
+          findings.push({ path: ['paths', path], message: `segment "${segment}" is ${style}, other paths use ${convention}` });
+        }
+      }
+      return findings;
+    },
+  },
+  {
+    id: 'path-trailing-slash',
+    severity: 'warning',
+    description: 'Paths should not end with a slash.',
+    check: (spec) => Object.keys(spec.paths || {})
+      .filter((path) => path.length > 1 && path.endsWith('/'))
+      .map((path) => ({ path: ['paths', path], message: `path ${path} ends with a slash` })),
+  },
+  {
+    id: 'info-description',
+    severity: 'info',
+    description: 'The API should have a description.',
+    check: (spec) => (spec.info && spec.info.description ? [] : [{ path: ['info'], message: 'info has no description' }]),
+  },
+  {
+    id: 'unused-components',
+    severity: 'warning',
+    description: 'Components should be referenced from the paths, webhooks or other used components.',
+    check: (spec) => {
+      const used = reachableComponents(spec);
+      const findings = [];
+      for (const [section, entries] of Object.entries(spec.components || {})) {
+        if (section === 'securitySchemes' || !entries || typeof entries !== 'object') continue;
+        for (const name of Object.keys(entries)) {
+          if (!used.has(`#/components/${section}/${escapePointer(name)}`)) {
+            findings.push({ path: ['components', section, name], message: `${section} component "${name}" is never referenced` });
+          }
+        }
+      }
+      for (const name of Object.keys((spec.components || {}).securitySchemes || {})) {
+        if (!usedSecuritySchemes(spec).has(name)) {
+          findings.push({ path: ['components', 'securitySchemes', name], message: `security scheme "${name}" is never required` });
+        }
+      }
+      return findings;
+    },
+  },
+];
+
+/**
+ * Resolves a project's rule configuration against the rule defaults.
+ * @param {Object} [config] - Rule overrides keyed by rule id: a severity, `off`, or `{ severity, enabled }`.
+ * @returns {Object} - `{ rules, errors }`: `rules` lists `{ id, description, severity, enabled }`,
+ * `errors` names unknown rules and invalid severities.
+ */
+function resolveRules(config = {}) {
+  const errors = [];
+  const overrides = config && typeof config === 'object' && !Array.isArray(config) ? config : {};
+  if (overrides !== config && config !== undefined && config !== null) {
+    errors.push('rules must be an object keyed by rule id');
+  }
+
+  for (const [id, value] of Object.entries(overrides)) {
+    if (!RULES.some((rule) => rule.id === id)) {
+      errors.push(`unknown rule: ${id}`);
+      continue;
+    }
+    const severity = typeof value === 'object' && value !== null ? value.severity : value;
+    if (severity !== undefined && severity !== 'off' && !SEVERITIES.includes(severity)) {
+      errors.push(`${id}: severity must be one of ${[...SEVERITIES, 'off'].join(', ')}`);
+    }
+    if (typeof value === 'object' && value !== null && value.enabled !== undefined && typeof value.enabled !== 'boolean') {
+      errors.push(`${id}: enabled must be a boolean`);
+    }
+  }
+
+  const rules = RULES.map((rule) => {
+    const value = overrides[rule.id];
+    const override = typeof value === 'object' && value !== null ? value : { severity: value };
+    const severity = SEVERITIES.includes(override.severity) ? override.severity : rule.severity;
+    const enabled = override.severity !== 'off' && override.enabled !== false;
+    return { id: rule.id, description: rule.description, severity, enabled };
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Lints an OpenAPI 3 (or Swagger 2.0, linted after the upgrade to OpenAPI 3) document.
+ * The document must not be dereferenced, references are what some rules look at.
+ * @param {Object} spec - The API document.
+ * @param {Object} [config] - Rule overrides, see resolveRules.
+ * @returns {Object} - `{ valid, summary, findings }`; `valid` is false when there is an error finding.
+ * Findings are `{ rule, severity, path, message }` with a JSON path such as `$.paths['/users'].get`.
+ */
+function lintSpec(spec, config) {
+  const document = isSwagger2(spec) ? convertSwagger2ToOpenApi3(spec) : spec || {};
+  const { rules } = resolveRules(config);
+
+  const findings = [];
+  for (const { id, severity, enabled } of rules) {
+    if (!enabled) continue;
+    const rule = RULES.find((item) => item.id === id);
+    for (const finding of rule.check(document)) {
+      findings.push({ rule: id, severity, path: jsonPath(finding.path), message: finding.message });
+    }
+  }
+
+  const summary = { total: findings.length };
+  for (const severity of SEVERITIES) {
+    summary[severity] = findings.filter((finding) => finding.severity === severity).length;
+  }
+  return { valid: summary.error === 0, summary, findings };
+}
+
+function operations(spec) {
+  const list = [];
+  for (const [path, rawPathItem] of Object.entries(spec.paths || {})) {
+    const pathItem = resolveLocalRef(spec, rawPathItem) || {};
+    for (const method of HTTP_METHODS) {
+      if (pathItem[method] && typeof pathItem[method] === 'object') {
+        list.push({ path, method, operation: pathItem[method], pathItem });
+      }
+    }
+  }
+  return list;
+}
+
+// kebab-case, snake_case or camelCase; single lowercase words and templates fit every style
+function segmentStyle(segment) {
+  if (!segment || /^\{.*\}$/.test(segment) || /^[a-z0-9.]+$/.test(segment)) return null;
+  if (/^[a-z0-9]+(-[a-z0-9]+)+$/.test(segment)) return 'kebab-case';
+  if (/^[a-z0-9]+(_[a-z0-9]+)+$/.test(segment)) return 'snake_case';
+  if (/^[a-z][a-z0-9]*([A-Z][a-z0-9]*)+$/.test(segment)) return 'camelCase';
+  if (/^[A-Z][A-Za-z0-9]*$/.test(segment)) return 'PascalCase';
+  return 'mixed';
+}
+
+// References followed from everything outside `components`
+function reachableComponents(spec) {
+  const used = new Set();
+  const pending = [];
+  const collect = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (typeof node.$ref === 'string' && node.$ref.startsWith('#/components/')) {
+      const ref = node.$ref.split('/').slice(0, 4).join('/');
+      if (!used.has(ref)) {
+        used.add(ref);
+        pending.push(ref);
+      }
+    }
+    for (const value of Object.values(node)) collect(value);
+  };
+
+  for (const [key, value] of Object.entries(spec)) {
+    if (key !== 'components') collect(value);
+  }
+  while (pending.length > 0) {
+    collect(resolveLocalRef(spec, { $ref: pending.pop() }));
+  }
+  return used;
+}
+
+function usedSecuritySchemes(spec) {
+  const names = new Set();
+  const requirements = [...spec.security || [], ...operations(spec).flatMap(({ operation }) => operation.security || [])];
+  for (const requirement of requirements) {
+    for (const name of Object.keys(requirement || {})) names.add(name);
+  }
+  return names;
+}
+
+function resolveLocalRef(spec, value) {
+  if (!value || typeof value.$ref !== 'string' || !value.$ref.startsWith('#/')) {
+    return value;
+  }
+  return value.$ref
+    .slice(2)
+    .split('/')
+    .map((part) => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => (node ? node[key] : undefined), spec);
+}
+
+function escapePointer(name) {
+  return String(name).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * @param {Array} segments - Keys from the document root.
+ * @returns {string} - JSON path, e.g. `$.paths['/users/{id}'].get`.
+ */
+function jsonPath(segments) {
+  return segments.reduce((path, segment) => (
+    /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(segment)
+      ? `${path}.${segment}`
+      : `${path}['${String(segment).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`
+  ), '$');
+}
+
+module.exports = { lintSpec, resolveRules, SEVERITIES };
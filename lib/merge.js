@@ -0,0 +1,153 @@
+const { isSwagger2, convertSwagger2ToOpenApi3 } = require('./swagger2');
+const { getOpenApiVersion } = require('./openapi31');
+const { pascalCase } = require('./codegen');
+
+/**
+ * Merges the OpenAPI documents of a project into one document.
+ * Operations keep the servers of the document they come from, untagged operations are tagged with
+ * the documentation title, and components whose name is already taken by a different definition are
+ * renamed with the documentation title as prefix.
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Merges several API documents (OpenAPI 3.x or Swagger 2.0).
+ * @param {Array} documents - `{ title, spec }` per documentation.
+ * @param {Object} [info] - Info of the merged document (`title`, `description`, `version`).
+ * @returns {Object} - The merged document; operations documented twice keep their first definition
+ * and are listed in `x-merge-conflicts`.
+ */
+function mergeSpecs(documents, info = {}) {
+  const specs = documents.map(({ title, spec }) => ({
+    title,
+    spec: isSwagger2(spec) ? convertSwagger2ToOpenApi3(spec) : JSON.parse(JSON.stringify(spec)),
+  }));
+
+  const merged = {
+    openapi: specs.some(({ spec }) => getOpenApiVersion(spec) === '3.1') ? '3.1.0' : '3.0.3',
+    info: {
+      title: info.title || 'API documentation',
+      version: info.version || '1.0.0',
+      ...(info.description ? { description: info.description } : {}),
+    },
+    paths: {},
+    components: {},
+    tags: [],
+  };
+  const conflicts = [];
+
+  for (const { title, spec } of specs) {
+    const prefix = pascalCase(title || (spec.info && spec.info.title) || 'Api');
+    mergeComponents(merged, spec, prefix);
+
+    const tag = title || (spec.info && spec.info.title);
+    if (tag && !merged.tags.some((item) => item.name === tag)) {
+      merged.tags.push({ name: tag, ...(spec.info && spec.info.description ? { description: spec.info.description } : {}) });
+    }
+
+    for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+      const target = merged.paths[path] || (merged.paths[path] = {});
+      for (const [key, value] of Object.entries(pathItem || {})) {
+        if (!HTTP_METHODS.includes(key)) {
+          // Path level parameters and servers move onto the operations, documents sharing a path keep theirs apart
+          continue;
+        }
+        if (target[key]) {
+          conflicts.push({ path, method: key, documentation: title || null });
+          continue;
+        }
+        target[key] = withContext(value, pathItem, spec, tag);
+      }
+    }
+
+    for (const [name, pathItem] of Object.entries(spec.webhooks || {})) {
+      merged.webhooks = merged.webhooks || {};
+      if (merged.webhooks[name]) {
+        conflicts.push({ webhook: name, documentation: title || null });
+        continue;
+      }
+      merged.webhooks[name] = pathItem;
+    }
+
+    for (const [name, scheme] of Object.entries((spec.components || {}).securitySchemes || {})) {
+      merged.components.securitySchemes = merged.components.securitySchemes || {};
+      if (!merged.components.securitySchemes[name]) merged.components.securitySchemes[name] = scheme;
+    }
+  }
+
+  if (merged.tags.length === 0) delete merged.tags;
+  if (conflicts.length > 0) merged['x-merge-conflicts'] = conflicts;
+  return merged;
+}
+
+// The operation with the path level parameters, the document's servers and security, and a tag
+function withContext(operation, pathItem, spec, tag) {
+  const result = { ...operation };
+
+  const own = operation.parameters || [];
+  const shared = (pathItem.parameters || []).filter((param) =>
+    param.$ref || !own.some((item) => item.name === param.name && item.in === param.in)
+  );
+  if (shared.length > 0) {
+    result.parameters = [...shared, ...own];
+  }
+
+  const servers = operation.servers || pathItem.servers || spec.servers;
+  if (servers && servers.length > 0) {
+    result.servers = servers;
+  }
+  if (!operation.security && spec.security) {
+    result.security = spec.security;
+  }
+  if ((!operation.tags || operation.tags.length === 0) && tag) {
+    result.tags = [tag];
+  }
+  return result;
+}
+
+// Copies the components of a document, renaming those that clash and rewriting the document's references
+function mergeComponents(merged, spec, prefix) {
+  const renames = [];
+
+  for (const [section, entries] of Object.entries(spec.components || {})) {
+    if (section === 'securitySchemes' || !entries || typeof entries !== 'object') continue;
+    const target = merged.components[section] || (merged.components[section] = {});
+
+    for (const [name, value] of Object.entries(entries)) {
+      if (!target[name] || JSON.stringify(target[name]) === JSON.stringify(value)) continue;
+      let renamed = `${prefix}${name}`;
+      for (let counter = 2; target[renamed] || entries[renamed]; counter++) {
+        renamed = `${prefix}${name}${counter}`;
+      }
+      renames.push({ from: `#/components/${section}/${name}`, to: `#/components/${section}/${renamed}`, section, name, renamed });
+    }
+  }
+
+  // Rewrite before copying so renamed components point at each other's new names too
+  if (renames.length > 0) {
+    rewriteRefs(spec, new Map(renames.map((item) => [item.from, item.to])));
+  }
+
+  for (const [section, entries] of Object.entries(spec.components || {})) {
+    if (section === 'securitySchemes' || !entries || typeof entries !== 'object') continue;
+    for (const [name, value] of Object.entries(entries)) {
+      const rename = renames.find((item) => item.section === section && item.name === name);
+      merged.components[section][rename ? rename.renamed : name] = value;
+    }
+  }
+}
+
+function rewriteRefs(node, refs) {
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+  if (typeof node.$ref === 'string' && refs.has(node.$ref)) {
+    node.$ref = refs.get(node.$ref);
+  }
+  for (const value of Object.values(node)) {
+    rewriteRefs(value, refs);
+  }
+}
+
+module.exports = { mergeSpecs };
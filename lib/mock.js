@@ -0,0 +1,452 @@
+const { validateSchema, coerceValue } = require('./validator');
+
+/**
+ * Mock responses and request validation for a dereferenced OpenAPI 3 document.
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Generated payloads stop describing nested objects past this depth (guards circular schemas)
+const MAX_EXAMPLE_DEPTH = 6;
+
+// Example values for string formats
+const FORMAT_EXAMPLES = {
+  'date-time': '2024-01-01T00:00:00Z',
+  date: '2024-01-01',
+  time: '00:00:00',
+  uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+  email: 'user@example.com',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  hostname: 'example.com',
+  ipv4: '192.0.2.1',
+  ipv6: '2001:db8::1',
+  byte: 'ZXhhbXBsZQ==',
+  binary: '',
+  password: '********',
+};
+
+/**
+ * Finds the operation matching a request path and method.
+ * Literal path segments win over templated ones, so `/users/me` is preferred to `/users/{id}`.
+ * The path may also carry the path of the first server URL (e.g. `/v1/users` for a `https://host/v1` server).
+ * @param {Object} spec - The dereferenced OpenAPI 3 document.
+ * @param {string} method - HTTP method of the request.
+ * @param {string} requestPath - Path of the request, relative to the mock root.
+ * @returns {Object|null} - `{ template, pathItem, operation, pathParams }`, `{ template, pathItem, allowed }` when
+ * only the method is wrong, or null when no path matches.
+ */
+function matchOperation(spec, method, requestPath) {
+  const candidates = [normalizePath(requestPath)];
+  const basePath = serverBasePath(spec);
+  if (basePath && candidates[0].startsWith(`${basePath}/`)) {
+    candidates.push(candidates[0].slice(basePath.length));
+  }
+
+  for (const candidate of candidates) {
+    const matches = Object.keys(spec.paths || {})
+      .map((template) => ({ template, pathParams: matchTemplate(template, candidate) }))
+      .filter((match) => match.pathParams !== null)
+      .sort((a, b) => Object.keys(a.pathParams).length - Object.keys(b.pathParams).length);
+
+    if (matches.length === 0) {
+      continue;
+    }
+
+    const lower = method.toLowerCase();
+    const withMethod = matches.find((match) => spec.paths[match.template][lower]);
+    if (withMethod) {
+      const pathItem = spec.paths[withMethod.template];
+      return { ...withMethod, pathItem, operation: pathItem[lower] };
+    }
+
+    const pathItem = spec.paths[matches[0].template];
+    return {
+      template: matches[0].template,
+      pathItem,
+      allowed: HTTP_METHODS.filter((item) => pathItem[item]).map((item) => item.toUpperCase()),
+    };
+  }
+
+  return null;
+}
+
+// Returns the decoded values of the template parameters, or null when the path doesn't match
+function matchTemplate(template, requestPath) {
+  const templateSegments = normalizePath(template).split('/');
+  const pathSegments = requestPath.split('/');
+  if (templateSegments.length !== pathSegments.length) {
+    return null;
+  }
+
+  const params = {};
+  for (let i = 0; i < templateSegments.length; i++) {
+    const segment = templateSegments[i];
+    const value = safeDecode(pathSegments[i]);
+    const names = [];
+    const pattern = segment.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+
+    const result = new RegExp(`^${pattern}$`).exec(value);
+    if (!result) {
+      return null;
+    }
+    names.forEach((name, index) => {
+      params[name] = result[index + 1];
+    });
+  }
+  return params;
+}
+
+/**
+ * Validates the path, query, header and body inputs of a request against the operation.
+ * @param {Object} pathItem - The dereferenced path item.
+ * @param {Object} operation - The dereferenced operation.
+ * @param {Object} request - `{ pathParams, query, headers, body, hasBody, contentType }`.
+ * @returns {Array} - `{ in, name, path, message }` for every problem; empty when the request is valid.
+ */
+function validateRequest(pathItem, operation, request) {
+  const errors = [];
+
+  for (const param of operationParameters(pathItem, operation)) {
+    const raw = readParameter(param, request);
+    if (raw === undefined) {
+      if (param.required || param.in === 'path') {
+        errors.push({ in: param.in, name: param.name, path: param.name, message: 'is required' });
+      }
+      continue;
+    }
+
+    const schema = param.schema || {};
+    for (const error of validateSchema(schema, coerceValue(schema, raw), param.name)) {
+      errors.push({ in: param.in, name: param.name, ...error });
+    }
+  }
+
+  const requestBody = operation.requestBody;
+  if (requestBody) {
+    if (!request.hasBody) {
+      if (requestBody.required) {
+        errors.push({ in: 'body', name: 'body', path: '$', message: 'is required' });
+      }
+    } else {
+      const content = requestBody.content || {};
+      const mediaType = pickMediaType(content, request.contentType);
+      if (!mediaType) {
+        errors.push({
+          in: 'body',
+          name: 'body',
+          path: '$',
+          message: `content type ${request.contentType || 'none'} is not one of ${Object.keys(content).join(', ')}`,
+        });
+      } else if (content[mediaType] && content[mediaType].schema && /json/i.test(mediaType)) {
+        for (const error of validateSchema(content[mediaType].schema, request.body)) {
+          errors.push({ in: 'body', name: 'body', ...error });
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Merges path item and operation parameters (the operation overrides by name and location).
+ * @param {Object} pathItem - The path item.
+ * @param {Object} operation - The operation.
+ * @returns {Array} - The parameters that apply to the operation.
+ */
+function operationParameters(pathItem, operation) {
+  const own = operation.parameters || [];
+  const shared = (pathItem.parameters || []).filter((param) =>
+    !own.some((item) => item.name === param.name && item.in === param.in)
+  );
+  return [...shared, ...own].filter((param) => param && param.name && param.in);
+}
+
+function readParameter(param, request) {
+  switch (param.in) {
+    case 'path':
+      return request.pathParams[param.name];
+    case 'query':
+      return request.query[param.name];
+    case 'header':
+      return request.headers[param.name.toLowerCase()];
+    case 'cookie':
+      return parseCookies(request.headers.cookie)[param.name];
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Picks the response to mock for a status code.
+ * Without a requested code the first documented 2xx response is used, then `default`, then the first one.
+ * @param {Object} operation - The dereferenced operation.
+ * @param {string} [requestedCode] - Status code asked for by the client.
+ * @returns {Object|null} - `{ status, response }`, or null when the requested code isn't documented.
+ */
+function selectResponse(operation, requestedCode) {
+  const responses = operation.responses || {};
+  const codes = Object.keys(responses);
+
+  if (requestedCode) {
+    const code = String(requestedCode);
+    const key = codes.find((item) => item === code)
+      || codes.find((item) => item.toUpperCase() === `${code[0]}XX`)
+      || (codes.includes('default') ? 'default' : null);
+    return key ? { status: Number(code), response: responses[key] } : null;
+  }
+
+  const success = codes.filter((code) => /^2/.test(code)).sort()[0];
+  const key = success || (codes.includes('default') ? 'default' : codes[0]);
+  if (!key) {
+    return { status: 200, response: { description: 'OK' } };
+  }
+  return { status: statusFromKey(key), response: responses[key] };
+}
+
+function statusFromKey(key) {
+  if (key === 'default') return 200;
+  if (/^\dXX$/i.test(key)) return Number(`${key[0]}00`);
+  return Number(key);
+}
+
+/**
+ * Builds the body of a mocked response: the documented example if there is one, otherwise a payload
+ * generated from the schema.
+ * @param {Object} response - The response object.
+ * @param {string} [accept] - Accept header of the request.
+ * @returns {Object|null} - `{ contentType, body }`, or null when the response has no content.
+ */
+function mockResponseBody(response, accept) {
+  const content = (response && response.content) || {};
+  const mediaType = pickMediaType(content, accept, true);
+  if (!mediaType) {
+    return null;
+  }
+
+  const media = content[mediaType] || {};
+  return { contentType: mediaType, body: mediaExample(media) };
+}
+
+/**
+ * Returns the example of a media type object, generating one from its schema when none is documented.
+ * @param {Object} media - The media type object.
+ * @returns {*} - The example payload.
+ */
+function mediaExample(media) {
+  if (media.example !== undefined) {
+    return media.example;
+  }
+  const examples = Object.values(media.examples || {});
+  if (examples.length > 0 && examples[0] && examples[0].value !== undefined) {
+    return examples[0].value;
+  }
+  return generateExample(media.schema || {});
+}
+
+/**
+ * Generates a value that satisfies a schema, preferring `example`, `default` and `enum` values.
+ * @param {Object} schema - The dereferenced schema.
+ * @param {number} [depth] - Current nesting depth.
+ * @returns {*} - The generated value.
+ */
+function generateExample(schema, depth = 0) {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+  if (Array.isArray(schema.allOf)) {
+    return schema.allOf.reduce((merged, part) => {
+      const value = generateExample(part, depth);
+      return isPlainObject(value) && isPlainObject(merged) ? { ...merged, ...value } : value;
+    }, {});
+  }
+  for (const keyword of ['oneOf', 'anyOf']) {
+    if (Array.isArray(schema[keyword]) && schema[keyword].length > 0) {
+      return generateExample(schema[keyword][0], depth);
+    }
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find((item) => item !== 'null') : schema.type;
+  switch (type || (schema.properties ? 'object' : schema.items ? 'array' : undefined)) {
+    case 'object': {
+      if (depth >= MAX_EXAMPLE_DEPTH) return {};
+      const value = {};
+      const required = schema.required || [];
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        if (property && property.writeOnly) continue;
+        // Optional self references (`parent: User`) would only repeat the same object
+        if (property === schema && !required.includes(name)) continue;
+        value[name] = generateExample(property, depth + 1);
+      }
+      return value;
+    }
+    case 'array': {
+      if (depth >= MAX_EXAMPLE_DEPTH) return [];
+      const count = Math.max(schema.minItems || 1, 1);
+      return Array.from({ length: count }, () => generateExample(schema.items || {}, depth + 1));
+    }
+    case 'integer':
+    case 'number':
+      return exampleNumber(schema, type);
+    case 'boolean':
+      return true;
+    case 'string':
+      return exampleString(schema);
+    default:
+      return schema.nullable ? null : {};
+  }
+}
+
+function exampleNumber(schema, type) {
+  let value = schema.minimum !== undefined ? schema.minimum : 0;
+  if (schema.exclusiveMinimum === true || typeof schema.exclusiveMinimum === 'number') {
+    value = (typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : value) + 1;
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    value = schema.maximum;
+  }
+  if (schema.multipleOf) {
+    value = Math.ceil(value / schema.multipleOf) * schema.multipleOf;
+  }
+  return type === 'integer' ? Math.round(value) : value;
+}
+
+function exampleString(schema) {
+  let value = FORMAT_EXAMPLES[schema.format] !== undefined ? FORMAT_EXAMPLES[schema.format] : 'string';
+  if (schema.minLength && value.length < schema.minLength) {
+    value = value.padEnd(schema.minLength, 'x');
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    value = value.slice(0, schema.maxLength);
+  }
+  return value;
+}
+
+/**
+ * Builds the 400 answer for a request that failed validation.
+ * When the operation documents a 400 (or 4XX/default) response its shape is used, with message-like
+ * fields filled in; otherwise a plain `{ error, details }` body is returned.
+ * @param {Object} operation - The dereferenced operation.
+ * @param {Array} errors - Validation errors from validateRequest.
+ * @param {string} [accept] - Accept header of the request.
+ * @returns {Object} - `{ contentType, body }`.
+ */
+function mockValidationError(operation, errors, accept) {
+  const fallback = { contentType: 'application/json', body: { error: 'Request validation failed', details: errors } };
+  const responses = operation.responses || {};
+  const response = responses['400'] || responses['4XX'] || responses['4xx'] || responses.default;
+
+  const mocked = mockResponseBody(response, accept);
+  if (!mocked || !/json/i.test(mocked.contentType) || !isPlainObject(mocked.body)) {
+    return fallback;
+  }
+
+  const body = { ...mocked.body };
+  for (const key of ['message', 'error', 'detail', 'title']) {
+    if (typeof body[key] === 'string') {
+      body[key] = 'Request validation failed';
+    }
+  }
+  for (const key of ['errors', 'details']) {
+    if (Array.isArray(body[key])) {
+      body[key] = errors.map((error) => (typeof body[key][0] === 'string' ? `${error.path} ${error.message}` : error));
+    }
+  }
+  return { contentType: mocked.contentType, body };
+}
+
+/**
+ * Picks the media type of a content map that suits the request.
+ * @param {Object} content - Media type map.
+ * @param {string} [wanted] - Content-Type (or Accept) header.
+ * @param {boolean} [fallback] - Use JSON or the first media type when nothing matches.
+ * @returns {string|null} - The media type key.
+ */
+function pickMediaType(content, wanted, fallback = false) {
+  const mediaTypes = Object.keys(content || {});
+  if (mediaTypes.length === 0) {
+    return null;
+  }
+
+  const requested = String(wanted || '')
+    .split(',')
+    .map((item) => item.split(';')[0].trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const type of requested) {
+    const match = mediaTypes.find((mediaType) => mediaTypeMatches(mediaType.toLowerCase(), type));
+    if (match) return match;
+  }
+
+  if (!fallback && requested.length > 0) {
+    return null;
+  }
+  return mediaTypes.find((mediaType) => /json/i.test(mediaType)) || mediaTypes[0];
+}
+
+// `application/*` and `*/*` ranges work in both directions (spec ranges and Accept ranges)
+function mediaTypeMatches(a, b) {
+  const [typeA, subA] = a.split('/');
+  const [typeB, subB] = b.split('/');
+  return (typeA === typeB || typeA === '*' || typeB === '*') && (subA === subB || subA === '*' || subB === '*');
+}
+
+function serverBasePath(spec) {
+  const server = (spec.servers || [])[0];
+  if (!server || !server.url) {
+    return '';
+  }
+  try {
+    return normalizePath(new URL(server.url, 'http://localhost').pathname);
+  } catch (err) {
+    return '';
+  }
+}
+
+function normalizePath(value) {
+  const withSlash = String(value || '/').startsWith('/') ? String(value || '/') : `/${value}`;
+  return withSlash.length > 1 ? withSlash.replace(/\/+$/, '') : withSlash;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) cookies[part.slice(0, index).trim()] = safeDecode(part.slice(index + 1).trim());
+  }
+  return cookies;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+module.exports = {
+  matchOperation,
+  validateRequest,
+  operationParameters,
+  selectResponse,
+  mockResponseBody,
+  mockValidationError,
+  mediaExample,
+  generateExample,
+  pickMediaType,
+};
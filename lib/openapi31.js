@@ -0,0 +1,166 @@
+/**
+ * OpenAPI 3.1 helpers.
+ * OpenAPI 3.1 schemas are JSON Schema 2020-12; the flattened output keeps the OpenAPI 3.0 flavour
+ * (`nullable`, single `type`, `example`) so consumers don't have to care which version was uploaded.
+ */
+
+/**
+ * Detects the specification version of an API document.
+ * @param {Object} spec - The API document.
+ * @returns {string|null} - '2.0', '3.0', '3.1' or null when unknown.
+ */
+function getOpenApiVersion(spec) {
+  if (!spec || typeof spec !== 'object') {
+    return null;
+  }
+  if (String(spec.swagger) === '2.0') {
+    return '2.0';
+  }
+  const match = /^3\.(0|1)\.\d+/.exec(String(spec.openapi || ''));
+  return match ? `3.${match[1]}` : null;
+}
+
+/**
+ * Converts a JSON Schema 2020-12 (OpenAPI 3.1) schema into its OpenAPI 3.0 equivalent.
+ * Handles dereferenced (possibly circular) schemas.
+ * @param {Object} schema - The OpenAPI 3.1 schema.
+ * @param {WeakMap} [seen] - Already converted schemas, used to keep circular references intact.
+ * @returns {Object} - The OpenAPI 3.0 schema.
+ */
+function normalizeSchema31(schema, seen = new WeakMap()) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return schema;
+  }
+  if (seen.has(schema)) {
+    return seen.get(schema);
+  }
+
+  const normalized = {};
+  seen.set(schema, normalized);
+
+  for (const [key, value] of Object.entries(schema)) {
+    switch (key) {
+      case 'type':
+        Object.assign(normalized, normalizeType(value));
+        break;
+      case 'examples':
+        // 3.1 schemas list examples in an array, 3.0 has a single `example`
+        if (Array.isArray(value)) {
+          if (value.length > 0 && normalized.example === undefined) normalized.example = value[0];
+        } else {
+          normalized.examples = value;
+        }
+        break;
+      case 'const':
+        normalized.enum = [value];
+        break;
+      case 'exclusiveMinimum':
+      case 'exclusiveMaximum':
+        if (typeof value === 'number') {
+          normalized[key === 'exclusiveMinimum' ? 'minimum' : 'maximum'] = value;
+          normalized[key] = true;
+        } else {
+          normalized[key] = value;
+        }
+        break;
+      case 'contentEncoding':
+        if (value === 'base64') normalized.format = 'byte';
+        break;
+      case 'contentMediaType':
+        if (schema.contentEncoding === undefined) normalized.format = 'binary';
+        break;
+      case 'properties':
+      case 'patternProperties':
+      case '$defs':
+      case 'dependentSchemas':
+        normalized[key] = mapValues(value, (item) => normalizeSchema31(item, seen));
+        break;
+      case 'items':
+      case 'additionalProperties':
+      case 'not':
+      case 'contains':
+      case 'propertyNames':
+      case 'unevaluatedProperties':
+      case 'unevaluatedItems':
+      case 'if':
+      case 'then':
+      case 'else':
+        normalized[key] = normalizeSchema31(value, seen);
+        break;
+      case 'prefixItems':
+        // Tuples have no 3.0 equivalent, the closest is an array of any of the listed item types
+        normalized.items = { oneOf: value.map((item) => normalizeSchema31(item, seen)) };
+        break;
+      case 'allOf':
+      case 'anyOf':
+      case 'oneOf':
+        normalized[key] = value.map((item) => normalizeSchema31(item, seen));
+        break;
+      default:
+        normalized[key] = value;
+    }
+  }
+
+  // `oneOf: [X, { type: 'null' }]` is the other common way 3.1 writes nullable
+  for (const keyword of ['oneOf', 'anyOf']) {
+    const variants = normalized[keyword];
+    if (Array.isArray(variants) && variants.some(isNullSchema)) {
+      const others = variants.filter((variant) => !isNullSchema(variant));
+      normalized.nullable = true;
+      if (others.length === 1 && Object.keys(normalized).length === 2) {
+        delete normalized[keyword];
+        Object.assign(normalized, others[0], { nullable: true });
+      } else {
+        normalized[keyword] = others;
+      }
+    }
+  }
+
+  return normalized;
+}
+
+// `type: ['string', 'null']` becomes `type: 'string', nullable: true`
+function normalizeType(type) {
+  if (!Array.isArray(type)) {
+    return type === 'null' ? { nullable: true } : { type };
+  }
+
+  const types = type.filter((item) => item !== 'null');
+  const result = type.includes('null') ? { nullable: true } : {};
+  if (types.length === 1) {
+    result.type = types[0];
+  } else if (types.length > 1) {
+    result.oneOf = types.map((item) => ({ type: item }));
+  }
+  return result;
+}
+
+// Variants are normalized before this check, so `{ type: 'null' }` already reads `{ nullable: true }`
+function isNullSchema(schema) {
+  return Boolean(schema) && Object.keys(schema).length === 1 && schema.nullable === true;
+}
+
+/**
+ * Normalizes every schema inside a dereferenced media type map (requestBody/response `content`).
+ * @param {Object} content - Media type map.
+ * @returns {Object} - Media type map with OpenAPI 3.0 style schemas.
+ */
+function normalizeContent31(content) {
+  return mapValues(content || {}, (mediaType) => {
+    if (!mediaType || typeof mediaType !== 'object') {
+      return mediaType;
+    }
+    const normalized = { ...mediaType };
+    if (mediaType.schema) normalized.schema = normalizeSchema31(mediaType.schema);
+    return normalized;
+  });
+}
+
+function mapValues(object, fn) {
+  if (!object || typeof object !== 'object') {
+    return object;
+  }
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+module.exports = { getOpenApiVersion, normalizeSchema31, normalizeContent31 };
@@ -0,0 +1,222 @@
+const axios = require('axios');
+const { validateSchema } = require('./validator');
+const { operationParameters, pickMediaType } = require('./mock');
+
+/**
+ * Executes documented operations against a live server: builds the HTTP request from a dereferenced
+ * OpenAPI 3 document and checks the response against the documented schema.
+ */
+
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Resolves the base URL of the API from the document's first server, filling server variables
+ * with their defaults. An explicit base URL wins over the document.
+ * @param {Object} spec - The dereferenced OpenAPI 3 document.
+ * @param {string} [override] - Base URL given by the caller.
+ * @returns {string|null} - Absolute base URL, or null when none can be determined.
+ */
+function resolveServerUrl(spec, override) {
+  if (override) {
+    return isAbsoluteUrl(override) ? override.replace(/\/+$/, '') : null;
+  }
+
+  const server = (spec.servers || []).find((item) => item && item.url) || null;
+  if (!server) {
+    return null;
+  }
+
+  const url = server.url.replace(/\{([^}]+)\}/g, (match, name) => {
+    const variable = (server.variables || {})[name];
+    return variable && variable.default !== undefined ? variable.default : match;
+  });
+  return isAbsoluteUrl(url) ? url.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Builds the HTTP request for an operation from caller supplied values.
+ * @param {Object} options - Request options.
+ * @param {string} options.baseUrl - Absolute base URL of the API.
+ * @param {string} options.path - Path template of the operation.
+ * @param {string} options.method - HTTP method.
+ * @param {Object} options.pathItem - The dereferenced path item.
+ * @param {Object} options.operation - The dereferenced operation.
+ * @param {Object} [options.params] - Values keyed by location: `{ path, query, header, cookie }`.
+ * @param {*} [options.body] - Request body.
+ * @param {string} [options.contentType] - Media type of the body (defaults to the first documented one).
+ * @returns {Object} - `{ request }` with `{ method, url, headers, data }`, or `{ errors }` when required values are missing.
+ */
+function buildRequest(options) {
+  const params = options.params || {};
+  const values = {
+    path: params.path || {},
+    query: params.query || {},
+    header: params.header || {},
+    cookie: params.cookie || {},
+  };
+  const errors = [];
+
+  // Required documented parameters need a value, undocumented ones are passed through as given
+  const documented = operationParameters(options.pathItem, options.operation);
+  for (const param of documented) {
+    const value = values[param.in] ? values[param.in][param.name] : undefined;
+    if ((value === undefined || value === '') && (param.required || param.in === 'path')) {
+      errors.push({ in: param.in, name: param.name, message: 'is required' });
+    }
+  }
+
+  const missingPath = [];
+  const path = options.path.replace(/\{([^}]+)\}/g, (match, name) => {
+    const value = values.path[name];
+    if (value === undefined || value === '') {
+      missingPath.push(name);
+      return match;
+    }
+    return encodeURIComponent(String(value));
+  });
+  for (const name of missingPath) {
+    if (!errors.some((error) => error.in === 'path' && error.name === name)) {
+      errors.push({ in: 'path', name, message: 'is required' });
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const url = new URL(`${options.baseUrl}${path}`);
+  for (const [name, value] of Object.entries(values.query)) {
+    if (value === undefined || value === null) continue;
+    for (const item of Array.isArray(value) ? value : [value]) {
+      url.searchParams.append(name, typeof item === 'object' ? JSON.stringify(item) : String(item));
+    }
+  }
+
+  const headers = {};
+  for (const [name, value] of Object.entries(values.header)) {
+    if (value !== undefined && value !== null) headers[name] = String(value);
+  }
+  const cookies = Object.entries(values.cookie)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}=${encodeURIComponent(String(value))}`);
+  if (cookies.length > 0) {
+    headers.Cookie = cookies.join('; ');
+  }
+
+  const request = { method: options.method.toUpperCase(), url: url.toString(), headers, data: undefined };
+
+  if (options.body !== undefined && options.body !== null) {
+    const content = (options.operation.requestBody && options.operation.requestBody.content) || {};
+    const contentType = options.contentType || pickMediaType(content, undefined, true) || 'application/json';
+    request.headers['Content-Type'] = contentType;
+    request.data = serializeBody(options.body, contentType);
+  }
+
+  return { request };
+}
+
+function serializeBody(body, contentType) {
+  if (typeof body === 'string') {
+    return body;
+  }
+  if (/x-www-form-urlencoded/i.test(contentType)) {
+    return new URLSearchParams(Object.entries(body).map(([key, value]) => [key, String(value)])).toString();
+  }
+  return JSON.stringify(body);
+}
+
+/**
+ * Sends a request and records the response.
+ * Any status is a result (not an error); only network failures and timeouts reject.
+ * @param {Object} request - `{ method, url, headers, data }` as returned by buildRequest.
+ * @param {Object} [options] - `timeout` in milliseconds.
+ * @returns {Promise<Object>} - `{ status, statusText, headers, body, durationMs }`.
+ */
+async function executeRequest(request, options = {}) {
+  const started = process.hrtime.bigint();
+  const response = await axios.request({
+    method: request.method,
+    url: request.url,
+    headers: request.headers,
+    data: request.data,
+    timeout: options.timeout || DEFAULT_TIMEOUT,
+    responseType: 'text',
+    transformResponse: [(data) => data],
+    validateStatus: () => true,
+    maxRedirects: 0,
+  });
+  const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers: typeof response.headers.toJSON === 'function' ? response.headers.toJSON() : { ...response.headers },
+    body: parseResponseBody(response.data, response.headers['content-type']),
+    durationMs: Math.round(durationMs * 100) / 100,
+  };
+}
+
+function parseResponseBody(text, contentType) {
+  if (typeof text !== 'string' || text === '') {
+    return text === '' ? null : text;
+  }
+  if (/json/i.test(String(contentType || ''))) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      return text;
+    }
+  }
+  return text;
+}
+
+/**
+ * Checks a response against the operation's documented responses.
+ * @param {Object} operation - The dereferenced operation.
+ * @param {Object} response - `{ status, headers, body }`.
+ * @returns {Object} - `{ documented, matched, responseKey, errors }`; errors are `{ path, message }`.
+ */
+function checkResponse(operation, response) {
+  const responses = operation.responses || {};
+  const code = String(response.status);
+  const responseKey = [code, `${code[0]}XX`, `${code[0]}xx`, 'default'].find((key) => responses[key]);
+
+  if (!responseKey) {
+    return {
+      documented: false,
+      matched: false,
+      responseKey: null,
+      errors: [{ path: '$', message: `status ${code} is not documented` }],
+    };
+  }
+
+  const content = responses[responseKey].content || {};
+  if (Object.keys(content).length === 0) {
+    return { documented: true, matched: true, responseKey, errors: [] };
+  }
+
+  const contentType = String(response.headers['content-type'] || '');
+  const mediaType = pickMediaType(content, contentType);
+  if (!mediaType) {
+    return {
+      documented: true,
+      matched: false,
+      responseKey,
+      errors: [{ path: '$', message: `content type ${contentType || 'none'} is not one of ${Object.keys(content).join(', ')}` }],
+    };
+  }
+
+  const schema = content[mediaType] && content[mediaType].schema;
+  if (!schema || !/json/i.test(mediaType)) {
+    return { documented: true, matched: true, responseKey, errors: [] };
+  }
+
+  const errors = validateSchema(schema, response.body);
+  return { documented: true, matched: errors.length === 0, responseKey, errors };
+}
+
+function isAbsoluteUrl(value) {
+  return /^https?:\/\//i.test(String(value || ''));
+}
+
+module.exports = { resolveServerUrl, buildRequest, executeRequest, checkResponse };
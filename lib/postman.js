@@ -0,0 +1,535 @@
+const { enhanceSchema } = require('./schema');
+
+/**
+ * Postman Collection v2.1 to OpenAPI 3.0 conversion.
+ * Folders become tags, saved bodies and example responses become schemas (through enhanceSchema)
+ * and the collection variables used in the base URL become server variables.
+ */
+
+const POSTMAN_SCHEMA_PATTERN = /schema\.getpostman\.com\/json\/collection\/v2\.[01]/;
+
+// Headers OpenAPI describes elsewhere (content negotiation and security schemes)
+const RESERVED_HEADERS = ['content-type', 'accept', 'authorization'];
+
+/**
+ * Checks whether the payload looks like a Postman Collection v2.x.
+ * @param {Object} collection - The uploaded collection.
+ * @returns {boolean} - True for v2.0/v2.1 collections.
+ */
+function isPostmanCollection(collection) {
+  return Boolean(collection)
+    && typeof collection === 'object'
+    && Boolean(collection.info)
+    && POSTMAN_SCHEMA_PATTERN.test(String(collection.info.schema || ''))
+    && Array.isArray(collection.item);
+}
+
+/**
+ * Converts a Postman collection into an OpenAPI 3.0 document.
+ * @param {Object} collection - The Postman Collection v2.1 JSON.
+ * @returns {Object} - `{ openapi, operations }`, where `operations` lists every converted request
+ *   with its path, method and raw samples (used to store one documentation per request).
+ */
+function convertPostmanCollection(collection) {
+  const requests = [];
+  const tags = [];
+  collectRequests(collection.item || [], [], requests, tags);
+
+  const variables = collectionVariables(collection.variable);
+  const origins = requests.map((entry) => splitUrl(entry.request.url).origin).filter(Boolean);
+  const serverUrl = mostCommon(origins) || '/';
+
+  const openapi = {
+    openapi: '3.0.3',
+    info: {
+      title: collection.info.name || 'Imported Postman collection',
+      version: collection.info.version ? String(collection.info.version) : '1.0.0',
+    },
+    servers: [buildServer(serverUrl, variables)],
+    paths: {},
+  };
+
+  const description = textOf(collection.info.description);
+  if (description) openapi.info.description = description;
+  if (tags.length > 0) openapi.tags = tags;
+
+  const securitySchemes = {};
+  const collectionSecurity = convertAuth(collection.auth, securitySchemes);
+  if (collectionSecurity) openapi.security = collectionSecurity;
+
+  const operations = [];
+  const operationIds = new Set();
+
+  for (const entry of requests) {
+    const { request, responses, name, folders } = entry;
+    const { origin, path, pathVariables } = splitUrl(request.url);
+    const method = String(request.method || 'GET').toLowerCase();
+
+    const operation = {
+      summary: name,
+      operationId: uniqueOperationId(name || `${method} ${path}`, operationIds),
+    };
+    if (folders.length > 0) operation.tags = [folders.join(' / ')];
+
+    const requestDescription = textOf(request.description);
+    if (requestDescription) operation.description = requestDescription;
+
+    const parameters = [
+      ...pathParameters(path, pathVariables),
+      ...queryParameters(request.url),
+      ...headerParameters(request.header),
+    ];
+    if (parameters.length > 0) operation.parameters = parameters;
+
+    const body = convertBody(request.body, request.header);
+    if (body) operation.requestBody = body.requestBody;
+
+    operation.responses = convertResponses(responses);
+
+    const security = convertAuth(request.auth, securitySchemes);
+    if (security) operation.security = security;
+
+    // Requests against another host keep their own server
+    if (origin && origin !== serverUrl) {
+      operation.servers = [buildServer(origin, variables)];
+    }
+
+    openapi.paths[path] = openapi.paths[path] || {};
+    const existing = openapi.paths[path][method];
+    if (existing) {
+      // Same method and path saved twice: keep the first request, add the responses it lacks
+      for (const [code, response] of Object.entries(operation.responses)) {
+        if (!existing.responses[code]) existing.responses[code] = response;
+      }
+    } else {
+      openapi.paths[path][method] = operation;
+    }
+
+    operations.push({
+      name,
+      path,
+      method,
+      url: rawUrl(request.url),
+      input: body ? body.sample : undefined,
+      output: firstResponseSample(responses),
+    });
+  }
+
+  if (Object.keys(securitySchemes).length > 0) {
+    openapi.components = { securitySchemes };
+  }
+
+  return { openapi, operations };
+}
+
+/**
+ * Builds an OpenAPI document holding a single operation of a converted collection.
+ * @param {Object} openapi - The full converted document.
+ * @param {Object} operation - One entry of `operations`.
+ * @returns {Object} - OpenAPI document with just that path and method.
+ */
+function extractOperation(openapi, operation) {
+  const { paths, tags, ...rest } = openapi;
+  const single = JSON.parse(JSON.stringify({
+    ...rest,
+    paths: { [operation.path]: { [operation.method]: paths[operation.path][operation.method] } },
+  }));
+
+  const operationTags = single.paths[operation.path][operation.method].tags || [];
+  if (tags && operationTags.length > 0) {
+    single.tags = tags.filter((tag) => operationTags.includes(tag.name));
+  }
+  return single;
+}
+
+// Walks folders depth first, collecting requests and one tag per folder
+function collectRequests(items, folders, requests, tags) {
+  for (const item of items) {
+    if (Array.isArray(item.item)) {
+      const folderPath = [...folders, item.name];
+      const tag = { name: folderPath.join(' / ') };
+      const description = textOf(item.description);
+      if (description) tag.description = description;
+      tags.push(tag);
+      collectRequests(item.item, folderPath, requests, tags);
+    } else if (item.request) {
+      // A request may be saved as a bare URL string
+      const request = typeof item.request === 'string' ? { method: 'GET', url: item.request } : item.request;
+      requests.push({ name: item.name, request, responses: item.response || [], folders });
+    }
+  }
+}
+
+function collectionVariables(variables) {
+  const result = {};
+  for (const variable of variables || []) {
+    const name = variable.key || variable.id;
+    if (!name || variable.disabled) continue;
+    result[name] = {
+      default: variable.value === undefined || variable.value === null ? '' : String(variable.value),
+    };
+    const description = textOf(variable.description);
+    if (description) result[name].description = description;
+  }
+  return result;
+}
+
+// Server URL with {{var}} turned into {var}; only the collection variables the URL uses become
+// server variables, the others may hold secrets such as tokens
+function buildServer(origin, variables) {
+  const url = templateVariables(origin);
+  const server = { url };
+  const used = [...url.matchAll(/\{([^}]+)\}/g)].map((match) => match[1]);
+
+  const serverVariables = {};
+  for (const name of used) {
+    serverVariables[name] = variables[name] || { default: '' };
+  }
+  if (Object.keys(serverVariables).length > 0) {
+    server.variables = serverVariables;
+  }
+  return server;
+}
+
+/**
+ * Splits a Postman URL (string or object form) into origin and OpenAPI path template.
+ */
+function splitUrl(url) {
+  const raw = rawUrl(url);
+  const pathVariables = {};
+
+  let origin = '';
+  let segments = [];
+
+  if (url && typeof url === 'object' && (url.host || url.path)) {
+    const host = Array.isArray(url.host) ? url.host.join('.') : url.host || '';
+    const protocol = url.protocol ? `${url.protocol}://` : (/^\{\{/.test(host) ? '' : 'https://');
+    origin = host ? `${protocol}${host}${url.port ? `:${url.port}` : ''}` : '';
+    segments = Array.isArray(url.path) ? url.path : String(url.path || '').split('/');
+    for (const variable of url.variable || []) {
+      pathVariables[variable.key] = variable;
+    }
+  } else {
+    const withoutQuery = raw.split('?')[0].split('#')[0];
+    const match = /^((?:[a-z][a-z0-9+.-]*:\/\/)?[^/]*)(\/.*)?$/i.exec(withoutQuery) || [];
+    origin = match[1] || '';
+    segments = (match[2] || '').split('/');
+  }
+
+  const path = '/' + segments
+    .map((segment) => (typeof segment === 'object' && segment !== null ? segment.value : segment))
+    .filter((segment) => segment !== undefined && segment !== '')
+    .map((segment) => templateVariables(String(segment)).replace(/^:(.+)$/, '{$1}'))
+    .join('/');
+
+  return { origin, path, pathVariables };
+}
+
+function rawUrl(url) {
+  if (!url) return '';
+  if (typeof url === 'string') return url;
+  return url.raw || '';
+}
+
+function pathParameters(path, pathVariables) {
+  const names = [...path.matchAll(/\{([^}]+)\}/g)].map((match) => match[1]);
+  return names.map((name) => {
+    const variable = pathVariables[name] || {};
+    const parameter = { name, in: 'path', required: true, schema: { type: 'string' } };
+    const description = textOf(variable.description);
+    if (description) parameter.description = description;
+    if (variable.value !== undefined && variable.value !== '') parameter.example = variable.value;
+    return parameter;
+  });
+}
+
+function queryParameters(url) {
+  const query = url && typeof url === 'object' && Array.isArray(url.query)
+    ? url.query
+    : parseQueryString(rawUrl(url));
+
+  const seen = new Set();
+  const parameters = [];
+  for (const entry of query) {
+    if (!entry.key || seen.has(entry.key)) continue;
+    seen.add(entry.key);
+
+    const type = inferScalarType(entry.value);
+    const parameter = {
+      name: entry.key,
+      in: 'query',
+      required: false,
+      schema: { type },
+    };
+    const description = textOf(entry.description);
+    if (description) parameter.description = description;
+    if (entry.value !== undefined && entry.value !== null && entry.value !== '') {
+      parameter.example = type === 'string' ? entry.value : JSON.parse(entry.value);
+    }
+    parameters.push(parameter);
+  }
+  return parameters;
+}
+
+function parseQueryString(raw) {
+  const index = raw.indexOf('?');
+  if (index === -1) return [];
+  return raw.slice(index + 1).split('&').filter(Boolean).map((pair) => {
+    const [key, ...value] = pair.split('=');
+    return { key: decodeSafe(key), value: decodeSafe(value.join('=')) };
+  });
+}
+
+function headerParameters(headers) {
+  const parameters = [];
+  for (const header of Array.isArray(headers) ? headers : []) {
+    if (!header.key || RESERVED_HEADERS.includes(header.key.toLowerCase())) continue;
+
+    const parameter = {
+      name: header.key,
+      in: 'header',
+      required: !header.disabled,
+      schema: { type: 'string' },
+    };
+    const description = textOf(header.description);
+    if (description) parameter.description = description;
+    if (header.value) parameter.example = header.value;
+    parameters.push(parameter);
+  }
+  return parameters;
+}
+
+/**
+ * Converts the saved request body into a requestBody, returning the parsed sample as well.
+ */
+function convertBody(body, headers) {
+  if (!body || !body.mode || body.disabled) {
+    return null;
+  }
+
+  const contentType = headerValue(headers, 'content-type');
+
+  if (body.mode === 'raw') {
+    if (!body.raw) return null;
+    const parsed = parseJson(body.raw);
+    const language = body.options && body.options.raw && body.options.raw.language;
+    const mediaType = contentType || (parsed !== undefined || language === 'json' ? 'application/json' : 'text/plain');
+    const sample = parsed !== undefined ? parsed : body.raw;
+
+    return {
+      sample,
+      requestBody: {
+        required: true,
+        content: { [mediaType]: { schema: enhanceSchema(sample), example: sample } },
+      },
+    };
+  }
+
+  if (body.mode === 'urlencoded' || body.mode === 'formdata') {
+    const fields = (body[body.mode] || []).filter((field) => field.key && !field.disabled);
+    const sample = {};
+    const schema = { type: 'object', properties: {} };
+
+    for (const field of fields) {
+      if (field.type === 'file') {
+        schema.properties[field.key] = { type: 'string', format: 'binary' };
+      } else {
+        schema.properties[field.key] = { type: 'string', example: field.value };
+        sample[field.key] = field.value;
+      }
+      const description = textOf(field.description);
+      if (description) schema.properties[field.key].description = description;
+    }
+
+    const mediaType = body.mode === 'formdata' ? 'multipart/form-data' : 'application/x-www-form-urlencoded';
+    return { sample, requestBody: { required: true, content: { [mediaType]: { schema } } } };
+  }
+
+  if (body.mode === 'graphql' && body.graphql) {
+    const sample = {
+      query: body.graphql.query,
+      variables: parseJson(body.graphql.variables || '') || {},
+    };
+    return {
+      sample,
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: enhanceSchema(sample), example: sample } },
+      },
+    };
+  }
+
+  if (body.mode === 'file') {
+    return {
+      sample: undefined,
+      requestBody: {
+        required: true,
+        content: { [contentType || 'application/octet-stream']: { schema: { type: 'string', format: 'binary' } } },
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Converts the saved example responses, one OpenAPI response per status code.
+ */
+function convertResponses(responses) {
+  const converted = {};
+
+  for (const response of responses) {
+    const code = String(response.code || 200);
+    const target = converted[code] || { description: response.status || response.name || 'Response' };
+    converted[code] = target;
+
+    const parsed = parseJson(response.body || '');
+    const mediaType = headerValue(response.header, 'content-type')
+      || (parsed !== undefined ? 'application/json' : response.body ? 'text/plain' : null);
+    if (!mediaType) continue;
+
+    // Keep the content type without parameters (charset etc.)
+    const cleanType = mediaType.split(';')[0].trim();
+    target.content = target.content || {};
+    if (target.content[cleanType]) continue;
+
+    const sample = parsed !== undefined ? parsed : response.body;
+    target.content[cleanType] = { schema: enhanceSchema(sample), example: sample };
+  }
+
+  if (Object.keys(converted).length === 0) {
+    converted['200'] = { description: 'Successful response' };
+  }
+  return converted;
+}
+
+function firstResponseSample(responses) {
+  for (const response of responses) {
+    const parsed = parseJson(response.body || '');
+    if (parsed !== undefined) return parsed;
+  }
+  return undefined;
+}
+
+/**
+ * Postman auth block to an OpenAPI security requirement, registering the scheme on the way.
+ */
+function convertAuth(auth, securitySchemes) {
+  if (!auth || !auth.type) {
+    return null;
+  }
+  if (auth.type === 'noauth') {
+    return [];
+  }
+
+  const attribute = (key) => {
+    const entry = (auth[auth.type] || []).find((item) => item.key === key);
+    return entry ? entry.value : undefined;
+  };
+
+  let name;
+  let scheme;
+  switch (auth.type) {
+    case 'bearer':
+      name = 'bearerAuth';
+      scheme = { type: 'http', scheme: 'bearer' };
+      break;
+    case 'basic':
+      name = 'basicAuth';
+      scheme = { type: 'http', scheme: 'basic' };
+      break;
+    case 'apikey': {
+      const keyName = attribute('key') || 'X-API-Key';
+      const location = attribute('in') === 'query' ? 'query' : 'header';
+      name = `apiKey_${keyName.replace(/[^A-Za-z0-9_.-]/g, '_')}`;
+      scheme = { type: 'apiKey', name: keyName, in: location };
+      break;
+    }
+    case 'oauth2':
+      name = 'oauth2';
+      scheme = {
+        type: 'oauth2',
+        flows: {
+          authorizationCode: {
+            authorizationUrl: attribute('authUrl') || 'https://example.com/oauth/authorize',
+            tokenUrl: attribute('accessTokenUrl') || 'https://example.com/oauth/token',
+            scopes: {},
+          },
+        },
+      };
+      break;
+    default:
+      return null;
+  }
+
+  securitySchemes[name] = scheme;
+  return [{ [name]: [] }];
+}
+
+function headerValue(headers, name) {
+  if (!Array.isArray(headers)) return null;
+  const header = headers.find((item) => item.key && item.key.toLowerCase() === name && !item.disabled);
+  return header ? header.value : null;
+}
+
+function textOf(description) {
+  if (!description) return '';
+  if (typeof description === 'string') return description;
+  return description.content || '';
+}
+
+function templateVariables(text) {
+  return text.replace(/\{\{\s*([^}]+?)\s*\}\}/g, '{$1}');
+}
+
+function inferScalarType(value) {
+  if (value === undefined || value === null || value === '') return 'string';
+  if (/^-?(0|[1-9]\d*)$/.test(value)) return 'integer';
+  if (/^-?(0|[1-9]\d*)\.\d+$/.test(value)) return 'number';
+  if (value === 'true' || value === 'false') return 'boolean';
+  return 'string';
+}
+
+function uniqueOperationId(name, used) {
+  const words = String(name).replace(/\{([^}]+)\}/g, 'by $1').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  let base = words
+    .map((word, index) => (index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+    .join('') || 'operation';
+  if (/^\d/.test(base)) base = `op${base}`;
+
+  let id = base;
+  for (let counter = 2; used.has(id); counter++) {
+    id = `${base}${counter}`;
+  }
+  used.add(id);
+  return id;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  let best = null;
+  for (const [value, count] of counts) {
+    if (best === null || count > counts.get(best)) best = value;
+  }
+  return best;
+}
+
+function parseJson(text) {
+  if (typeof text !== 'string' || text.trim() === '') return undefined;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return undefined;
+  }
+}
+
+function decodeSafe(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch (err) {
+    return value;
+  }
+}
+
+module.exports = { isPostmanCollection, convertPostmanCollection, extractOperation };
@@ -0,0 +1,109 @@
+/**
+ * Version history for apidocumentation rows.
+ * Every save stores an immutable revision holding a snapshot of the documentation as it was saved;
+ * the first save of a documentation without history also records the state it replaced.
+ */
+
+// Columns of an apidocumentation row captured in a revision
+const REVISION_FIELDS = ['title', 'description', 'openapi_schema', 'url', 'input', 'output', 'api_Json'];
+
+// Postgres unique_violation, returned when another save already took the version
+const UNIQUE_VIOLATION = '23505';
+
+// Saves racing for the same version retry this many times before giving up
+const MAX_VERSION_ATTEMPTS = 5;
+
+/**
+ * Copies the versioned columns of a documentation row.
+ * @param {Object} documentation - The apidocumentation row.
+ * @returns {Object} - The snapshot.
+ */
+function snapshotDocumentation(documentation) {
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    snapshot[field] = documentation[field] === undefined ? null : documentation[field];
+  }
+  return JSON.parse(JSON.stringify(snapshot));
+}
+
+/**
+ * Updates a documentation and records the result as a new revision.
+ * @param {Object} storage - The storage backend.
+ * @param {Object} documentation - The current apidocumentation row.
+ * @param {Object} changes - Columns to update.
+ * @param {Object} [meta] - Revision metadata.
+ * @param {string} [meta.author] - Who saved the change (the authenticated user id).
+ * @param {string} [meta.message] - Optional description of the change.
+ * @param {number} [meta.restoredFrom] - Version the change restores, if any.
+ * @returns {Promise<Object>} - `{ data, revision, error }` with the updated rows and the new revision.
+ */
+async function updateDocumentationWithRevision(storage, documentation, changes, meta = {}) {
+  const docId = documentation.api_id;
+  const projectId = documentation.project_id;
+
+  const { data: history, error: historyError } = await storage.listRevisions(docId);
+  if (historyError) {
+    return { data: null, revision: null, error: historyError };
+  }
+
+  // Documentation saved before history existed: keep what is about to be overwritten
+  if (history.length === 0) {
+    const { error } = await storage.createRevision({
+      api_id: docId,
+      project_id: projectId,
+      version: 1,
+      author: null,
+      message: 'Initial version',
+      restored_from: null,
+      snapshot: snapshotDocumentation(documentation),
+    });
+    // A concurrent save may have recorded the initial version first
+    if (error && error.code !== UNIQUE_VIOLATION) {
+      return { data: null, revision: null, error };
+    }
+  }
+
+  const { data, error } = await storage.updateDocumentation(docId, projectId, changes);
+  if (error || !data || data.length === 0) {
+    return { data, revision: null, error };
+  }
+
+  const revision = {
+    api_id: docId,
+    project_id: projectId,
+    author: meta.author || null,
+    message: meta.message || null,
+    restored_from: meta.restoredFrom === undefined ? null : meta.restoredFrom,
+    snapshot: snapshotDocumentation(data[0]),
+  };
+
+  // The unique (api_id, version) constraint decides between concurrent saves: the one that loses
+  // the next version reads the history again and takes the version after it
+  for (let attempt = 1; ; attempt += 1) {
+    const { data: latest, error: latestError } = await storage.listRevisions(docId);
+    if (latestError) {
+      return { data, revision: null, error: latestError };
+    }
+
+    const version = latest.length > 0 ? latest[latest.length - 1].version + 1 : 1;
+    const { data: created, error: revisionError } = await storage.createRevision({ ...revision, version });
+    if (!revisionError) {
+      return { data, revision: summarizeRevision(created[0]), error: null };
+    }
+    if (revisionError.code !== UNIQUE_VIOLATION || attempt >= MAX_VERSION_ATTEMPTS) {
+      return { data, revision: null, error: revisionError };
+    }
+  }
+}
+
+/**
+ * Strips the snapshot from a revision, for listings.
+ * @param {Object} revision - The revision row.
+ * @returns {Object} - The revision metadata.
+ */
+function summarizeRevision(revision) {
+  const { snapshot, ...summary } = revision;
+  return summary;
+}
+
+module.exports = { REVISION_FIELDS, snapshotDocumentation, updateDocumentationWithRevision, summarizeRevision };
@@ -0,0 +1,158 @@
+const net = require('net');
+
+// String formats recognised in samples, checked in order
+const STRING_FORMATS = [
+  ['date-time', (value) => /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i.test(value) && !Number.isNaN(Date.parse(value.replace(' ', 'T')))],
+  ['date', (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))],
+  ['time', (value) => /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/i.test(value)],
+  ['uuid', (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)],
+  ['email', (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)],
+  ['ipv4', (value) => net.isIPv4(value)],
+  ['ipv6', (value) => net.isIPv6(value)],
+  ['uri', (value) => /^[a-z][a-z0-9+.-]*:\/\/[^\s]+$/i.test(value)],
+];
+
+// Candidate enums: at least this many string samples with at most this many distinct short values
+const ENUM_MIN_SAMPLES = 3;
+const ENUM_MAX_VALUES = 5;
+const ENUM_MAX_LENGTH = 40;
+
+// Nesting levels (objects and arrays) described before the schema is cut off
+const DEFAULT_MAX_DEPTH = 12;
+
+/**
+ * Enhances the schema with examples, formats, and proper array/object handling.
+ * Nested objects and arrays (including arrays of objects and arrays of arrays) are described
+ * recursively; the elements of an array are merged into one item schema.
+ * @param {Object} data - The raw JSON data.
+ * @param {Object} [options] - Inference options.
+ * @param {number} [options.maxDepth] - Nesting levels to describe before falling back to a bare type.
+ * @returns {Object} - The enhanced JSON Schema.
+ */
+function enhanceSchema(data, options = {}) {
+  return inferSchema([data], options);
+}
+
+/**
+ * Infers one schema from several sample payloads of the same shape.
+ * Fields missing from some samples are optional, fields seen with several types become `oneOf`,
+ * nulls make the schema nullable and every element of every array is merged into one item schema.
+ * Scalars carry the first sample as `example`; empty arrays get an unconstrained `items`.
+ * @param {Array} samples - The sample payloads.
+ * @param {Object} [options] - Inference options.
+ * @param {number} [options.maxDepth] - Nesting levels to describe before falling back to a bare type.
+ * @returns {Object} - The merged JSON Schema.
+ */
+function inferSchema(samples, options = {}) {
+  const maxDepth = Number.isInteger(options.maxDepth) && options.maxDepth > 0
+    ? options.maxDepth
+    : DEFAULT_MAX_DEPTH;
+  return inferAtDepth(samples, 0, maxDepth);
+}
+
+function inferAtDepth(samples, depth, maxDepth) {
+  const present = samples.filter((sample) => sample !== undefined);
+  const nullable = present.some((sample) => sample === null);
+
+  // Group the non-null samples by JSON type, keeping first-seen order
+  const groups = new Map();
+  for (const sample of present) {
+    if (sample === null) continue;
+    const type = valueType(sample);
+    if (!groups.has(type)) groups.set(type, []);
+    groups.get(type).push(sample);
+  }
+
+  const variants = [...groups.entries()].map(([type, values]) => schemaForType(type, values, depth, maxDepth));
+  // `nullable` needs a `type` in OpenAPI 3.0, and a null sample says nothing else about the value
+  if (variants.length === 0) {
+    return nullable ? { type: 'string', nullable: true } : {};
+  }
+
+  const schema = variants.length === 1 ? variants[0] : { oneOf: variants };
+  if (nullable) {
+    schema.nullable = true;
+  }
+  return schema;
+}
+
+function schemaForType(type, values, depth, maxDepth) {
+  if (type === 'object') {
+    if (depth >= maxDepth) {
+      return { type: 'object' };
+    }
+
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+    const keys = [...new Set(values.flatMap((value) => Object.keys(value)))];
+
+    for (const key of keys) {
+      const propertyValues = values.filter((value) => key in value).map((value) => value[key]);
+      schema.properties[key] = inferAtDepth(propertyValues, depth + 1, maxDepth);
+      if (propertyValues.length === values.length) {
+        required.push(key);
+      }
+    }
+
+    if (required.length > 0) {
+      schema.required = required;
+    }
+    return schema;
+  }
+
+  if (type === 'array') {
+    const elements = values.flat(1);
+    // Empty arrays (or a cut-off depth) leave the item type open
+    if (elements.length === 0 || depth >= maxDepth) {
+      return { type: 'array', items: {} };
+    }
+    return { type: 'array', items: inferAtDepth(elements, depth + 1, maxDepth) };
+  }
+
+  if (type === 'number') {
+    return { type: values.every(Number.isInteger) ? 'integer' : 'number', example: values[0] };
+  }
+
+  if (type === 'string') {
+    return { ...stringSchema(values), example: values[0] };
+  }
+
+  return { type, example: values[0] };
+}
+
+// A format is kept only when every sample has it; otherwise low-cardinality values are offered as an enum
+function stringSchema(values) {
+  const formats = new Set(values.map(detectFormat));
+  if (formats.size === 1 && !formats.has(undefined)) {
+    return { type: 'string', format: [...formats][0] };
+  }
+
+  const schema = { type: 'string' };
+  const distinct = [...new Set(values)];
+  if (
+    values.length >= ENUM_MIN_SAMPLES
+    && distinct.length <= ENUM_MAX_VALUES
+    && distinct.length < values.length
+    && distinct.every((value) => value.length > 0 && value.length <= ENUM_MAX_LENGTH)
+  ) {
+    schema['x-enum-candidates'] = distinct;
+  }
+  return schema;
+}
+
+/**
+ * Detects the string format of a value (date-time, date, time, uuid, email, ipv4, ipv6, uri).
+ * @param {string} value - The string value.
+ * @returns {string|undefined} - The format name, if any.
+ */
+function detectFormat(value) {
+  const match = STRING_FORMATS.find(([, test]) => test(value));
+  return match ? match[0] : undefined;
+}
+
+function valueType(value) {
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+module.exports = { enhanceSchema, inferSchema, detectFormat };
@@ -0,0 +1,311 @@
+const {
+  camelCase,
+  schemaTypeName,
+  collectOperations,
+  primaryContent,
+  schemaToTs,
+  renderTypeDeclaration,
+  docComment,
+  propertyKey,
+} = require('./codegen');
+
+/**
+ * TypeScript client SDK generation.
+ * The client is a single dependency-free module built on `fetch`: one typed function per operation,
+ * plus `configure()` to set the base URL, default headers, an auth hook and the fetch implementation.
+ */
+
+// Runtime shared by every generated client
+const RUNTIME = `export interface RequestContext {
+  method: string;
+  url: string;
+  headers: Record<string, string>;
+  body?: BodyInit;
+}
+
+/** Called before every request, e.g. to add an Authorization header to \`request.headers\`. */
+export type AuthHook = (request: RequestContext) => void | Promise<void>;
+
+export interface ClientConfig {
+  /** Base URL of the API. */
+  baseUrl: string;
+  /** Headers sent with every request. */
+  headers?: Record<string, string>;
+  auth?: AuthHook;
+  /** fetch implementation, defaults to the global fetch. */
+  fetch?: typeof fetch;
+}
+
+/** Thrown for every response outside the 2xx range. */
+export class ApiError extends Error {
+  readonly status: number;
+  readonly body: unknown;
+  readonly response: Response;
+
+  constructor(status: number, body: unknown, response: Response) {
+    super(\`Request failed with status \${status}\`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+    this.response = response;
+  }
+}
+
+const config: ClientConfig = { baseUrl: __BASE_URL__ };
+
+/** Changes the base URL, default headers, auth hook or fetch implementation. */
+export function configure(options: Partial<ClientConfig>): void {
+  Object.assign(config, options);
+}
+
+interface RequestOptions {
+  path: string;
+  query?: Record<string, unknown>;
+  headers?: Record<string, unknown>;
+  body?: unknown;
+  contentType?: string;
+}
+
+async function request<T>(method: string, options: RequestOptions): Promise<T> {
+  const url = new URL(config.baseUrl.replace(/\\/+$/, '') + options.path);
+  for (const [name, value] of Object.entries(options.query ?? {})) {
+    if (value === undefined || value === null) continue;
+    for (const item of Array.isArray(value) ? value : [value]) {
+      url.searchParams.append(name, String(item));
+    }
+  }
+
+  const headers: Record<string, string> = { ...config.headers };
+  for (const [name, value] of Object.entries(options.headers ?? {})) {
+    if (value !== undefined && value !== null) headers[name] = String(value);
+  }
+
+  let body: BodyInit | undefined;
+  if (options.body !== undefined) {
+    const contentType = options.contentType ?? 'application/json';
+    if (/json/i.test(contentType)) {
+      headers['Content-Type'] = contentType;
+      body = JSON.stringify(options.body);
+    } else if (/x-www-form-urlencoded/i.test(contentType)) {
+      headers['Content-Type'] = contentType;
+      body = new URLSearchParams(options.body as Record<string, string>).toString();
+    } else {
+      // multipart bodies set their own boundary
+      if (!/^multipart\\//i.test(contentType)) headers['Content-Type'] = contentType;
+      body = options.body as BodyInit;
+    }
+  }
+
+  const context: RequestContext = { method, url: url.toString(), headers, body };
+  if (config.auth) {
+    await config.auth(context);
+  }
+
+  const response = await (config.fetch ?? fetch)(context.url, {
+    method: context.method,
+    headers: context.headers,
+    body: context.body,
+  });
+  const text = await response.text();
+  const data = text && /json/i.test(response.headers.get('content-type') ?? '') ? JSON.parse(text) : text || undefined;
+
+  if (!response.ok) {
+    throw new ApiError(response.status, data, response);
+  }
+  return data as T;
+}
+`;
+
+/**
+ * Generates the TypeScript client module for an OpenAPI 3 document.
+ * @param {Object} spec - The OpenAPI 3 document (not dereferenced).
+ * @param {Object} [options] - Generation options.
+ * @param {string} [options.baseUrl] - Default base URL (defaults to the first server of the document).
+ * @returns {string} - The module source.
+ */
+function generateTypeScriptClient(spec, options = {}) {
+  const info = spec.info || {};
+  const baseUrl = options.baseUrl || defaultServerUrl(spec);
+
+  const sections = [
+    // docComment keeps a `*/` in the title or version from closing the comment
+    docComment({
+      description: `${info.title || 'API'} client${info.version ? ` (version ${info.version})` : ''}.\nGenerated from the OpenAPI document, do not edit by hand.`,
+    }, ''),
+    RUNTIME.replace('__BASE_URL__', JSON.stringify(baseUrl)),
+  ];
+
+  const componentSchemas = Object.entries((spec.components || {}).schemas || {});
+  if (componentSchemas.length > 0) {
+    sections.push('// Schemas\n');
+    for (const [name, schema] of componentSchemas) {
+      sections.push(renderTypeDeclaration(spec, schemaTypeName(name), schema));
+    }
+  }
+
+  const operations = collectOperations(spec);
+  if (operations.length > 0) {
+    sections.push('// Operations\n');
+    for (const operation of operations) {
+      sections.push(renderOperation(spec, operation));
+    }
+  }
+
+  return sections.join('\n');
+}
+
+// First server URL with its variables set to their defaults
+function defaultServerUrl(spec) {
+  const server = (spec.servers || [])[0];
+  if (!server || !server.url) {
+    return '';
+  }
+  return server.url.replace(/\{([^}]+)\}/g, (match, name) => {
+    const variable = (server.variables || {})[name];
+    return variable && variable.default !== undefined ? String(variable.default) : match;
+  });
+}
+
+function renderOperation(spec, op) {
+  const declarations = [];
+  const args = [];
+  const requestLines = [];
+
+  // Parameters share one object; a name used in two locations is prefixed with its location
+  const keys = new Map();
+  for (const param of op.parameters) {
+    const duplicate = op.parameters.some((other) => other !== param && other.name === param.name);
+    keys.set(param, duplicate ? camelCase(`${param.in} ${param.name}`) : param.name);
+  }
+
+  if (op.parameters.length > 0) {
+    const lines = op.parameters.map((param) => {
+      const required = param.required || param.in === 'path';
+      const doc = docComment(param, '  ');
+      const schema = param.schema || (param.content && primaryContent(param.content) || {}).schema;
+      return `${doc}  ${propertyKey(keys.get(param))}${required ? '' : '?'}: ${schemaToTs(spec, schema, '  ')};`;
+    });
+    declarations.push(`export interface ${op.typeName}Params {\n${lines.join('\n')}\n}\n`);
+
+    const anyRequired = op.parameters.some((param) => param.required || param.in === 'path');
+    args.push(`params: ${op.typeName}Params${anyRequired ? '' : ' = {}'}`);
+  }
+
+  const access = (param) => `params${/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(keys.get(param)) ? `.${keys.get(param)}` : `[${JSON.stringify(keys.get(param))}]`}`;
+
+  const path = op.path.replace(/\{([^}]+)\}/g, (match, name) => {
+    const param = op.parameters.find((item) => item.in === 'path' && item.name === name);
+    return param ? `\${encodeURIComponent(String(${access(param)}))}` : match;
+  });
+  requestLines.push(`    path: \`${path.replace(/`/g, '\\`')}\`,`);
+
+  const query = op.parameters
+    .filter((param) => param.in === 'query')
+    .map((param) => `${JSON.stringify(param.name)}: ${access(param)}`);
+  if (query.length > 0) {
+    requestLines.push(`    query: { ${query.join(', ')} },`);
+  }
+
+  const headers = op.parameters
+    .filter((param) => param.in === 'header')
+    .map((param) => `${JSON.stringify(param.name)}: ${access(param)}`);
+  const cookies = op.parameters.filter((param) => param.in === 'cookie');
+  if (cookies.length > 0) {
+    const parts = cookies.map((param) => `${JSON.stringify(`${param.name}=`)} + encodeURIComponent(String(${access(param)} ?? ''))`);
+    headers.push(`Cookie: [${parts.join(', ')}].join('; ')`);
+  }
+  if (headers.length > 0) {
+    requestLines.push(`    headers: { ${headers.join(', ')} },`);
+  }
+
+  const body = op.requestBody && primaryContent(op.requestBody.content);
+  if (body) {
+    declarations.push(renderTypeDeclaration(spec, `${op.typeName}RequestBody`, body.schema));
+    args.push(`body${op.requestBody.required ? '' : '?'}: ${op.typeName}RequestBody`);
+    requestLines.push('    body,');
+    requestLines.push(`    contentType: ${JSON.stringify(body.mediaType)},`);
+  }
+
+  const responseType = successResponseType(spec, op);
+  declarations.push(`export type ${op.typeName}Response = ${responseType};\n`);
+
+  const summary = op.operation.summary || op.operation.description;
+  const doc = docComment({ description: [summary, `${op.method.toUpperCase()} ${op.path}`].filter(Boolean).join('\n\n') }, '');
+  const deprecated = op.operation.deprecated ? '/** @deprecated */\n' : '';
+
+  return [
+    ...declarations,
+    `${doc}${deprecated}export async function ${op.name}(${args.join(', ')}): Promise<${op.typeName}Response> {`,
+    `  return request<${op.typeName}Response>(${JSON.stringify(op.method.toUpperCase())}, {`,
+    ...requestLines,
+    '  });',
+    '}\n',
+  ].join('\n');
+}
+
+// Union of the documented 2xx bodies (void when none has content)
+function successResponseType(spec, op) {
+  const codes = Object.keys(op.responses).filter((code) => /^2/.test(code));
+  const keys = codes.length > 0 ? codes : Object.keys(op.responses).filter((code) => code === 'default');
+
+  const types = keys
+    .map((code) => primaryContent(op.responses[code].content))
+    .filter(Boolean)
+    .map((content) => schemaToTs(spec, content.schema));
+
+  if (types.length === 0) {
+    return 'void';
+  }
+  return [...new Set(types)].join(' | ');
+}
+
+/**
+ * Generates the files of a downloadable SDK package.
+ * @param {Object} spec - The OpenAPI 3 document (not dereferenced).
+ * @param {Object} [options] - Options passed to generateTypeScriptClient.
+ * @returns {Array} - `{ name, content }` files.
+ */
+function generateSdkFiles(spec, options = {}) {
+  const info = spec.info || {};
+  const packageName = String(info.title || 'api')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'api';
+
+  const packageJson = {
+    name: `${packageName}-client`,
+    version: /^\d+\.\d+\.\d+/.test(String(info.version || '')) ? String(info.version) : '1.0.0',
+    description: `TypeScript client for ${info.title || 'the API'}`,
+    main: 'client.ts',
+    types: 'client.ts',
+    private: true,
+  };
+
+  const readme = [
+    `# ${info.title || 'API'} client`,
+    '',
+    'Generated from the OpenAPI document. Every operation is an exported async function.',
+    '',
+    '```ts',
+    "import { configure } from './client';",
+    '',
+    'configure({',
+    "  baseUrl: 'https://api.example.com',",
+    '  auth: (request) => {',
+    "    request.headers.Authorization = `Bearer ${token}`;",
+    '  },',
+    '});',
+    '```',
+    '',
+    'Non-2xx responses throw an `ApiError` carrying the status and the parsed body.',
+    '',
+  ].join('\n');
+
+  return [
+    { name: 'client.ts', content: generateTypeScriptClient(spec, options) },
+    { name: 'package.json', content: `${JSON.stringify(packageJson, null, 2)}\n` },
+    { name: 'README.md', content: readme },
+  ];
+}
+
+module.exports = { generateTypeScriptClient, generateSdkFiles };
@@ -0,0 +1,351 @@
+const { generateExample, mediaExample, pickMediaType } = require('./mock');
+
+/**
+ * Ready-to-paste request snippets (curl, fetch, axios, Python requests and Go net/http) for the
+ * operations `convertData` extracts. Path and required parameters get example values and the body
+ * is generated from the documented request schema.
+ */
+
+// Used when the document has no absolute server URL
+const PLACEHOLDER_BASE_URL = 'https://api.example.com';
+
+const SNIPPET_LANGUAGES = ['curl', 'fetch', 'axios', 'python', 'go'];
+
+/**
+ * Generates the snippets of one operation.
+ * @param {string|null} baseUrl - Absolute base URL of the API.
+ * @param {string} path - Path template of the operation.
+ * @param {string} method - HTTP method.
+ * @param {Object} details - The operation as extracted by convertData.
+ * @returns {Object} - Snippet source keyed by language (`curl`, `fetch`, `axios`, `python`, `go`).
+ */
+function generateSnippets(baseUrl, path, method, details) {
+  const request = exampleRequest(baseUrl || PLACEHOLDER_BASE_URL, path, method, details);
+  return {
+    curl: curlSnippet(request),
+    fetch: fetchSnippet(request),
+    axios: axiosSnippet(request),
+    python: pythonSnippet(request),
+    go: goSnippet(request),
+  };
+}
+
+/**
+ * Generates the snippets of every operation of a converted document, in the flattened layout.
+ * @param {Array} convertedData - The convertData output.
+ * @param {string|null} baseUrl - Absolute base URL of the API.
+ * @returns {Object} - `{ [path]: { [METHOD]: snippets } }`; webhooks are left out.
+ */
+function generateAllSnippets(convertedData, baseUrl) {
+  const snippets = {};
+  for (const pathObj of convertedData) {
+    const [path, methodsArray] = Object.entries(pathObj)[0];
+    for (const methodObj of methodsArray) {
+      const [method, details] = Object.entries(methodObj)[0];
+      if (details.webhook) continue;
+      snippets[path] = snippets[path] || {};
+      snippets[path][method.toUpperCase()] = generateSnippets(baseUrl, path, method, details);
+    }
+  }
+  return snippets;
+}
+
+// The request the snippets send: `{ method, url, headers, contentType, bodyKind, body, acceptsJson }`
+function exampleRequest(baseUrl, path, method, details) {
+  const parameters = (details.parameters || []).filter((param) => param.required || param.in === 'path');
+  const example = (param) => {
+    const value = generateExample(param.schema || { type: 'string' });
+    return value === null || value === undefined ? 'string' : value;
+  };
+
+  const resolvedPath = path.replace(/\{([^}]+)\}/g, (match, name) => {
+    const param = parameters.find((item) => item.in === 'path' && item.name === name);
+    return param ? encodeURIComponent(String(example(param))) : match;
+  });
+
+  const query = new URLSearchParams();
+  for (const param of parameters.filter((item) => item.in === 'query')) {
+    const value = example(param);
+    for (const item of Array.isArray(value) ? value : [value]) {
+      query.append(param.name, typeof item === 'object' ? JSON.stringify(item) : String(item));
+    }
+  }
+
+  const headers = parameters
+    .filter((param) => param.in === 'header')
+    .map((param) => [param.name, String(example(param))]);
+  const cookies = parameters
+    .filter((param) => param.in === 'cookie')
+    .map((param) => `${param.name}=${encodeURIComponent(String(example(param)))}`);
+  if (cookies.length > 0) {
+    headers.push(['Cookie', cookies.join('; ')]);
+  }
+
+  const request = {
+    method: method.toUpperCase(),
+    url: `${baseUrl.replace(/\/+$/, '')}${resolvedPath}${query.toString() ? `?${query}` : ''}`,
+    headers,
+    contentType: null,
+    bodyKind: null,
+    body: undefined,
+    acceptsJson: (details.output || []).some((response) => Object.keys(response.content || {}).some((type) => /json/i.test(type))),
+  };
+
+  const contentType = pickMediaType(details.input || {}, undefined, true);
+  if (contentType) {
+    const body = mediaExample(details.input[contentType] || {});
+    request.contentType = contentType;
+    if (/json/i.test(contentType)) {
+      request.bodyKind = 'json';
+      request.body = body === undefined ? null : body;
+    } else if (/x-www-form-urlencoded/i.test(contentType) && isPlainObject(body)) {
+      request.bodyKind = 'form';
+      request.body = formFields(body);
+    } else if (/^multipart\//i.test(contentType) && isPlainObject(body)) {
+      request.bodyKind = 'multipart';
+      request.body = formFields(body);
+    } else {
+      request.bodyKind = 'raw';
+      request.body = typeof body === 'string' ? body : JSON.stringify(body === undefined ? '' : body);
+    }
+    // Multipart boundaries are set by the HTTP clients themselves
+    if (request.bodyKind !== 'multipart') {
+      request.headers.push(['Content-Type', contentType]);
+    }
+  }
+
+  return request;
+}
+
+function formFields(body) {
+  return Object.entries(body).map(([name, value]) => [name, typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value)]);
+}
+
+function curlSnippet(request) {
+  const lines = [];
+  if (request.method === 'HEAD') {
+    lines.push(`curl --head ${shellQuote(request.url)}`);
+  } else {
+    lines.push(`curl ${request.method === 'GET' ? '' : `-X ${request.method} `}${shellQuote(request.url)}`);
+  }
+  for (const [name, value] of request.headers) {
+    lines.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+  }
+
+  switch (request.bodyKind) {
+    case 'json':
+      lines.push(`-d ${shellQuote(JSON.stringify(request.body, null, 2))}`);
+      break;
+    case 'form':
+      lines.push(...request.body.map(([name, value]) => `--data-urlencode ${shellQuote(`${name}=${value}`)}`));
+      break;
+    case 'multipart':
+      lines.push(...request.body.map(([name, value]) => `-F ${shellQuote(`${name}=${value}`)}`));
+      break;
+    case 'raw':
+      lines.push(`--data-binary ${shellQuote(request.body)}`);
+      break;
+    default:
+  }
+
+  return lines.join(' \\\n  ');
+}
+
+// fetch and axios share how the body is written
+function jsBody(request) {
+  switch (request.bodyKind) {
+    case 'json':
+      return { setup: [], fetchBody: `JSON.stringify(${jsLiteral(request.body, '  ')})`, axiosData: jsLiteral(request.body, '  ') };
+    case 'form': {
+      const fields = jsLiteral(Object.fromEntries(request.body), '  ');
+      return { setup: [], fetchBody: `new URLSearchParams(${fields})`, axiosData: `new URLSearchParams(${fields})` };
+    }
+    case 'multipart':
+      return {
+        setup: ['const form = new FormData();', ...request.body.map(([name, value]) => `form.append(${JSON.stringify(name)}, ${JSON.stringify(value)});`), ''],
+        fetchBody: 'form',
+        axiosData: 'form',
+      };
+    case 'raw':
+      return { setup: [], fetchBody: JSON.stringify(request.body), axiosData: JSON.stringify(request.body) };
+    default:
+      return null;
+  }
+}
+
+function jsHeaders(request) {
+  if (request.headers.length === 0) {
+    return [];
+  }
+  return [
+    '  headers: {',
+    ...request.headers.map(([name, value]) => `    ${JSON.stringify(name)}: ${JSON.stringify(value)},`),
+    '  },',
+  ];
+}
+
+function fetchSnippet(request) {
+  const body = jsBody(request);
+  return [
+    ...(body ? body.setup : []),
+    `const response = await fetch(${JSON.stringify(request.url)}, {`,
+    `  method: ${JSON.stringify(request.method)},`,
+    ...jsHeaders(request),
+    ...(body ? [`  body: ${body.fetchBody},`] : []),
+    '});',
+    `const data = await response.${request.acceptsJson ? 'json' : 'text'}();`,
+    'console.log(response.status, data);',
+  ].join('\n');
+}
+
+function axiosSnippet(request) {
+  const body = jsBody(request);
+  return [
+    "const axios = require('axios');",
+    '',
+    ...(body ? body.setup : []),
+    'const response = await axios({',
+    `  method: ${JSON.stringify(request.method.toLowerCase())},`,
+    `  url: ${JSON.stringify(request.url)},`,
+    ...jsHeaders(request),
+    ...(body ? [`  data: ${body.axiosData},`] : []),
+    '});',
+    'console.log(response.status, response.data);',
+  ].join('\n');
+}
+
+function pythonSnippet(request) {
+  const method = request.method.toLowerCase();
+  const call = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'].includes(method)
+    ? `requests.${method}(`
+    : `requests.request(${JSON.stringify(request.method)}, `;
+
+  const args = [JSON.stringify(request.url)];
+  if (request.headers.length > 0) {
+    args.push(`headers=${pythonLiteral(Object.fromEntries(request.headers), '    ')}`);
+  }
+  switch (request.bodyKind) {
+    case 'json':
+      args.push(`json=${pythonLiteral(request.body, '    ')}`);
+      break;
+    case 'form':
+      args.push(`data=${pythonLiteral(Object.fromEntries(request.body), '    ')}`);
+      break;
+    case 'multipart':
+      // (None, value) tuples make requests send plain multipart fields
+      args.push(`files={\n${request.body.map(([name, value]) => `        ${JSON.stringify(name)}: (None, ${JSON.stringify(value)}),`).join('\n')}\n    }`);
+      break;
+    case 'raw':
+      args.push(`data=${JSON.stringify(request.body)}`);
+      break;
+    default:
+  }
+
+  return [
+    'import requests',
+    '',
+    `response = ${call}`,
+    ...args.map((arg) => `    ${arg},`),
+    ')',
+    `print(response.status_code, response.${request.acceptsJson ? 'json()' : 'text'})`,
+  ].join('\n');
+}
+
+function goSnippet(request) {
+  const imports = new Set(['fmt', 'io', 'net/http']);
+  const setup = [];
+  let body = 'nil';
+  let contentTypeLine = null;
+
+  switch (request.bodyKind) {
+    case 'json':
+    case 'raw': {
+      imports.add('strings');
+      const text = request.bodyKind === 'json' ? JSON.stringify(request.body, null, 2) : request.body;
+      setup.push(`\tbody := strings.NewReader(${goString(text)})`);
+      body = 'body';
+      break;
+    }
+    case 'form':
+      imports.add('net/url').add('strings');
+      setup.push('\tform := url.Values{}');
+      setup.push(...request.body.map(([name, value]) => `\tform.Set(${JSON.stringify(name)}, ${JSON.stringify(value)})`));
+      body = 'strings.NewReader(form.Encode())';
+      break;
+    case 'multipart':
+      imports.add('bytes').add('mime/multipart');
+      setup.push('\tvar body bytes.Buffer', '\twriter := multipart.NewWriter(&body)');
+      setup.push(...request.body.map(([name, value]) => `\twriter.WriteField(${JSON.stringify(name)}, ${JSON.stringify(value)})`));
+      setup.push('\twriter.Close()');
+      body = '&body';
+      contentTypeLine = '\treq.Header.Set("Content-Type", writer.FormDataContentType())';
+      break;
+    default:
+  }
+
+  return [
+    'package main',
+    '',
+    'import (',
+    ...[...imports].sort().map((name) => `\t${JSON.stringify(name)}`),
+    ')',
+    '',
+    'func main() {',
+    ...(setup.length > 0 ? [...setup, ''] : []),
+    `\treq, err := http.NewRequest(${JSON.stringify(request.method)}, ${JSON.stringify(request.url)}, ${body})`,
+    '\tif err != nil {',
+    '\t\tpanic(err)',
+    '\t}',
+    ...request.headers.map(([name, value]) => `\treq.Header.Set(${JSON.stringify(name)}, ${JSON.stringify(value)})`),
+    ...(contentTypeLine ? [contentTypeLine] : []),
+    '',
+    '\tresp, err := http.DefaultClient.Do(req)',
+    '\tif err != nil {',
+    '\t\tpanic(err)',
+    '\t}',
+    '\tdefer resp.Body.Close()',
+    '',
+    '\tdata, err := io.ReadAll(resp.Body)',
+    '\tif err != nil {',
+    '\t\tpanic(err)',
+    '\t}',
+    '\tfmt.Println(resp.Status, string(data))',
+    '}',
+  ].join('\n');
+}
+
+// Raw string literal unless the text holds a backtick
+function goString(text) {
+  return text.includes('`') ? JSON.stringify(text) : `\`${text}\``;
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+// JSON is valid JavaScript; nested lines are indented to the surrounding code
+function jsLiteral(value, indent) {
+  return JSON.stringify(value, null, 2).replace(/\n/g, `\n${indent}`);
+}
+
+function pythonLiteral(value, indent) {
+  if (value === null || value === undefined) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value !== 'object') return JSON.stringify(value);
+
+  const inner = `${indent}    `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map((item) => `${inner}${pythonLiteral(item, inner)},`).join('\n')}\n${indent}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return `{\n${entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${pythonLiteral(item, inner)},`).join('\n')}\n${indent}}`;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { generateSnippets, generateAllSnippets, SNIPPET_LANGUAGES };
@@ -0,0 +1,30 @@
+const { createSupabaseStorage } = require('./supabase');
+const { createMemoryStorage } = require('./memory');
+
+/**
+ * Creates the storage backend selected by configuration.
+ * STORAGE_DRIVER=supabase (default) talks to Supabase, STORAGE_DRIVER=memory keeps everything in process
+ * (optionally persisted to the JSON file named by STORAGE_FILE).
+ * @param {Object} [config] - Overrides for the environment configuration.
+ * @returns {Object} - Storage implementation.
+ */
+function createStorage(config = {}) {
+  const driver = (config.driver || process.env.STORAGE_DRIVER || 'supabase').toLowerCase();
+
+  switch (driver) {
+    case 'supabase':
+      return createSupabaseStorage({
+        url: config.url || process.env.SUPABASE_URL,
+        key: config.key || process.env.SUPABASE_KEY,
+      });
+    case 'memory':
+      return createMemoryStorage({
+        file: config.file || process.env.STORAGE_FILE,
+        seed: config.seed,
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = { createStorage, createSupabaseStorage, createMemoryStorage };
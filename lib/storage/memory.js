@@ -0,0 +1,325 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TABLES = ['users', 'projects', 'apidocumentation', 'apidocumentation_revisions', 'contract_reports', 'personal_access_tokens', 'workspaces', 'workspace_members', 'workspace_invitations'];
+
+/**
+ * Creates an in-process storage with the same interface as the Supabase storage.
+ * Rows live in memory; when `options.file` is set they are loaded from and written back to that JSON file.
+ * @param {Object} [options] - Storage options.
+ * @param {string} [options.file] - Path of a JSON file used to seed and persist the tables.
+ * @param {Object} [options.seed] - Initial rows keyed by table name.
+ * @returns {Object} - Storage implementation.
+ */
+function createMemoryStorage(options = {}) {
+  const file = options.file ? path.resolve(options.file) : null;
+  const tables = loadTables(file, options.seed);
+
+  // Persist the tables after every write so the file survives restarts
+  function save() {
+    if (!file) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(tables, null, 2));
+  }
+
+  function select(table, match) {
+    return tables[table]
+      .filter((row) => matches(row, match))
+      .map(clone);
+  }
+
+  function selectOne(table, match) {
+    const rows = select(table, match);
+    if (rows.length > 1) {
+      return { data: null, error: { message: `Multiple ${table} rows returned` } };
+    }
+    return { data: rows[0] || null, error: null };
+  }
+
+  function insert(table, row) {
+    const stored = { created_at: new Date().toISOString(), ...row };
+    tables[table].push(stored);
+    save();
+    return clone(stored);
+  }
+
+  function update(table, match, changes) {
+    const updated = [];
+    for (const row of tables[table]) {
+      if (matches(row, match)) {
+        Object.assign(row, withoutUndefined(changes));
+        updated.push(clone(row));
+      }
+    }
+    if (updated.length > 0) {
+      save();
+    }
+    return updated;
+  }
+
+  function remove(table, match) {
+    const removed = tables[table].filter((row) => matches(row, match));
+    tables[table] = tables[table].filter((row) => !matches(row, match));
+    if (removed.length > 0) {
+      save();
+    }
+    return removed.map(clone);
+  }
+
+  return {
+    driver: 'memory',
+
+    // Users
+
+    async listUsers() {
+      return { data: select('users', {}), error: null };
+    },
+
+    async getUser(userId) {
+      return selectOne('users', { user_id: userId });
+    },
+
+    async createUser(user) {
+      if (!user.user_id) {
+        return { data: null, error: { message: 'user_id is required' } };
+      }
+      if (select('users', { user_id: user.user_id }).length > 0) {
+        return { data: null, error: { message: `User ${user.user_id} already exists` } };
+      }
+      return { data: insert('users', user), error: null };
+    },
+
+    // Projects
+
+    async listProjects(filter = {}) {
+      return { data: select('projects', { user_id: filter.userId, workspace_id: filter.workspaceId }), error: null };
+    },
+
+    async getProject(projectId, userId) {
+      return selectOne('projects', { project_id: projectId, user_id: userId });
+    },
+
+    async createProject(project) {
+      const row = insert('projects', { project_id: crypto.randomUUID(), ...project });
+      return { data: [row], error: null };
+    },
+
+    async updateProject(projectId, userId, changes) {
+      return {
+        data: update('projects', { project_id: projectId, user_id: userId }, changes),
+        error: null,
+      };
+    },
+
+    async deleteProject(projectId, userId) {
+      const data = remove('projects', { project_id: projectId, user_id: userId });
+      // Documentation rows belong to the project, drop them as well
+      if (data.length > 0) {
+        remove('apidocumentation', { project_id: projectId });
+        remove('apidocumentation_revisions', { project_id: projectId });
+        remove('contract_reports', { project_id: projectId });
+      }
+      return { data, error: null };
+    },
+
+    // Documentation
+
+    async listDocumentations(filter = {}) {
+      return {
+        data: select('apidocumentation', { project_id: filter.projectId, api_id: filter.docId }),
+        error: null,
+      };
+    },
+
+    async getDocumentation(docId, projectId) {
+      return selectOne('apidocumentation', { api_id: docId, project_id: projectId });
+    },
+
+    async createDocumentation(documentation) {
+      const row = insert('apidocumentation', { api_id: crypto.randomUUID(), ...documentation });
+      return { data: [row], error: null };
+    },
+
+    async updateDocumentation(docId, projectId, changes) {
+      return {
+        data: update('apidocumentation', { api_id: docId, project_id: projectId }, changes),
+        error: null,
+      };
+    },
+
+    async deleteDocumentation(docId, projectId) {
+      const data = remove('apidocumentation', { api_id: docId, project_id: projectId });
+      if (data.length > 0) {
+        remove('apidocumentation_revisions', { api_id: docId });
+      }
+      return { data, error: null };
+    },
+
+    // Documentation revisions (immutable, there is no update)
+
+    async listRevisions(docId) {
+      const data = select('apidocumentation_revisions', { api_id: docId })
+        .sort((a, b) => a.version - b.version);
+      return { data, error: null };
+    },
+
+    async getRevision(docId, revisionId) {
+      return selectOne('apidocumentation_revisions', { api_id: docId, revision_id: revisionId });
+    },
+
+    async createRevision(revision) {
+      // Same answer as the unique (api_id, version) constraint of the SQL table
+      if (select('apidocumentation_revisions', { api_id: revision.api_id, version: revision.version }).length > 0) {
+        return {
+          data: null,
+          error: { code: '23505', message: 'duplicate key value violates unique constraint "apidocumentation_revisions_api_id_version_key"' },
+        };
+      }
+      const row = insert('apidocumentation_revisions', { revision_id: crypto.randomUUID(), ...revision });
+      return { data: [row], error: null };
+    },
+
+    // Contract test reports
+
+    async listContractReports(filter = {}) {
+      const data = select('contract_reports', { project_id: filter.projectId })
+        .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+      return { data, error: null };
+    },
+
+    async getContractReport(reportId) {
+      return selectOne('contract_reports', { report_id: reportId });
+    },
+
+    async createContractReport(report) {
+      const row = insert('contract_reports', { report_id: crypto.randomUUID(), ...report });
+      return { data: [row], error: null };
+    },
+
+    // Workspaces, their members and invitations
+
+    async getWorkspace(workspaceId) {
+      return selectOne('workspaces', { workspace_id: workspaceId });
+    },
+
+    async createWorkspace(workspace) {
+      const row = insert('workspaces', { workspace_id: crypto.randomUUID(), ...workspace });
+      return { data: [row], error: null };
+    },
+
+    async updateWorkspace(workspaceId, changes) {
+      return { data: update('workspaces', { workspace_id: workspaceId }, changes), error: null };
+    },
+
+    async listMembers(filter = {}) {
+      return {
+        data: select('workspace_members', { workspace_id: filter.workspaceId, user_id: filter.userId }),
+        error: null,
+      };
+    },
+
+    async getMember(workspaceId, userId) {
+      return selectOne('workspace_members', { workspace_id: workspaceId, user_id: userId });
+    },
+
+    async createMember(member) {
+      return { data: [insert('workspace_members', member)], error: null };
+    },
+
+    async updateMember(workspaceId, userId, changes) {
+      return {
+        data: update('workspace_members', { workspace_id: workspaceId, user_id: userId }, changes),
+        error: null,
+      };
+    },
+
+    async deleteMember(workspaceId, userId) {
+      return { data: remove('workspace_members', { workspace_id: workspaceId, user_id: userId }), error: null };
+    },
+
+    async listInvitations(filter = {}) {
+      const data = select('workspace_invitations', { workspace_id: filter.workspaceId })
+        .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+      return { data, error: null };
+    },
+
+    async getInvitationByHash(codeHash) {
+      return selectOne('workspace_invitations', { code_hash: codeHash });
+    },
+
+    async createInvitation(invitation) {
+      const row = insert('workspace_invitations', { invitation_id: crypto.randomUUID(), ...invitation });
+      return { data: [row], error: null };
+    },
+
+    async updateInvitation(invitationId, workspaceId, changes) {
+      return {
+        data: update('workspace_invitations', { invitation_id: invitationId, workspace_id: workspaceId }, changes),
+        error: null,
+      };
+    },
+
+    // Personal access tokens (only the hash of a token is stored)
+
+    async listAccessTokens(filter = {}) {
+      const data = select('personal_access_tokens', { user_id: filter.userId })
+        .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+      return { data, error: null };
+    },
+
+    async getAccessTokenByHash(tokenHash) {
+      return selectOne('personal_access_tokens', { token_hash: tokenHash });
+    },
+
+    async createAccessToken(token) {
+      const row = insert('personal_access_tokens', { token_id: crypto.randomUUID(), ...token });
+      return { data: [row], error: null };
+    },
+
+    async updateAccessToken(tokenId, userId, changes) {
+      return {
+        data: update('personal_access_tokens', { token_id: tokenId, user_id: userId }, changes),
+        error: null,
+      };
+    },
+  };
+}
+
+/**
+ * Loads the tables from the JSON file, falling back to the seed object.
+ * @param {string|null} file - Path of the JSON file.
+ * @param {Object} [seed] - Initial rows keyed by table name.
+ * @returns {Object} - Rows keyed by table name.
+ */
+function loadTables(file, seed = {}) {
+  // An existing file wins over the seed, it already contains the seeded rows from a previous run
+  const source = file && fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : seed;
+
+  const tables = {};
+  for (const table of TABLES) {
+    tables[table] = (source[table] || []).map(clone);
+  }
+  return tables;
+}
+
+// A row matches when every defined filter value equals the column (ids compared as strings)
+function matches(row, match) {
+  return Object.entries(match).every(([column, value]) =>
+    value === undefined || String(row[column]) === String(value)
+  );
+}
+
+function withoutUndefined(changes) {
+  return Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,490 @@
+/**
+ * Swagger 2.0 to OpenAPI 3.0 upgrade.
+ * Only covers what `convertData` and the stored documentation need: paths, parameters,
+ * request bodies, responses, definitions and security definitions.
+ */
+
+const DEFAULT_MEDIA_TYPE = 'application/json';
+
+// Parameter keywords that move from the parameter into its `schema` in OpenAPI 3
+const SCHEMA_KEYWORDS = [
+  'type', 'format', 'items', 'default', 'maximum', 'exclusiveMaximum', 'minimum',
+  'exclusiveMinimum', 'maxLength', 'minLength', 'pattern', 'maxItems', 'minItems',
+  'uniqueItems', 'enum', 'multipleOf',
+];
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+/**
+ * Checks whether the document is a Swagger 2.0 specification.
+ * @param {Object} spec - The API document.
+ * @returns {boolean} - True for Swagger 2.0 documents.
+ */
+function isSwagger2(spec) {
+  return Boolean(spec) && typeof spec === 'object' && String(spec.swagger) === '2.0';
+}
+
+/**
+ * Converts a Swagger 2.0 document into an equivalent OpenAPI 3.0 document.
+ * @param {Object} swagger - The Swagger 2.0 document.
+ * @returns {Object} - The OpenAPI 3.0 document.
+ */
+function convertSwagger2ToOpenApi3(swagger) {
+  // Work on a copy with every $ref already pointing at its OpenAPI 3 location
+  const source = rewriteRefs(JSON.parse(JSON.stringify(swagger)), swagger.parameters || {});
+  const globalConsumes = source.consumes || [DEFAULT_MEDIA_TYPE];
+  const globalProduces = source.produces || [DEFAULT_MEDIA_TYPE];
+
+  const openapi = {
+    openapi: '3.0.3',
+    info: source.info || { title: 'API Documentation', version: '1.0.0' },
+    servers: buildServers(source),
+    paths: {},
+  };
+
+  copyExtensions(source, openapi);
+  if (source.tags) openapi.tags = source.tags;
+  if (source.security) openapi.security = source.security;
+  if (source.externalDocs) openapi.externalDocs = source.externalDocs;
+
+  const components = buildComponents(source, globalConsumes, globalProduces);
+  if (Object.keys(components).length > 0) {
+    openapi.components = components;
+  }
+
+  for (const [path, pathItem] of Object.entries(source.paths || {})) {
+    openapi.paths[path] = convertPathItem(pathItem, source, globalConsumes, globalProduces);
+  }
+
+  return openapi;
+}
+
+/**
+ * Builds the `servers` list from host, basePath and schemes.
+ * @param {Object} swagger - The Swagger 2.0 document.
+ * @returns {Array} - OpenAPI 3 server objects.
+ */
+function buildServers(swagger) {
+  const basePath = swagger.basePath || '/';
+  if (!swagger.host) {
+    return [{ url: basePath }];
+  }
+
+  const schemes = swagger.schemes && swagger.schemes.length > 0 ? swagger.schemes : ['https'];
+  return schemes.map((scheme) => ({ url: `${scheme}://${swagger.host}${basePath === '/' ? '' : basePath}` }));
+}
+
+/**
+ * Moves definitions, shared parameters, responses and security definitions into `components`.
+ */
+function buildComponents(swagger, globalConsumes, globalProduces) {
+  const components = {};
+
+  if (swagger.definitions) {
+    components.schemas = {};
+    for (const [name, schema] of Object.entries(swagger.definitions)) {
+      components.schemas[name] = convertSchema(schema);
+    }
+  }
+
+  for (const [name, param] of Object.entries(swagger.parameters || {})) {
+    if (param.in === 'body') {
+      components.requestBodies = components.requestBodies || {};
+      components.requestBodies[name] = convertBodyParameter(param, globalConsumes);
+    } else if (param.in === 'formData') {
+      components.requestBodies = components.requestBodies || {};
+      components.requestBodies[name] = convertFormDataParameters([param], globalConsumes);
+    } else {
+      components.parameters = components.parameters || {};
+      components.parameters[name] = convertParameter(param);
+    }
+  }
+
+  if (swagger.responses) {
+    components.responses = {};
+    for (const [name, response] of Object.entries(swagger.responses)) {
+      components.responses[name] = convertResponse(response, globalProduces);
+    }
+  }
+
+  if (swagger.securityDefinitions) {
+    components.securitySchemes = {};
+    for (const [name, definition] of Object.entries(swagger.securityDefinitions)) {
+      components.securitySchemes[name] = convertSecurityDefinition(definition);
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Converts one path item, pushing body and form parameters down into each operation's requestBody.
+ */
+function convertPathItem(pathItem, swagger, globalConsumes, globalProduces) {
+  const converted = {};
+  const sharedParams = pathItem.parameters || [];
+  const sharedPlain = sharedParams.filter((param) => !isBodyLike(param, swagger));
+
+  copyExtensions(pathItem, converted);
+  if (sharedPlain.length > 0) {
+    converted.parameters = sharedPlain.map((param) => convertParameterOrRef(param));
+  }
+
+  for (const method of HTTP_METHODS) {
+    const operation = pathItem[method];
+    if (!operation) continue;
+
+    // Operation level parameters override path level ones with the same name and location
+    const ownParams = operation.parameters || [];
+    const ownKeys = new Set(ownParams.map((param) => parameterKey(param, swagger)));
+    const inherited = sharedParams.filter((param) =>
+      isBodyLike(param, swagger) && !ownKeys.has(parameterKey(param, swagger))
+    );
+
+    converted[method] = convertOperation(
+      { ...operation, parameters: [...inherited, ...ownParams] },
+      swagger,
+      operation.consumes || globalConsumes,
+      operation.produces || globalProduces
+    );
+  }
+
+  return converted;
+}
+
+/**
+ * Converts a single operation.
+ */
+function convertOperation(operation, swagger, consumes, produces) {
+  const converted = {};
+
+  for (const [key, value] of Object.entries(operation)) {
+    if (['parameters', 'responses', 'consumes', 'produces', 'schemes'].includes(key)) continue;
+    converted[key] = value;
+  }
+
+  const params = operation.parameters || [];
+  const bodyParam = params.find((param) => resolveParameter(param, swagger).in === 'body');
+  const formParams = params.filter((param) => !param.$ref && param.in === 'formData');
+  const plainParams = params.filter((param) => !isBodyLike(param, swagger));
+
+  if (plainParams.length > 0) {
+    converted.parameters = plainParams.map((param) => convertParameterOrRef(param));
+  }
+
+  if (bodyParam) {
+    converted.requestBody = bodyParam.$ref
+      ? { $ref: bodyParam.$ref }
+      : convertBodyParameter(bodyParam, consumes);
+  } else if (formParams.length > 0) {
+    converted.requestBody = convertFormDataParameters(formParams, consumes);
+  } else {
+    const formRef = params.find((param) => param.$ref && resolveParameter(param, swagger).in === 'formData');
+    if (formRef) {
+      converted.requestBody = { $ref: formRef.$ref };
+    }
+  }
+
+  converted.responses = {};
+  for (const [code, response] of Object.entries(operation.responses || {})) {
+    converted.responses[code] = response.$ref
+      ? { $ref: response.$ref }
+      : convertResponse(response, produces);
+  }
+
+  return converted;
+}
+
+function convertParameterOrRef(param) {
+  return param.$ref ? { $ref: param.$ref } : convertParameter(param);
+}
+
+/**
+ * Converts a query/path/header parameter by moving its type keywords into `schema`.
+ */
+function convertParameter(param) {
+  const converted = {};
+  const schema = {};
+
+  for (const [key, value] of Object.entries(param)) {
+    if (SCHEMA_KEYWORDS.includes(key)) {
+      schema[key] = key === 'items' ? convertSchema(value) : value;
+    } else if (key === 'collectionFormat') {
+      continue;
+    } else if (key === 'allowEmptyValue' && param.in !== 'query') {
+      continue;
+    } else if (key === 'x-example') {
+      converted.example = value;
+    } else {
+      converted[key] = value;
+    }
+  }
+
+  if (schema.type === 'file') {
+    schema.type = 'string';
+    schema.format = 'binary';
+  }
+  converted.schema = schema;
+
+  const style = collectionStyle(param.collectionFormat);
+  if (style) {
+    Object.assign(converted, style);
+  }
+
+  return converted;
+}
+
+// Maps Swagger 2 collectionFormat onto OpenAPI 3 style/explode
+function collectionStyle(collectionFormat) {
+  switch (collectionFormat) {
+    case 'ssv':
+      return { style: 'spaceDelimited', explode: false };
+    case 'pipes':
+      return { style: 'pipeDelimited', explode: false };
+    case 'multi':
+      return { style: 'form', explode: true };
+    case 'csv':
+      return { explode: false };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Converts an `in: body` parameter into a requestBody, one content entry per consumed media type.
+ */
+function convertBodyParameter(param, consumes) {
+  const content = {};
+  const schema = convertSchema(param.schema || {});
+
+  for (const mediaType of jsonLikeFirst(consumes)) {
+    content[mediaType] = { schema };
+    if (param['x-examples'] && param['x-examples'][mediaType] !== undefined) {
+      content[mediaType].example = param['x-examples'][mediaType];
+    }
+  }
+
+  const requestBody = { content };
+  if (param.description) requestBody.description = param.description;
+  if (param.required) requestBody.required = true;
+  if (param.name) requestBody['x-codegen-request-body-name'] = param.name;
+
+  return requestBody;
+}
+
+/**
+ * Combines the `in: formData` parameters into one object schema under a form media type.
+ */
+function convertFormDataParameters(params, consumes) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+
+  for (const param of params) {
+    const { schema: propertySchema } = convertParameter(param);
+    if (param.description) propertySchema.description = param.description;
+    schema.properties[param.name] = propertySchema;
+    if (param.required) required.push(param.name);
+  }
+  if (required.length > 0) {
+    schema.required = required;
+  }
+
+  const hasFile = params.some((param) => param.type === 'file');
+  const formTypes = consumes.filter((type) =>
+    type === 'multipart/form-data' || type === 'application/x-www-form-urlencoded'
+  );
+  const mediaTypes = formTypes.length > 0
+    ? formTypes
+    : [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+
+  const content = {};
+  for (const mediaType of mediaTypes) {
+    content[mediaType] = { schema };
+  }
+
+  const requestBody = { content };
+  if (required.length > 0) requestBody.required = true;
+
+  return requestBody;
+}
+
+/**
+ * Converts a response, adding the schema under every produced media type.
+ */
+function convertResponse(response, produces) {
+  const converted = { description: response.description || '' };
+  copyExtensions(response, converted);
+
+  if (response.schema) {
+    const schema = convertSchema(response.schema);
+    converted.content = {};
+
+    const examples = response.examples || {};
+    const mediaTypes = jsonLikeFirst([...new Set([...produces, ...Object.keys(examples)])]);
+    for (const mediaType of mediaTypes) {
+      converted.content[mediaType] = { schema };
+      if (examples[mediaType] !== undefined) {
+        converted.content[mediaType].example = examples[mediaType];
+      }
+    }
+  }
+
+  if (response.headers) {
+    converted.headers = {};
+    for (const [name, header] of Object.entries(response.headers)) {
+      const { description, ...schema } = header;
+      converted.headers[name] = { schema: convertSchema(schema) };
+      if (description) converted.headers[name].description = description;
+    }
+  }
+
+  return converted;
+}
+
+function convertSecurityDefinition(definition) {
+  if (definition.type === 'basic') {
+    const converted = { type: 'http', scheme: 'basic' };
+    if (definition.description) converted.description = definition.description;
+    return converted;
+  }
+  if (definition.type === 'apiKey') {
+    return { ...definition };
+  }
+  if (definition.type === 'oauth2') {
+    const flowNames = {
+      implicit: 'implicit',
+      password: 'password',
+      application: 'clientCredentials',
+      accessCode: 'authorizationCode',
+    };
+    const flow = { scopes: definition.scopes || {} };
+    if (definition.authorizationUrl) flow.authorizationUrl = definition.authorizationUrl;
+    if (definition.tokenUrl) flow.tokenUrl = definition.tokenUrl;
+
+    const converted = { type: 'oauth2', flows: { [flowNames[definition.flow]]: flow } };
+    if (definition.description) converted.description = definition.description;
+    return converted;
+  }
+  return { ...definition };
+}
+
+/**
+ * Converts Swagger 2 only schema keywords (x-nullable, file, string discriminator) recursively.
+ * @param {Object} schema - The Swagger 2 schema.
+ * @returns {Object} - The OpenAPI 3 schema.
+ */
+function convertSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(convertSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'x-nullable') {
+      converted.nullable = value;
+    } else if (key === 'discriminator' && typeof value === 'string') {
+      converted.discriminator = { propertyName: value };
+    } else if (key === 'example' || key === 'enum' || key === 'default') {
+      converted[key] = value;
+    } else if (key === 'properties' && value && typeof value === 'object') {
+      converted.properties = {};
+      for (const [name, property] of Object.entries(value)) {
+        converted.properties[name] = convertSchema(property);
+      }
+    } else {
+      converted[key] = convertSchema(value);
+    }
+  }
+
+  if (converted.type === 'file') {
+    converted.type = 'string';
+    converted.format = 'binary';
+  }
+
+  return converted;
+}
+
+/**
+ * Points every $ref at its OpenAPI 3 component location.
+ */
+function rewriteRefs(node, sharedParameters) {
+  if (Array.isArray(node)) {
+    return node.map((item) => rewriteRefs(item, sharedParameters));
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+
+  const rewritten = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === '$ref' && typeof value === 'string') {
+      rewritten.$ref = rewriteRef(value, sharedParameters);
+      // Keep the original so body/form parameter refs can still be resolved while converting
+      if (value.startsWith('#/parameters/')) rewritten['x-swagger2-ref'] = value;
+    } else {
+      rewritten[key] = rewriteRefs(value, sharedParameters);
+    }
+  }
+  return rewritten;
+}
+
+function rewriteRef(ref, sharedParameters) {
+  if (ref.startsWith('#/definitions/')) {
+    return ref.replace('#/definitions/', '#/components/schemas/');
+  }
+  if (ref.startsWith('#/responses/')) {
+    return ref.replace('#/responses/', '#/components/responses/');
+  }
+  if (ref.startsWith('#/parameters/')) {
+    const name = decodePointer(ref.slice('#/parameters/'.length));
+    const param = sharedParameters[name];
+    const target = param && (param.in === 'body' || param.in === 'formData')
+      ? '#/components/requestBodies/'
+      : '#/components/parameters/';
+    return ref.replace('#/parameters/', target);
+  }
+  return ref;
+}
+
+// Looks through a parameter $ref to the shared parameter it points at
+function resolveParameter(param, swagger) {
+  if (!param.$ref) {
+    return param;
+  }
+  const original = param['x-swagger2-ref'] || '';
+  const name = decodePointer(original.slice('#/parameters/'.length));
+  return (swagger.parameters || {})[name] || param;
+}
+
+function isBodyLike(param, swagger) {
+  const resolved = resolveParameter(param, swagger);
+  return resolved.in === 'body' || resolved.in === 'formData';
+}
+
+function parameterKey(param, swagger) {
+  const resolved = resolveParameter(param, swagger);
+  return `${resolved.in}:${resolved.name}`;
+}
+
+function decodePointer(segment) {
+  return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+// JSON media types first so consumers that only look at the first entry get the JSON schema
+function jsonLikeFirst(mediaTypes) {
+  const list = mediaTypes.length > 0 ? mediaTypes : [DEFAULT_MEDIA_TYPE];
+  return [...list].sort((a, b) => Number(!/json/i.test(a)) - Number(!/json/i.test(b)));
+}
+
+function copyExtensions(from, to) {
+  for (const [key, value] of Object.entries(from)) {
+    if (key.startsWith('x-') && key !== 'x-swagger2-ref') {
+      to[key] = value;
+    }
+  }
+}
+
+module.exports = { isSwagger2, convertSwagger2ToOpenApi3 };
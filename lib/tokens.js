@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+
+/**
+ * Personal access tokens for CI and scripts.
+ * A token is `awpat_` followed by 32 random bytes (base64url). Only its SHA-256 hash is stored,
+ * with the scopes (`read`, `write`, write implies read), the projects it is limited to (null for
+ * all of the owner's projects), its expiry and when it was last used.
+ */
+
+const TOKEN_PREFIX = 'awpat_';
+
+const TOKEN_SCOPES = ['read', 'write'];
+
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+/**
+ * @returns {string} - A new random access token.
+ */
+function generateAccessToken() {
+  return `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * @param {string} token - An access token.
+ * @returns {string} - Its SHA-256 hash (hex), the only form in which tokens are stored.
+ */
+function hashAccessToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * @param {string} token - A bearer token.
+ * @returns {boolean} - True when the token is a personal access token rather than a JWT.
+ */
+function isAccessToken(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * Validates the body of a token creation request.
+ * @param {Object} body - `{ name, scopes, projectIds, expiresInDays }`.
+ * @returns {Object} - `{ data }` with the normalized values, or `{ error }`.
+ */
+function normalizeTokenRequest(body) {
+  const { name, scopes = ['read'], projectIds = null, expiresInDays = DEFAULT_EXPIRY_DAYS } = body || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'name is required' };
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((scope) => !TOKEN_SCOPES.includes(scope))) {
+    return { error: `scopes must be a non-empty array of ${TOKEN_SCOPES.join(', ')}` };
+  }
+  if (projectIds !== null && (!Array.isArray(projectIds) || projectIds.length === 0 || projectIds.some((id) => typeof id !== 'string' || !id))) {
+    return { error: 'projectIds must be null (all projects) or a non-empty array of project ids' };
+  }
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+    return { error: `expiresInDays must be an integer between 1 and ${MAX_EXPIRY_DAYS}` };
+  }
+
+  return {
+    data: {
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      projectIds: projectIds && [...new Set(projectIds)],
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+    },
+  };
+}
+
+/**
+ * @param {Object} row - A stored token.
+ * @returns {Object} - The token without its hash.
+ */
+function publicToken(row) {
+  const { token_hash: tokenHash, ...rest } = row;
+  return rest;
+}
+
+/**
+ * Creates the access token check used by the auth middleware.
+ * @param {Object} storage - The storage backend.
+ * @returns {Object} - `{ matches(token), verify(token) }`; verify resolves to
+ * `{ userId, tokenId, scopes, projectIds }` and rejects unknown, revoked and expired tokens.
+ */
+function createAccessTokenAuth(storage) {
+  return {
+    matches: isAccessToken,
+    async verify(token) {
+      const { data, error } = await storage.getAccessTokenByHash(hashAccessToken(token));
+      if (error) {
+        throw new Error(error.message);
+      }
+      if (!data) {
+        throw new Error('Unknown access token');
+      }
+      if (data.revoked_at) {
+        throw new Error('Access token has been revoked');
+      }
+      if (data.expires_at && Date.parse(data.expires_at) <= Date.now()) {
+        throw new Error('Access token has expired');
+      }
+
+      await storage.updateAccessToken(data.token_id, data.user_id, { last_used_at: new Date().toISOString() });
+      return { userId: data.user_id, tokenId: data.token_id, scopes: data.scopes || [], projectIds: data.project_ids || null };
+    },
+  };
+}
+
+/**
+ * Middleware limiting what an access token may do on a route; session (JWT) requests pass.
+ * @param {string} scope - `read` or `write`.
+ * @returns {Function} - Express middleware.
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    const access = req.auth;
+    if (!access || access.type !== 'token') {
+      return next();
+    }
+
+    const granted = access.scopes.includes(scope) || (scope === 'read' && access.scopes.includes('write'));
+    if (!granted) {
+      return res.status(403).json({ error: `This access token lacks the ${scope} scope`, success: false });
+    }
+    return next();
+  };
+}
+
+/**
+ * @param {Object} [access] - `req.auth` of a request.
+ * @param {string} projectId - A project ID.
+ * @returns {boolean} - False when the request uses an access token limited to other projects.
+ */
+function allowsProject(access, projectId) {
+  if (!access || access.type !== 'token' || !access.projectIds) {
+    return true;
+  }
+  return access.projectIds.includes(String(projectId));
+}
+
+// Middleware for routes not bound to one project (e.g. creating a project), which access tokens
+// limited to some projects may not use
+function requireAllProjects(req, res, next) {
+  if (req.auth && req.auth.type === 'token' && req.auth.projectIds) {
+    return res.status(403).json({ error: 'This access token is limited to some projects', success: false });
+  }
+  return next();
+}
+
+// Middleware for routes only a signed-in user may call, e.g. managing access tokens
+function requireSession(req, res, next) {
+  if (req.auth && req.auth.type === 'token') {
+    return res.status(403).json({ error: 'This route does not accept access tokens', success: false });
+  }
+  return next();
+}
+
+module.exports = {
+  generateAccessToken,
+  hashAccessToken,
+  isAccessToken,
+  normalizeTokenRequest,
+  publicToken,
+  createAccessTokenAuth,
+  requireScope,
+  allowsProject,
+  requireAllProjects,
+  requireSession,
+  TOKEN_SCOPES,
+};
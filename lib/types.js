@@ -0,0 +1,242 @@
+const {
+  collectOperations,
+  primaryContent,
+  renderTypeDeclaration,
+  docComment,
+  resolveRef,
+  schemaTypeName,
+  COMPONENT_SCHEMA_REF,
+} = require('./codegen');
+
+/**
+ * Type exports: TypeScript declarations or standalone JSON Schema (draft 2020-12) documents for the
+ * component schemas and every request/response body of an OpenAPI 3 document.
+ * Operation schemas are named `<OperationId>RequestBody` and `<OperationId>Response<Status>`;
+ * component schemas keep their own name and are referenced rather than repeated.
+ */
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+// OpenAPI-only keywords with no JSON Schema meaning
+const OPENAPI_ONLY_KEYWORDS = ['nullable', 'example', 'discriminator', 'xml', 'externalDocs'];
+
+/**
+ * Lists the named schemas of a document: component schemas first, then per operation its request
+ * body and each response body.
+ * @param {Object} spec - The OpenAPI 3 document (not dereferenced).
+ * @returns {Array} - `{ name, role, operation, status, schema }`; `operation` and `status` are null for components.
+ */
+function collectNamedSchemas(spec) {
+  const named = Object.entries((spec.components || {}).schemas || {}).map(([key, schema]) => ({
+    name: schemaTypeName(key),
+    role: 'component',
+    operation: null,
+    status: null,
+    schema,
+  }));
+
+  for (const op of collectOperations(spec)) {
+    const operation = `${op.method.toUpperCase()} ${op.path}`;
+
+    const body = op.requestBody && primaryContent(op.requestBody.content);
+    if (body) {
+      named.push({ name: `${op.typeName}RequestBody`, role: 'requestBody', operation, status: null, schema: body.schema });
+    }
+
+    for (const [status, response] of Object.entries(op.responses)) {
+      const content = primaryContent(response.content);
+      if (!content) continue;
+      const suffix = status === 'default' ? 'Default' : status.toUpperCase();
+      named.push({ name: `${op.typeName}Response${suffix}`, role: 'response', operation, status, schema: content.schema });
+    }
+  }
+
+  // Names are deterministic, but an operation type may still collide with a component of the same name
+  const used = new Set();
+  for (const item of named) {
+    let name = item.name;
+    for (let counter = 2; used.has(name); counter++) {
+      name = `${item.name}${counter}`;
+    }
+    used.add(name);
+    item.name = name;
+  }
+
+  return named;
+}
+
+/**
+ * Renders TypeScript declarations for named schemas.
+ * @param {Object} spec - The OpenAPI document the schemas belong to.
+ * @param {Array} named - Named schemas from collectNamedSchemas.
+ * @returns {string} - The module source.
+ */
+function toTypeScript(spec, named) {
+  const title = (spec.info && spec.info.title) || 'API';
+  const declarations = named.map((item) => {
+    // A line break in a path would end the line comment
+    const origin = item.role === 'component'
+      ? ''
+      : `// ${item.operation} ${item.role === 'requestBody' ? 'request body' : `${item.status} response`}`.replace(/[\r\n\u2028\u2029]+/g, ' ');
+    return `${origin}${origin ? '\n' : ''}${renderTypeDeclaration(spec, item.name, item.schema)}`;
+  });
+
+  // docComment keeps a `*/` in the title from closing the comment
+  const header = docComment({ description: `Types of ${title}.\nGenerated from the OpenAPI document, do not edit by hand.` }, '');
+  return [header, ...declarations].join('\n');
+}
+
+/**
+ * Converts named schemas into standalone JSON Schema 2020-12 documents.
+ * Every document carries, in `$defs`, the component schemas it references (directly or not) exactly once.
+ * @param {Object} spec - The OpenAPI document the schemas belong to.
+ * @param {Array} named - Named schemas from collectNamedSchemas.
+ * @returns {Object} - JSON Schema documents keyed by name.
+ */
+function toJsonSchemas(spec, named) {
+  const documents = {};
+
+  for (const item of named) {
+    const referenced = new Map();
+    const converted = toJsonSchema2020(spec, item.schema, referenced);
+
+    // Pull in the components referenced by the components already pulled in
+    const defs = {};
+    for (let index = 0; index < referenced.size; index++) {
+      const [name, key] = [...referenced.entries()][index];
+      if (item.role === 'component' && name === item.name) continue;
+      defs[name] = toJsonSchema2020(spec, spec.components.schemas[key], referenced);
+    }
+
+    const document = { $schema: JSON_SCHEMA_DIALECT, title: item.name, ...converted };
+    if (Object.keys(defs).length > 0) {
+      document.$defs = { ...(document.$defs || {}), ...defs };
+    }
+    // References back to the component itself point at the document root
+    if (item.role === 'component') {
+      rewriteRefs(document, `#/$defs/${item.name}`, '#');
+    }
+    documents[item.name] = document;
+  }
+
+  return documents;
+}
+
+/**
+ * Converts an OpenAPI 3.0 (or 3.1) schema into JSON Schema 2020-12.
+ * Component references become `#/$defs/<Name>` and are recorded in `referenced`; other local
+ * references are inlined.
+ * @param {Object} spec - The OpenAPI document.
+ * @param {Object} schema - The schema to convert.
+ * @param {Map} referenced - Collects referenced components: type name to `components.schemas` key.
+ * @param {Set} [inlining] - References being inlined, guards recursive non-component references.
+ * @returns {Object} - The JSON Schema.
+ */
+function toJsonSchema2020(spec, schema, referenced, inlining = new Set()) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return schema === false ? false : {};
+  }
+
+  if (typeof schema.$ref === 'string') {
+    const component = COMPONENT_SCHEMA_REF.exec(schema.$ref);
+    if (component) {
+      const key = decodeURIComponent(component[1]);
+      const name = schemaTypeName(key);
+      referenced.set(name, key);
+      return { $ref: `#/$defs/${name}` };
+    }
+    if (inlining.has(schema.$ref)) {
+      return {};
+    }
+    return toJsonSchema2020(spec, resolveRef(spec, schema), referenced, new Set([...inlining, schema.$ref]));
+  }
+
+  const convert = (value) => toJsonSchema2020(spec, value, referenced, inlining);
+  const result = {};
+
+  for (const [key, value] of Object.entries(schema)) {
+    if (OPENAPI_ONLY_KEYWORDS.includes(key)) continue;
+
+    switch (key) {
+      case 'properties':
+      case 'patternProperties':
+      case '$defs':
+        result[key] = Object.fromEntries(Object.entries(value || {}).map(([name, item]) => [name, convert(item)]));
+        break;
+      case 'items':
+      case 'additionalProperties':
+      case 'not':
+      case 'contains':
+      case 'propertyNames':
+        result[key] = typeof value === 'boolean' ? value : convert(value);
+        break;
+      case 'allOf':
+      case 'anyOf':
+      case 'oneOf':
+      case 'prefixItems':
+        result[key] = value.map(convert);
+        break;
+      case 'exclusiveMinimum':
+      case 'exclusiveMaximum':
+        // 3.0 flags the bound given by minimum/maximum, 2020-12 carries the bound itself
+        if (typeof value === 'number') {
+          result[key] = value;
+        } else if (value === true) {
+          const bound = key === 'exclusiveMinimum' ? schema.minimum : schema.maximum;
+          if (bound !== undefined) result[key] = bound;
+        }
+        break;
+      case 'minimum':
+      case 'maximum': {
+        const flag = key === 'minimum' ? schema.exclusiveMinimum : schema.exclusiveMaximum;
+        if (flag !== true) result[key] = value;
+        break;
+      }
+      case 'format':
+        if (value === 'binary') {
+          result.contentMediaType = 'application/octet-stream';
+        } else if (value === 'byte') {
+          result.contentEncoding = 'base64';
+        } else {
+          result.format = value;
+        }
+        break;
+      default:
+        result[key] = value;
+    }
+  }
+
+  if (schema.example !== undefined && result.examples === undefined) {
+    result.examples = [schema.example];
+  }
+
+  if (schema.nullable === true) {
+    if (typeof result.type === 'string') {
+      result.type = [result.type, 'null'];
+    }
+    if (Array.isArray(result.enum) && !result.enum.includes(null)) {
+      result.enum = [...result.enum, null];
+    }
+    if (result.type === undefined && result.enum === undefined) {
+      for (const keyword of ['oneOf', 'anyOf']) {
+        if (Array.isArray(result[keyword])) result[keyword] = [...result[keyword], { type: 'null' }];
+      }
+    }
+  }
+
+  return result;
+}
+
+function rewriteRefs(node, from, to) {
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+  if (node.$ref === from) {
+    node.$ref = to;
+  }
+  for (const value of Object.values(node)) {
+    rewriteRefs(value, from, to);
+  }
+}
+
+module.exports = { collectNamedSchemas, toTypeScript, toJsonSchemas, toJsonSchema2020 };
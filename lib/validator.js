@@ -0,0 +1,242 @@
+/**
+ * Minimal validator for OpenAPI schemas (3.0 flavour, with the common 3.1 keywords).
+ * Covers what request/response checks need: types, nullable, enum/const, required and nested
+ * properties, items, composition keywords, string/number/array bounds, pattern and a few formats.
+ * Schemas are expected to be dereferenced; circular schemas are fine since values are finite.
+ */
+
+const FORMAT_CHECKS = {
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !Number.isNaN(Date.parse(value)),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+};
+
+/**
+ * Validates a value against a schema.
+ * @param {Object} schema - The (dereferenced) schema.
+ * @param {*} value - The value to check.
+ * @param {string} [path] - JSON path of the value, used in error messages (defaults to `$`).
+ * @returns {Array} - `{ path, message }` for every problem found; empty when the value is valid.
+ */
+function validateSchema(schema, value, path = '$') {
+  const errors = [];
+  check(schema, value, path, errors);
+  return errors;
+}
+
+function check(schema, value, path, errors) {
+  if (!schema || typeof schema !== 'object' || Object.keys(schema).length === 0) {
+    return;
+  }
+
+  if (value === null) {
+    if (!allowsNull(schema)) {
+      errors.push({ path, message: 'must not be null' });
+    }
+    return;
+  }
+
+  const types = schemaTypes(schema);
+  if (types.length > 0 && !types.some((type) => matchesType(type, value))) {
+    errors.push({ path, message: `must be ${types.join(' or ')}` });
+    return;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((option) => sameValue(option, value))) {
+    errors.push({ path, message: `must be one of ${JSON.stringify(schema.enum)}` });
+  }
+  if (schema.const !== undefined && !sameValue(schema.const, value)) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') checkString(schema, value, path, errors);
+  if (typeof value === 'number') checkNumber(schema, value, path, errors);
+  if (Array.isArray(value)) checkArray(schema, value, path, errors);
+  if (isObject(value)) checkObject(schema, value, path, errors);
+
+  checkComposition(schema, value, path, errors);
+}
+
+function checkString(schema, value, path, errors) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+  }
+  const pattern = schema.pattern ? safePattern(schema.pattern) : null;
+  if (pattern && !pattern.test(value)) {
+    errors.push({ path, message: `must match pattern ${schema.pattern}` });
+  }
+  if (schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value)) {
+    errors.push({ path, message: `must be a valid ${schema.format}` });
+  }
+}
+
+function checkNumber(schema, value, path, errors) {
+  // 3.0 uses boolean exclusive flags next to minimum/maximum, 3.1 uses numbers
+  const exclusiveMin = typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum
+    : schema.exclusiveMinimum === true ? schema.minimum : undefined;
+  const exclusiveMax = typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum
+    : schema.exclusiveMaximum === true ? schema.maximum : undefined;
+
+  if (exclusiveMin !== undefined && value <= exclusiveMin) {
+    errors.push({ path, message: `must be greater than ${exclusiveMin}` });
+  } else if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be >= ${schema.minimum}` });
+  }
+  if (exclusiveMax !== undefined && value >= exclusiveMax) {
+    errors.push({ path, message: `must be less than ${exclusiveMax}` });
+  } else if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+  if (schema.multipleOf && !Number.isInteger(Number((value / schema.multipleOf).toFixed(10)))) {
+    errors.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+  }
+}
+
+function checkArray(schema, value, path, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ path, message: `must have at least ${schema.minItems} items` });
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+  }
+  if (schema.uniqueItems && new Set(value.map((item) => JSON.stringify(item))).size !== value.length) {
+    errors.push({ path, message: 'must not contain duplicate items' });
+  }
+  if (schema.items && typeof schema.items === 'object') {
+    value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+  }
+}
+
+function checkObject(schema, value, path, errors) {
+  const properties = schema.properties || {};
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined) {
+      errors.push({ path: `${path}.${name}`, message: 'is required' });
+    }
+  }
+
+  for (const [name, propertyValue] of Object.entries(value)) {
+    if (properties[name]) {
+      check(properties[name], propertyValue, `${path}.${name}`, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: `${path}.${name}`, message: 'is not allowed' });
+    } else if (isObject(schema.additionalProperties)) {
+      check(schema.additionalProperties, propertyValue, `${path}.${name}`, errors);
+    }
+  }
+
+  const count = Object.keys(value).length;
+  if (schema.minProperties !== undefined && count < schema.minProperties) {
+    errors.push({ path, message: `must have at least ${schema.minProperties} properties` });
+  }
+  if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+    errors.push({ path, message: `must have at most ${schema.maxProperties} properties` });
+  }
+}
+
+function checkComposition(schema, value, path, errors) {
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach((part) => check(part, value, path, errors));
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some((part) => validateSchema(part, value, path).length === 0)) {
+    errors.push({ path, message: 'must match at least one schema in anyOf' });
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matching = schema.oneOf.filter((part) => validateSchema(part, value, path).length === 0).length;
+    if (matching !== 1) {
+      errors.push({ path, message: 'must match exactly one schema in oneOf' });
+    }
+  }
+  if (isObject(schema.not) && validateSchema(schema.not, value, path).length === 0) {
+    errors.push({ path, message: 'must not match the schema in not' });
+  }
+}
+
+/**
+ * Converts a string taken from a path, query string or header into the type its schema expects.
+ * Values that don't convert are returned unchanged so validation reports them.
+ * @param {Object} schema - The parameter schema.
+ * @param {string|Array|Object} raw - The raw value (repeated query parameters arrive as arrays,
+ *   bracketed ones such as `?id[key]=1` as objects).
+ * @returns {*} - The coerced value.
+ */
+function coerceValue(schema, raw) {
+  const types = schemaTypes(schema || {});
+
+  if (types.includes('array') && (Array.isArray(raw) || typeof raw === 'string')) {
+    const items = Array.isArray(raw) ? raw : raw.split(',');
+    return items.map((item) => coerceValue((schema || {}).items, item));
+  }
+  if (Array.isArray(raw)) {
+    raw = raw[raw.length - 1];
+  }
+  if (typeof raw !== 'string') {
+    return raw;
+  }
+  if ((types.includes('integer') || types.includes('number')) && raw.trim() !== '' && !Number.isNaN(Number(raw))) {
+    return Number(raw);
+  }
+  if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+    return raw === 'true';
+  }
+  if (raw === 'null' && allowsNull(schema || {})) {
+    return null;
+  }
+  return raw;
+}
+
+function schemaTypes(schema) {
+  if (Array.isArray(schema.type)) return schema.type.filter((type) => type !== 'null');
+  return schema.type ? [schema.type] : [];
+}
+
+function allowsNull(schema) {
+  if (schema.nullable === true) return true;
+  if (Array.isArray(schema.type)) return schema.type.includes('null');
+  if (schema.type === 'null') return true;
+  if (Array.isArray(schema.enum)) return schema.enum.includes(null);
+  // Untyped schemas (and compositions deciding for themselves) accept null unless a variant forbids it
+  for (const keyword of ['oneOf', 'anyOf']) {
+    if (Array.isArray(schema[keyword])) return schema[keyword].some(allowsNull);
+  }
+  return !schema.type && !schema.properties && !schema.items;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    default: return true;
+  }
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Patterns are ECMA 262 regexes; ones JavaScript can't compile are skipped rather than failing every value
+function safePattern(pattern) {
+  for (const flags of ['u', '']) {
+    try {
+      return new RegExp(pattern, flags);
+    } catch (err) {
+      // try the next flags
+    }
+  }
+  return null;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = { validateSchema, coerceValue };
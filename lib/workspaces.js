@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+/**
+ * Workspaces group projects shared by a team. Every member has one role:
+ *   viewer - reads the projects and their documentation,
+ *   editor - also modifies the documentation,
+ *   owner  - also manages the projects (settings, publishing, deletion) and the workspace itself.
+ * Members join by accepting an invitation code (`awinv_` and 24 random bytes), which is shown once
+ * and stored as a SHA-256 hash.
+ */
+
+const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+
+const INVITATION_PREFIX = 'awinv_';
+
+const INVITATION_EXPIRY_DAYS = 7;
+
+/**
+ * @param {string} role - The role a member has.
+ * @param {string} required - The role an action needs.
+ * @returns {boolean} - True when the role includes the required one.
+ */
+function roleAtLeast(role, required) {
+  return WORKSPACE_ROLES.includes(role) && WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(required);
+}
+
+/**
+ * @returns {string} - A new invitation code.
+ */
+function generateInvitationCode() {
+  return `${INVITATION_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * @param {string} code - An invitation code.
+ * @returns {string} - Its SHA-256 hash (hex).
+ */
+function hashInvitationCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+/**
+ * Validates the body of an invitation request.
+ * @param {Object} body - `{ email, role }`.
+ * @returns {Object} - `{ data }` with the normalized values, or `{ error }`.
+ */
+function normalizeInvitationRequest(body) {
+  const { email = null, role = 'viewer' } = body || {};
+
+  if (email !== null && (typeof email !== 'string' || !/^[^@\s]+@[^@\s]+$/.test(email.trim()))) {
+    return { error: 'email must be an email address' };
+  }
+  if (!WORKSPACE_ROLES.includes(role)) {
+    return { error: `role must be one of ${WORKSPACE_ROLES.join(', ')}` };
+  }
+
+  return {
+    data: {
+      email: email && email.trim().toLowerCase(),
+      role,
+      expiresAt: new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    },
+  };
+}
+
+/**
+ * @param {Object} row - A stored invitation.
+ * @returns {Object} - The invitation without its code hash.
+ */
+function publicInvitation(row) {
+  const { code_hash: codeHash, ...rest } = row;
+  return rest;
+}
+
+module.exports = {
+  WORKSPACE_ROLES,
+  roleAtLeast,
+  generateInvitationCode,
+  hashInvitationCode,
+  normalizeInvitationRequest,
+  publicInvitation,
+};
@@ -0,0 +1,97 @@
+const express = require('express');
+const yaml = require('js-yaml');
+
+const YAML_MEDIA_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml'];
+
+/**
+ * Middleware that accepts YAML request bodies and parses them into `req.body`.
+ * Parse errors are answered with 400 and the line/column (1-based) of the problem.
+ * @param {Object} [options] - Options passed to express.text (e.g. `limit`).
+ * @returns {Array} - Express middleware chain.
+ */
+function parseYamlBody(options = {}) {
+  const readText = express.text({ ...options, type: YAML_MEDIA_TYPES });
+
+  const parse = (req, res, next) => {
+    if (!req.is(YAML_MEDIA_TYPES) || typeof req.body !== 'string') {
+      return next();
+    }
+
+    try {
+      req.body = parseYaml(req.body);
+      return next();
+    } catch (err) {
+      return res.status(400).json({
+        error: 'Invalid YAML',
+        details: err.reason || err.message,
+        line: err.mark ? err.mark.line + 1 : undefined,
+        column: err.mark ? err.mark.column + 1 : undefined,
+      });
+    }
+  };
+
+  return [readText, parse];
+}
+
+/**
+ * Parses a YAML (or JSON) document into an object.
+ * Uses the core schema so dates and other YAML-only types stay plain JSON values.
+ * @param {string} text - The YAML text.
+ * @returns {Object} - The parsed document.
+ */
+function parseYaml(text) {
+  const document = yaml.load(text, { schema: yaml.CORE_SCHEMA });
+
+  if (document === undefined || document === null) {
+    return {};
+  }
+  if (typeof document !== 'object') {
+    const err = new Error('YAML document must be a mapping or a sequence');
+    err.reason = err.message;
+    throw err;
+  }
+  return document;
+}
+
+/**
+ * Serializes data as YAML.
+ * @param {*} data - The data to serialize.
+ * @returns {string} - YAML text.
+ */
+function toYaml(data) {
+  return yaml.dump(data, { noRefs: true, lineWidth: -1, skipInvalid: true });
+}
+
+/**
+ * Checks whether the client asked for YAML, via `?format=yaml` or the Accept header.
+ * @param {Object} req - Express request.
+ * @returns {boolean} - True when the response should be YAML.
+ */
+function wantsYaml(req) {
+  const format = String(req.query.format || '').toLowerCase();
+  if (format) {
+    return format === 'yaml' || format === 'yml';
+  }
+  if (!req.headers.accept) {
+    return false;
+  }
+  // JSON stays the default when the client accepts both
+  return YAML_MEDIA_TYPES.includes(req.accepts(['application/json', ...YAML_MEDIA_TYPES]));
+}
+
+/**
+ * Sends data as JSON, or as YAML when the client asked for it.
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @param {number} status - HTTP status code.
+ * @param {*} data - Response payload.
+ * @returns {Object} - Express response.
+ */
+function sendFormatted(req, res, status, data) {
+  if (wantsYaml(req)) {
+    return res.status(status).type('application/yaml').send(toYaml(data));
+  }
+  return res.status(status).json(data);
+}
+
+module.exports = { parseYamlBody, parseYaml, toYaml, wantsYaml, sendFormatted, YAML_MEDIA_TYPES };
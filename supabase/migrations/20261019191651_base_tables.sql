@@ -0,0 +1,33 @@
+-- Users, projects and their API documentation, as read and written by lib/storage/supabase.js.
+-- These tables predate the migrations, `if not exists` keeps this safe on existing databases.
+
+create table if not exists public.users (
+  user_id text primary key,
+  email text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.projects (
+  project_id uuid primary key default gen_random_uuid(),
+  user_id text not null references public.users (user_id) on delete cascade,
+  project_name text,
+  description text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists projects_user_id_idx on public.projects (user_id);
+
+create table if not exists public.apidocumentation (
+  api_id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (project_id) on delete cascade,
+  title text,
+  description text,
+  url text,
+  openapi_schema jsonb,
+  input jsonb,
+  output jsonb,
+  "api_Json" jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists apidocumentation_project_id_idx on public.apidocumentation (project_id);
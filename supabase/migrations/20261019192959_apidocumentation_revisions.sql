@@ -0,0 +1,16 @@
+-- Immutable revisions of apidocumentation rows (lib/revisions.js).
+-- The unique (api_id, version) constraint makes concurrent saves of one documentation retry with the
+-- next free version instead of recording the same version twice.
+
+create table if not exists public.apidocumentation_revisions (
+  revision_id uuid primary key default gen_random_uuid(),
+  api_id uuid not null references public.apidocumentation (api_id) on delete cascade,
+  project_id uuid not null references public.projects (project_id) on delete cascade,
+  version integer not null check (version > 0),
+  author text,
+  message text,
+  restored_from integer,
+  snapshot jsonb not null,
+  created_at timestamptz not null default now(),
+  constraint apidocumentation_revisions_api_id_version_key unique (api_id, version)
+);
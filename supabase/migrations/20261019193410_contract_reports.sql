@@ -0,0 +1,17 @@
+-- Stored contract test reports (lib/contract.js), listed per project newest first.
+
+create table if not exists public.contract_reports (
+  report_id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects (project_id) on delete cascade,
+  user_id text references public.users (user_id) on delete set null,
+  doc_ids jsonb not null default '[]'::jsonb,
+  base_url text,
+  started_at timestamptz,
+  finished_at timestamptz,
+  duration_ms integer,
+  summary jsonb not null,
+  results jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists contract_reports_project_id_created_at_idx on public.contract_reports (project_id, created_at desc);
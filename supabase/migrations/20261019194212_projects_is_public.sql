@@ -0,0 +1,4 @@
+-- Published projects: their hosted docs (/docs) and mocks are readable without signing in.
+
+alter table public.projects
+  add column if not exists is_public boolean not null default false;
@@ -0,0 +1,5 @@
+-- Lint configuration of a project (lib/lint.js): rule overrides keyed by rule id, and whether saves are linted.
+
+alter table public.projects
+  add column if not exists lint_rules jsonb,
+  add column if not exists lint_on_save boolean not null default false;
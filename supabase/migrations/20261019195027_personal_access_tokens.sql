@@ -0,0 +1,19 @@
+-- Personal access tokens for CI and scripts (lib/tokens.js). Only the SHA-256 hash of a token is
+-- stored; `project_ids` is null for all of the owner's projects.
+
+create table if not exists public.personal_access_tokens (
+  token_id uuid primary key default gen_random_uuid(),
+  user_id text not null references public.users (user_id) on delete cascade,
+  name text not null,
+  token_hash text not null unique,
+  token_prefix text not null,
+  scopes jsonb not null default '["read"]'::jsonb,
+  project_ids jsonb,
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists personal_access_tokens_user_id_idx
+  on public.personal_access_tokens (user_id, created_at desc);
@@ -0,0 +1,73 @@
+-- Team workspaces (lib/workspaces.js): members with a role, invitations by code, and the projects
+-- they share. Projects from before workspaces move to a personal workspace of their owner.
+
+create table if not exists public.workspaces (
+  workspace_id uuid primary key default gen_random_uuid(),
+  name text not null,
+  personal boolean not null default false,
+  created_by text references public.users (user_id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.workspace_members (
+  workspace_id uuid not null references public.workspaces (workspace_id) on delete cascade,
+  user_id text not null references public.users (user_id) on delete cascade,
+  role text not null check (role in ('viewer', 'editor', 'owner')),
+  invited_by text references public.users (user_id) on delete set null,
+  created_at timestamptz not null default now(),
+  primary key (workspace_id, user_id)
+);
+
+create index if not exists workspace_members_user_id_idx on public.workspace_members (user_id);
+
+-- Only the SHA-256 hash of an invitation code is stored
+create table if not exists public.workspace_invitations (
+  invitation_id uuid primary key default gen_random_uuid(),
+  workspace_id uuid not null references public.workspaces (workspace_id) on delete cascade,
+  email text,
+  role text not null check (role in ('viewer', 'editor', 'owner')),
+  code_hash text not null unique,
+  invited_by text references public.users (user_id) on delete set null,
+  expires_at timestamptz not null,
+  accepted_at timestamptz,
+  accepted_by text references public.users (user_id) on delete set null,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists workspace_invitations_workspace_id_idx
+  on public.workspace_invitations (workspace_id, created_at desc);
+
+alter table public.projects
+  add column if not exists workspace_id uuid references public.workspaces (workspace_id) on delete set null;
+
+create index if not exists projects_workspace_id_idx on public.projects (workspace_id);
+
+-- Backfill: a personal workspace, owned by the user, for everyone with projects outside a workspace
+insert into public.workspaces (name, personal, created_by)
+select 'Personal', true, owners.user_id
+from (select distinct user_id from public.projects where workspace_id is null) as owners
+where not exists (
+  select 1 from public.workspaces
+  where workspaces.personal and workspaces.created_by = owners.user_id
+);
+
+-- The oldest personal workspace of a user takes their projects, and the user owns it
+insert into public.workspace_members (workspace_id, user_id, role)
+select distinct on (workspaces.created_by) workspaces.workspace_id, workspaces.created_by, 'owner'
+from public.workspaces
+join public.projects on projects.user_id = workspaces.created_by and projects.workspace_id is null
+where workspaces.personal
+order by workspaces.created_by, workspaces.created_at
+on conflict (workspace_id, user_id) do update set role = 'owner';
+
+update public.projects
+set workspace_id = personal.workspace_id
+from (
+  select distinct on (created_by) workspace_id, created_by
+  from public.workspaces
+  where personal
+  order by created_by, created_at
+) as personal
+where projects.workspace_id is null
+  and personal.created_by = projects.user_id;
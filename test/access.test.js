@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, seedRows, petStoreSpec } = require('./helpers');
+
+test('project and documentation access', async (t) => {
+  const seed = seedRows();
+  seed.apidocumentation.push({ api_id: 'd3', project_id: 'p1', title: 'Scratch', api_Json: petStoreSpec() });
+  const server = await startApp({ seed });
+  t.after(() => server.close());
+  const { request } = server;
+  const owner = server.token('u1');
+  const other = server.token('u2');
+
+  await t.test('answers 401 without a credential, whatever the body claims', async () => {
+    for (const [method, url, body] of [
+      ['POST', '/api/v1/project/p1/test', { userId: 'u1' }],
+      ['POST', '/api/v1/project/delete/test', { project_id: 'p1', user_id: 'u1' }],
+      ['PUT', '/api/v1/project/update/test', { project_id: 'p1', user_id: 'u1', project_name: 'x', description: 'y' }],
+      ['POST', '/api/v1/documentation/delete/test', { docId: 'd1', userId: 'u1' }],
+      ['PUT', '/api/v1/documentation/update/test', { docId: 'd1', userId: 'u1', title: 'x' }],
+    ]) {
+      const response = await request(method, url, { body });
+      assert.equal(response.status, 401, `${method} ${url}`);
+      assert.deepEqual(response.body, { error: 'No authorization token provided' });
+    }
+  });
+
+  await t.test('answers 403 on the projects of other users', async () => {
+    const forbidden = { error: 'You are not authorized to access these projects', success: false };
+    assert.deepEqual((await request('POST', '/api/v1/project/p1/test', { token: other })).body, forbidden);
+    assert.equal((await request('POST', '/api/v1/project/delete/test', { token: other, body: { project_id: 'p1' } })).status, 403);
+    assert.equal((await request('POST', '/api/v1/documentation/delete/test', { token: other, body: { docId: 'd1' } })).status, 403);
+    assert.equal((await request('PUT', '/api/v1/documentation/update/test', { token: other, body: { docId: 'd1', title: 'x' } })).status, 403);
+  });
+
+  await t.test('answers 403 when the body names another user', async () => {
+    const response = await request('POST', '/api/v1/project/p1/test', { token: other, body: { userId: 'u1' } });
+    assert.deepEqual([response.status, response.body.error], [403, 'You are not authorized to access these projects']);
+    assert.equal((await request('POST', '/api/v1/project/p1/test', { token: owner, body: { user_id: 'u2' } })).status, 403);
+    assert.equal((await request('POST', '/api/v1/project/p1/test', { token: owner, body: { userId: 'u1' } })).status, 200);
+  });
+
+  await t.test('answers 404 for unknown projects and documentation, 400 without an id', async () => {
+    assert.deepEqual((await request('POST', '/api/v1/project/missing/test', { token: owner })).body, { error: 'Project not found', success: false });
+    assert.equal((await request('POST', '/api/v1/documentation/delete/test', { token: owner, body: { docId: 'missing' } })).status, 404);
+    // A documentation is only found in the project the caller names
+    assert.equal((await request('POST', '/api/v1/documentation/delete/test', { token: owner, body: { docId: 'd1', project_id: 'p2' } })).status, 404);
+    assert.equal((await request('POST', '/api/v1/project/delete/test', { token: owner, body: {} })).status, 400);
+  });
+
+  await t.test('updates projects and documentation of the signed-in user', async () => {
+    const project = await request('PUT', '/api/v1/project/update/test', { token: owner, body: { project_id: 'p1', project_name: 'Pets', description: 'All pets' } });
+    assert.equal(project.status, 200);
+    assert.equal((await request('POST', '/api/v1/project/p1/test', { token: owner })).body.project_name, 'Pets');
+
+    const documentation = await request('PUT', '/api/v1/documentation/update/test', {
+      token: owner,
+      body: { docId: 'd1', title: 'Pets v2', openapi_schema: { paths: 1 }, api_Json: petStoreSpec() },
+    });
+    assert.equal(documentation.status, 200);
+    assert.equal(documentation.body.data[0].title, 'Pets v2');
+  });
+
+  await t.test('deletes documentation', async () => {
+    for (const [url, docId] of [['/api/v1/documentation/delete/test', 'd1'], ['/api/test', 'd3']]) {
+      const response = await request('POST', url, { token: owner, body: { docId } });
+      assert.deepEqual([response.status, response.body], [200, { message: 'Documentation deleted successfully.' }]);
+      assert.equal((await request('POST', `/api/v1/documentation/${docId}/test`, { token: owner })).status, 404);
+    }
+  });
+
+  await t.test('deletes projects', async () => {
+    assert.equal((await request('POST', '/api/v1/project/delete/test', { token: owner, body: { project_id: 'p1' } })).status, 200);
+    assert.equal((await request('POST', '/api/v1/project/p1/test', { token: owner })).status, 404);
+  });
+});
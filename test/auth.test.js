@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { createAuth, loadProviders } = require('../lib/auth');
+const { ISSUER, createSigningKey, startApp, seedRows } = require('./helpers');
+
+function writeJwks(jwks) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'api-weaver-auth-')), 'jwks.json');
+  fs.writeFileSync(file, JSON.stringify(jwks));
+  return file;
+}
+
+test('identity providers', async (t) => {
+  const { privateKey, jwks } = createSigningKey();
+  const jwksFile = writeJwks(jwks);
+  const sign = (claims, options = {}) => jwt.sign({ sub: 'u1', ...claims }, privateKey, { algorithm: 'RS256', keyid: 'test-key', expiresIn: '1h', ...options });
+
+  await t.test('need an issuer to verify against a JWKS', () => {
+    assert.throws(() => createAuth({ providers: [{ name: 'files', jwksFile }] }), /files needs an issuer/);
+    assert.throws(() => createAuth({ providers: [{ name: 'remote', jwksUri: 'https://auth.example.com/jwks.json' }] }), /remote needs an issuer/);
+    assert.throws(() => loadProviders({ CLERK_JWKS_URL: 'https://auth.example.com/jwks.json' }), /clerk needs an issuer/);
+    assert.equal(loadProviders({ CLERK_ISSUER: 'https://auth.example.com/' })[0].issuer, 'https://auth.example.com');
+  });
+
+  await t.test('verify tokens of their issuer only', async () => {
+    const auth = createAuth({ providers: [{ name: 'test', issuer: ISSUER, jwksFile }] });
+    const { claims, provider } = await auth.verifyToken(sign({}, { issuer: `${ISSUER}/` }));
+    assert.equal(claims.sub, 'u1');
+    assert.equal(provider, 'test');
+    await assert.rejects(auth.verifyToken(sign({}, { issuer: 'https://evil.example.com' })), /Unknown token issuer: https:\/\/evil\.example\.com/);
+    await assert.rejects(auth.verifyToken(sign({})), /Unknown token issuer: undefined/);
+  });
+
+  await t.test('leave tokens of other issuers to a static key provider, which still checks the signature', async () => {
+    const other = createSigningKey();
+    const auth = createAuth({
+      providers: [
+        { name: 'test', issuer: ISSUER, jwksFile },
+        { name: 'pem', publicKey: other.privateKey.export({ type: 'pkcs1', format: 'pem' }) },
+      ],
+    });
+    const token = jwt.sign({ sub: 'u2' }, other.privateKey, { algorithm: 'RS256', issuer: 'https://legacy.example.com' });
+    assert.equal((await auth.verifyToken(token)).provider, 'pem');
+    await assert.rejects(auth.verifyToken(sign({}, { issuer: 'https://legacy.example.com' })), /invalid signature/);
+  });
+
+  await t.test('reject unknown key ids', async () => {
+    const auth = createAuth({ providers: [{ name: 'test', issuer: ISSUER, jwksFile }] });
+    await assert.rejects(auth.verifyToken(sign({}, { issuer: ISSUER, keyid: 'rotated' })), /No signing key found for kid rotated/);
+  });
+
+  await t.test('check the audience', async () => {
+    const auth = createAuth({ providers: [{ name: 'test', issuer: ISSUER, jwksFile, audiences: ['api-weaver'] }] });
+    assert.equal((await auth.verifyToken(sign({}, { issuer: ISSUER, audience: 'api-weaver' }))).claims.aud, 'api-weaver');
+    await assert.rejects(auth.verifyToken(sign({}, { issuer: ISSUER, audience: 'other' })), /jwt audience invalid/);
+    await assert.rejects(auth.verifyToken(sign({}, { issuer: ISSUER })), /jwt audience invalid/);
+  });
+
+  await t.test('require an allowed azp when authorized parties are configured', async () => {
+    const auth = createAuth({ providers: [{ name: 'test', issuer: ISSUER, jwksFile, authorizedParties: ['https://app.example.com'] }] });
+    assert.equal((await auth.verifyToken(sign({ azp: 'https://app.example.com' }, { issuer: ISSUER }))).claims.sub, 'u1');
+    await assert.rejects(auth.verifyToken(sign({ azp: 'https://evil.example.com' }, { issuer: ISSUER })), /Invalid authorized party/);
+    await assert.rejects(auth.verifyToken(sign({}, { issuer: ISSUER })), /Token has no authorized party/);
+  });
+});
+
+test('authenticated routes', async (t) => {
+  const server = await startApp({ seed: seedRows() });
+  t.after(() => server.close());
+  const { request } = server;
+
+  await t.test('reject missing and invalid tokens', async () => {
+    assert.equal((await request('POST', '/api/v1/project/p1/lint-rules/test')).status, 401);
+    const forged = createSigningKey();
+    const token = jwt.sign({ sub: 'u1' }, forged.privateKey, { algorithm: 'RS256', keyid: 'test-key', issuer: ISSUER });
+    const response = await request('POST', '/api/v1/project/p1/lint-rules/test', { token });
+    assert.equal(response.status, 401);
+    assert.deepEqual(response.body, { error: 'Invalid token', details: 'invalid signature' });
+  });
+
+  await t.test('accept tokens of the configured provider', async () => {
+    assert.equal((await request('POST', '/api/v1/project/p1/lint-rules/test', { token: server.token('u1') })).status, 200);
+  });
+
+  await t.test('no longer list the users table', async () => {
+    assert.equal((await request('GET', '/api/test')).status, 404);
+  });
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runContractTests, toJUnitXml } = require('../lib/contract');
+const { startApp, startUpstream, seedRows } = require('./helpers');
+
+// GET /pets/1 answers as documented, POST /pets answers 500
+function petStoreApi(req) {
+  if (req.method === 'GET' && /^\/pets\/\d+$/.test(req.url)) {
+    return { body: { id: 1, name: 'Rex' } };
+  }
+  return { status: 500, body: { message: 'Broken' } };
+}
+
+test('runContractTests and toJUnitXml', async (t) => {
+  const upstream = await startUpstream(petStoreApi);
+  t.after(() => upstream.close());
+
+  const convertedData = [
+    { '/pets/{petId}': [{ get: {
+      parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'integer' } }],
+      input: {},
+      output: [{ code: '200', content: { 'application/json': { schema: { type: 'object', required: ['id', 'name'] } } } }],
+      errorResponses: [],
+    } }] },
+    { '/pets': [{ post: {
+      parameters: [],
+      input: { 'application/json': { schema: { type: 'object', properties: { name: { type: 'string' } } } } },
+      output: [{ code: '201', content: {} }],
+      errorResponses: [],
+    } }] },
+    { petCreated: [{ post: { webhook: true, output: [] } }] },
+  ];
+
+  const report = await runContractTests([{ docId: 'd1', title: 'Pets <v1>', convertedData, baseUrl: null }], { baseUrl: upstream.url });
+
+  await t.test('runs every operation except webhooks with example inputs', () => {
+    assert.deepEqual(report.summary, { total: 2, passed: 1, failed: 1, errors: 0 });
+    assert.deepEqual(upstream.requests.map((request) => `${request.method} ${request.url}`), ['GET /pets/0', 'POST /pets']);
+    assert.deepEqual(JSON.parse(upstream.requests[1].body), { name: 'string' });
+  });
+
+  await t.test('records violations of undocumented statuses', () => {
+    const failed = report.results.find((result) => result.status === 'failed');
+    assert.equal(failed.operation, 'POST /pets');
+    assert.deepEqual(failed.violations.map((violation) => violation.message), ['expected a 2xx response, got 500', 'status 500 is not documented']);
+  });
+
+  await t.test('reports operations without a server as errors', async () => {
+    const withoutServer = await runContractTests([{ docId: 'd1', convertedData: convertedData.slice(0, 1), baseUrl: null }]);
+    assert.deepEqual(withoutServer.summary, { total: 1, passed: 0, failed: 0, errors: 1 });
+  });
+
+  await t.test('exports JUnit XML with one test case per operation', () => {
+    const xml = toJUnitXml(report);
+    assert.match(xml, /<testsuites name="Contract tests" tests="2" failures="1" errors="0"/);
+    assert.match(xml, /<testsuite name="Pets &lt;v1&gt;" tests="2" failures="1"/);
+    assert.match(xml, /<testcase name="GET \/pets\/\{petId\}" classname="Pets &lt;v1&gt;" time="[\d.]+"\/>/);
+    assert.match(xml, /<failure message="expected a 2xx response, got 500">/);
+  });
+});
+
+test('contract test routes', async (t) => {
+  const upstream = await startUpstream(petStoreApi);
+  const server = await startApp({ seed: seedRows() });
+  t.after(() => Promise.all([server.close(), upstream.close()]));
+  const { request } = server;
+  const token = server.token('u1');
+
+  let reportId;
+
+  await t.test('runs the tests of a documentation and stores the report', async () => {
+    const response = await request('POST', '/api/v1/documentation/d1/contract-tests/test', { token, body: { baseUrl: upstream.url } });
+    assert.equal(response.status, 201);
+    assert.equal(response.body.data.project_id, 'p1');
+    assert.equal(response.body.data.user_id, 'u1');
+    assert.deepEqual(response.body.data.doc_ids, ['d1']);
+    assert.deepEqual(response.body.data.summary, { total: 2, passed: 1, failed: 1, errors: 0 });
+    reportId = response.body.data.report_id;
+  });
+
+  await t.test('runs the tests of a project as JUnit XML', async () => {
+    const response = await request('POST', '/api/v1/project/p1/contract-tests/test?format=junit', { token, body: { baseUrl: upstream.url } });
+    assert.equal(response.status, 201);
+    assert.match(response.headers.get('content-type'), /application\/xml/);
+    assert.match(response.body, /<testsuites name="Contract tests" tests="2"/);
+  });
+
+  await t.test('lists reports without their results', async () => {
+    const response = await request('POST', '/api/v1/project/p1/contract-reports/test', { token });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.length, 2);
+    assert.equal(response.body.data[0].results, undefined);
+  });
+
+  await t.test('fetches a stored report, as JSON or JUnit XML', async () => {
+    const json = await request('POST', `/api/v1/contract-reports/${reportId}/test`, { token });
+    assert.equal(json.body.data.results.length, 2);
+
+    const junit = await request('POST', `/api/v1/contract-reports/${reportId}/test?format=junit`, { token });
+    assert.match(junit.body, /<failure message="expected a 2xx response, got 500">/);
+  });
+
+  await t.test('keeps reports to the members of the project', async () => {
+    const other = server.token('u2');
+    assert.equal((await request('POST', `/api/v1/contract-reports/${reportId}/test`, { token: other })).status, 403);
+    assert.equal((await request('POST', '/api/v1/project/p1/contract-reports/test', { token: other })).status, 403);
+    assert.equal((await request('POST', '/api/v1/contract-reports/missing/test', { token })).status, 404);
+  });
+
+  await t.test('rejects relative base URLs', async () => {
+    const response = await request('POST', '/api/v1/documentation/d1/contract-tests/test', { token, body: { baseUrl: '/v1' } });
+    assert.equal(response.status, 400);
+  });
+});
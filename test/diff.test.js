@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffConvertedData, BREAKING, NON_BREAKING } = require('../lib/diff');
+const { startApp, seedRows, petStoreSpec } = require('./helpers');
+
+function operation(details) {
+  return [{ '/pets': [{ get: { parameters: [], input: {}, output: [], errorResponses: [], otherResponses: [], ...details } }] }];
+}
+
+function response(code, schema) {
+  return { code, description: '', content: schema ? { 'application/json': { schema } } : {} };
+}
+
+function severities(result) {
+  return result.changes.map((item) => `${item.type} ${item.severity}`);
+}
+
+test('diffConvertedData', async (t) => {
+  await t.test('reports removed operations as breaking and added ones as not', () => {
+    const result = diffConvertedData(operation({}), [{ '/cats': [{ get: {} }] }]);
+    assert.deepEqual(severities(result), [`operation.removed ${BREAKING}`, `operation.added ${NON_BREAKING}`]);
+    assert.equal(result.breaking, true);
+  });
+
+  await t.test('follows the direction of data in schemas', () => {
+    const before = operation({
+      input: { 'application/json': { schema: { type: 'object', properties: { name: { type: 'string' } } } } },
+      output: [response('200', { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } })],
+    });
+    const after = operation({
+      input: { 'application/json': { schema: { type: 'object', required: ['tag'], properties: { name: { type: 'string' }, tag: { type: 'string' } } } } },
+      output: [response('200', { type: 'object', properties: { id: { type: 'number' } } })],
+    });
+
+    assert.deepEqual(severities(diffConvertedData(before, after)), [
+      `request.property.added ${BREAKING}`,
+      `response.property.removed ${BREAKING}`,
+      `response.type.widened ${BREAKING}`,
+    ]);
+  });
+
+  await t.test('compares parameters', () => {
+    const before = operation({ parameters: [{ name: 'limit', in: 'query', required: false, schema: { type: 'integer' } }] });
+    const after = operation({ parameters: [{ name: 'limit', in: 'query', required: true, schema: { type: 'number' } }] });
+    assert.deepEqual(severities(diffConvertedData(before, after)), [
+      `parameter.required ${BREAKING}`,
+      `request.type.widened ${NON_BREAKING}`,
+    ]);
+  });
+
+  await t.test('treats a removed error response as non-breaking', () => {
+    const result = diffConvertedData(operation({ errorResponses: [response('404')] }), operation({}));
+    assert.deepEqual(severities(result), [`response.removed ${NON_BREAKING}`]);
+  });
+
+  await t.test('compares redirect and default responses', () => {
+    const before = operation({ otherResponses: [response('302'), response('default', { type: 'object', properties: { message: { type: 'string' } } })] });
+    const after = operation({ otherResponses: [response('default', { type: 'object', properties: {} }), response('101')] });
+
+    const result = diffConvertedData(before, after);
+    assert.deepEqual(result.changes.map((item) => `${item.location} ${item.severity}`), [
+      `responses.302 ${BREAKING}`,
+      `responses.default.content.application/json.schema ${BREAKING}`,
+      `responses.101 ${NON_BREAKING}`,
+    ]);
+  });
+});
+
+test('/api/v1/documentation/diff', async (t) => {
+  const server = await startApp({ seed: seedRows() });
+  t.after(() => server.close());
+  const token = server.token('u1');
+
+  const redirecting = petStoreSpec();
+  redirecting.paths['/pets/{petId}'].get.responses['301'] = { description: 'Moved' };
+  redirecting.paths['/pets/{petId}'].get.responses.default = { description: 'Unexpected error' };
+
+  await t.test('compares a stored documentation with a posted spec', async () => {
+    const response = await server.request('POST', '/api/v1/documentation/diff', {
+      token,
+      body: { base: { spec: redirecting }, revision: { docId: 'd1', project_id: 'p1' } },
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.breaking, true);
+    assert.deepEqual(response.body.changes.map((item) => item.message), ['Response 301 was removed', 'Response default was removed']);
+  });
+
+  await t.test('reports unchanged documents as non-breaking', async () => {
+    const response = await server.request('POST', '/api/v1/documentation/diff', {
+      token,
+      body: { base: { spec: petStoreSpec() }, revision: { spec: petStoreSpec() } },
+    });
+    assert.deepEqual(response.body.summary, { total: 0, breaking: 0, nonBreaking: 0 });
+  });
+
+  await t.test('refuses documentation of other users', async () => {
+    const response = await server.request('POST', '/api/v1/documentation/diff', {
+      token,
+      body: { base: { spec: petStoreSpec() }, revision: { docId: 'd2', project_id: 'p2' } },
+    });
+    assert.equal(response.status, 403);
+  });
+
+  await t.test('rejects sides without a document', async () => {
+    const response = await server.request('POST', '/api/v1/documentation/diff', { token, body: { base: {}, revision: { spec: petStoreSpec() } } });
+    assert.equal(response.status, 400);
+  });
+});
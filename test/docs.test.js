@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeSpecs } = require('../lib/merge');
+const { startApp, seedRows, petStoreSpec } = require('./helpers');
+
+function ownersSpec() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Owners', version: '1.0.0' },
+    servers: [{ url: 'https://owners.example.com' }],
+    paths: {
+      '/owners': {
+        get: { responses: { 200: { description: 'Owners', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } } } },
+      },
+      '/pets': { post: { responses: { 201: { description: 'Created' } } } },
+    },
+    components: { schemas: { Pet: { type: 'object', properties: { owner: { type: 'string' } } } } },
+  };
+}
+
+test('mergeSpecs', async (t) => {
+  const petStore = petStoreSpec();
+  petStore.components = { schemas: { Pet: { type: 'object', properties: { name: { type: 'string' } } } } };
+  const merged = mergeSpecs([{ title: 'Pets', spec: petStore }, { title: 'Owners', spec: ownersSpec() }], { title: 'Pet Store' });
+
+  await t.test('keeps the servers of every document on its operations', () => {
+    assert.equal(merged.info.title, 'Pet Store');
+    assert.deepEqual(merged.paths['/pets/{petId}'].get.servers, [{ url: 'https://pets.example.com/v1' }]);
+    assert.deepEqual(merged.paths['/owners'].get.servers, [{ url: 'https://owners.example.com' }]);
+  });
+
+  await t.test('tags untagged operations with the documentation title', () => {
+    assert.deepEqual(merged.paths['/owners'].get.tags, ['Owners']);
+    assert.deepEqual(merged.tags.map((tag) => tag.name), ['Pets', 'Owners']);
+  });
+
+  await t.test('renames conflicting components and lists conflicting operations', () => {
+    assert.deepEqual(Object.keys(merged.components.schemas), ['Pet', 'OwnersPet']);
+    assert.equal(merged.paths['/owners'].get.responses['200'].content['application/json'].schema.$ref, '#/components/schemas/OwnersPet');
+    assert.deepEqual(merged['x-merge-conflicts'], [{ path: '/pets', method: 'post', documentation: 'Owners' }]);
+    assert.deepEqual(merged.paths['/pets'].post.tags, ['Pets']);
+  });
+});
+
+test('hosted docs and publishing', async (t) => {
+  const seed = seedRows();
+  seed.apidocumentation.push({ api_id: 'd3', project_id: 'p1', title: 'Owners', api_Json: ownersSpec() });
+  const server = await startApp({ seed });
+  t.after(() => server.close());
+  const { request } = server;
+  const owner = server.token('u1');
+
+  await t.test('redirects to the trailing slash', async () => {
+    const response = await request('GET', '/docs/d1?x=1', { token: owner });
+    assert.equal(response.status, 301);
+    assert.equal(response.headers.get('location'), '/docs/d1/?x=1');
+  });
+
+  await t.test('serves Swagger UI for members of the project', async () => {
+    const page = await request('GET', '/docs/d1/', { token: owner });
+    assert.equal(page.status, 200);
+    assert.match(page.body, /<title>Pets<\/title>/);
+    assert.equal(page.headers.get('cache-control'), 'private, no-store');
+
+    const init = await request('GET', '/docs/d1/swagger-ui-init.js', { headers: { cookie: `__session=${owner}` } });
+    assert.equal(init.status, 200);
+    assert.match(init.body, /"title": "Pet Store"/);
+  });
+
+  await t.test('hides private docs from everyone else', async () => {
+    assert.equal((await request('GET', '/docs/d1/')).status, 401);
+    assert.equal((await request('GET', '/docs/d1/', { token: server.token('u2') })).status, 404);
+    assert.equal((await request('GET', '/docs/project/p1/')).status, 401);
+  });
+
+  await t.test('publishing is for project owners', async () => {
+    assert.equal((await request('POST', '/api/v1/project/p1/publish/test', { token: server.token('u2'), body: { public: true } })).status, 403);
+    assert.equal((await request('POST', '/api/v1/project/p1/publish/test', { token: owner, body: { public: 'yes' } })).status, 400);
+  });
+
+  await t.test('serves published docs to anyone', async () => {
+    const published = await request('POST', '/api/v1/project/p1/publish/test', { token: owner, body: { public: true } });
+    assert.equal(published.status, 200);
+    assert.equal(published.body.data.is_public, true);
+
+    assert.equal((await request('GET', '/docs/d1/')).status, 200);
+    const merged = await request('GET', '/docs/project/p1/swagger-ui-init.js');
+    assert.equal(merged.status, 200);
+    assert.match(merged.body, /"\/owners"/);
+    assert.match(merged.body, /"\/pets\/\{petId\}"/);
+  });
+
+  await t.test('hides docs again once unpublished', async () => {
+    await request('POST', '/api/v1/project/p1/publish/test', { token: owner, body: { public: false } });
+    assert.equal((await request('GET', '/docs/d1/')).status, 401);
+  });
+
+  await t.test('answers 404 for unknown documentation', async () => {
+    assert.equal((await request('GET', '/docs/missing/', { token: owner })).status, 404);
+  });
+});
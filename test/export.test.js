@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderHtmlSite, renderMarkdown, slugify } = require('../lib/export');
+const { startApp, readZip, seedRows, petStoreSpec } = require('./helpers');
+
+function documents() {
+  return [
+    {
+      docId: 'd1',
+      title: 'Pets <v1>',
+      description: 'Pet operations',
+      baseUrl: 'https://pets.example.com/v1',
+      convertedData: [{ '/pets/{petId}': [{ get: {
+        summary: 'Fetch a pet',
+        operationId: 'getPet',
+        parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'integer' } }],
+        input: {},
+        output: [{ code: '200', description: 'The pet', content: { 'application/json': { schema: { type: 'object', properties: { name: { type: 'string' } } } } } }],
+        otherResponses: [{ code: '304', description: 'Not modified', content: {} }],
+        errorResponses: [{ code: '404', description: 'Not found', content: {} }],
+      } }] }],
+      error: null,
+    },
+    { docId: 'd2', title: 'Pets <v1>', description: null, baseUrl: null, convertedData: null, error: null },
+    { docId: 'd3', title: 'Broken', description: null, baseUrl: null, convertedData: null, error: 'Invalid schema: No paths found' },
+  ];
+}
+
+test('static export rendering', async (t) => {
+  const project = { project_name: 'Pet Store', description: 'All about pets' };
+
+  await t.test('renders an index, a stylesheet and one page per documentation', () => {
+    const files = renderHtmlSite(project, documents());
+    assert.deepEqual(files.map((file) => file.name), ['index.html', 'style.css', 'pets-v1.html', 'pets-v1-2.html', 'broken.html']);
+
+    const index = files[0].content;
+    assert.match(index, /<a href="pets-v1.html">Pets &lt;v1&gt;<\/a> <span class="muted">\(1 operation\)<\/span>/);
+
+    const page = files[2].content;
+    assert.match(page, /<span class="method get">GET<\/span> <code>\/pets\/\{petId\}<\/code>/);
+    assert.match(page, /<h4>Response 304 <span class="muted">Not modified<\/span><\/h4>/);
+    assert.match(files[3].content, /No operations documented yet/);
+    assert.match(files[4].content, /could not be read: Invalid schema: No paths found/);
+  });
+
+  await t.test('renders one Markdown file with a table of contents', () => {
+    const markdown = renderMarkdown(project, documents());
+    assert.match(markdown, /^# Pet Store\n\nAll about pets\n\n## Contents\n\n- \[Pets <v1>\]\(#pets-v1\)\n- \[Pets <v1>\]\(#pets-v1-1\)\n- \[Broken\]\(#broken\)/);
+    assert.match(markdown, /### GET \/pets\/\{petId\}\n\n\*\*Fetch a pet\*\*/);
+    assert.match(markdown, /#### Response 200 - The pet\n\n`application\/json`/);
+    assert.match(markdown, /#### Response 304 - Not modified/);
+  });
+
+  await t.test('slugifies titles for file names', () => {
+    assert.equal(slugify(' Pet Store: API v2 '), 'pet-store-api-v2');
+  });
+});
+
+test('/api/v1/project/:projectId/export/test', async (t) => {
+  const seed = seedRows();
+  seed.apidocumentation.push({ api_id: 'd4', project_id: 'p1', title: 'Drafts', api_Json: null });
+  const server = await startApp({ seed });
+  t.after(() => server.close());
+  const { request } = server;
+  const token = server.token('u1');
+
+  await t.test('exports a static HTML site as a zip', async () => {
+    const response = await request('POST', '/api/v1/project/p1/export/test', { token, raw: true });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /pet-store-html\.zip/);
+    const files = readZip(response.body);
+    assert.deepEqual(Object.keys(files), ['pet-store/index.html', 'pet-store/style.css', 'pet-store/pets.html', 'pet-store/drafts.html']);
+    assert.match(files['pet-store/pets.html'], /Server: <code>https:\/\/pets.example.com\/v1<\/code>/);
+  });
+
+  await t.test('exports Markdown on request', async () => {
+    const response = await request('POST', '/api/v1/project/p1/export/test?format=markdown', { token, raw: true });
+    const files = readZip(response.body);
+    assert.deepEqual(Object.keys(files), ['pet-store.md']);
+    assert.match(files['pet-store.md'], /### POST \/pets/);
+    assert.match(files['pet-store.md'], new RegExp(`Operation ID: \`${petStoreSpec().paths['/pets'].post.operationId}\``));
+  });
+
+  await t.test('rejects unknown formats and other users', async () => {
+    assert.equal((await request('POST', '/api/v1/project/p1/export/test?format=pdf', { token })).status, 400);
+    assert.equal((await request('POST', '/api/v1/project/p1/export/test', { token: server.token('u2') })).status, 403);
+  });
+});
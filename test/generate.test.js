@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+test('/convert/openapi/test operation options', async (t) => {
+  const server = await startApp();
+  t.after(() => server.close());
+  const generate = (body) => server.request('POST', '/convert/openapi/test', { body });
+
+  await t.test('places the operation at the given path and method', async () => {
+    const response = await generate({
+      path: '/users/{userId}',
+      method: 'GET',
+      summary: 'Get a user',
+      operationId: 'getUser',
+      tags: ['Users'],
+      output: { id: 1 },
+    });
+    assert.equal(response.status, 200);
+
+    const operation = response.body.openapiSchema.paths['/users/{userId}'].get;
+    assert.equal(operation.summary, 'Get a user');
+    assert.equal(operation.operationId, 'getUser');
+    assert.deepEqual(operation.tags, ['Users']);
+    assert.equal(operation.requestBody, undefined);
+    assert.deepEqual(operation.parameters, [{ name: 'userId', in: 'path', required: true, schema: { type: 'string' } }]);
+  });
+
+  await t.test('keeps documented path parameters', async () => {
+    const parameter = { name: 'userId', in: 'path', required: true, schema: { type: 'integer' } };
+    const response = await generate({ path: '/users/{userId}', method: 'delete', parameters: [parameter], responses: { 204: null } });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.openapiSchema.paths['/users/{userId}'].delete.parameters, [parameter]);
+  });
+
+  await t.test('describes one response per status code', async () => {
+    const response = await generate({
+      input: { name: 'Ada' },
+      output: { id: 1, name: 'Ada' },
+      responses: { 409: { message: 'Exists' }, 204: null },
+      contentType: 'application/vnd.api+json',
+      responseContentType: 'application/json',
+    });
+    assert.equal(response.status, 200);
+
+    const operation = response.body.openapiSchema.paths['/example-endpoint'].post;
+    assert.ok(operation.requestBody.content['application/vnd.api+json']);
+    assert.deepEqual(Object.keys(operation.responses).sort(), ['200', '204', '409']);
+    assert.equal(operation.responses['409'].description, 'Conflict');
+    assert.equal(operation.responses['204'].content, undefined);
+    assert.ok(operation.responses['200'].content['application/json'].schema.properties.id);
+  });
+
+  await t.test('rejects invalid options', async () => {
+    assert.equal((await generate({})).status, 400);
+    assert.equal((await generate({ output: { id: 1 }, method: 'fetch' })).status, 400);
+    assert.equal((await generate({ output: { id: 1 }, path: 'users' })).status, 400);
+    assert.equal((await generate({ output: { id: 1 }, parameters: 'id' })).status, 400);
+
+    const invalidCodes = await generate({ responses: { 200: { id: 1 }, 99: null, ok: null } });
+    assert.equal(invalidCodes.status, 400);
+    assert.equal(invalidCodes.body.error, 'Invalid response status codes: 99, ok');
+  });
+});
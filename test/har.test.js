@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const { isHar, convertHarToOpenApi, templatePath } = require('../lib/har');
+const { startApp } = require('./helpers');
+
+const ORDER_ID = '3f2b8c1e-9a4d-4e7b-8c6f-1a2b3c4d5e6f';
+
+function entry(method, url, { status = 200, body, query = [], headers = [], postData, resourceType = 'fetch' } = {}) {
+  return {
+    _resourceType: resourceType,
+    request: { method, url, queryString: query, headers, postData },
+    response: {
+      status,
+      statusText: status === 200 ? 'OK' : '',
+      content: body === undefined ? {} : { mimeType: 'application/json; charset=utf-8', text: JSON.stringify(body) },
+    },
+  };
+}
+
+function capture() {
+  return {
+    log: {
+      entries: [
+        entry('GET', 'https://shop.example.com/users/42?expand=true', {
+          query: [{ name: 'expand', value: 'true' }, { name: 'limit', value: '10' }],
+          headers: [{ name: 'X-Tenant', value: 'acme' }, { name: 'User-Agent', value: 'Firefox' }],
+          body: { id: 42, name: 'Ada' },
+        }),
+        entry('GET', 'https://shop.example.com/users/7', {
+          query: [{ name: 'expand', value: 'false' }],
+          headers: [{ name: 'x-tenant', value: 'acme' }],
+          body: { id: 7, name: 'Grace', email: 'grace@example.com' },
+        }),
+        entry('GET', 'https://shop.example.com/users/8', { status: 404, body: { message: 'Not found' } }),
+        entry('POST', `https://shop.example.com/users/42/orders/${ORDER_ID}`, {
+          status: 201,
+          postData: { mimeType: 'application/json', text: '{"quantity": 2}' },
+          body: { id: ORDER_ID },
+        }),
+        entry('GET', 'https://shop.example.com/static/app.js', { resourceType: 'script' }),
+        entry('GET', 'https://cdn.example.com/logo.png', { resourceType: '' }),
+      ],
+    },
+  };
+}
+
+test('convertHarToOpenApi', async (t) => {
+  const openapi = convertHarToOpenApi(capture());
+
+  await t.test('recognises HAR captures', () => {
+    assert.equal(isHar(capture()), true);
+    assert.equal(isHar({ log: {} }), false);
+  });
+
+  await t.test('templates numeric and UUID path segments', () => {
+    assert.deepEqual(templatePath(`/users/42/orders/${ORDER_ID}`), {
+      template: '/users/{id}/orders/{id2}',
+      values: { id: '42', id2: ORDER_ID },
+    });
+    assert.deepEqual(templatePath('/health').values, {});
+  });
+
+  await t.test('groups API entries by method and template and skips static assets', () => {
+    assert.deepEqual(Object.keys(openapi.paths), ['/users/{id}', '/users/{id}/orders/{id2}']);
+    assert.deepEqual(openapi.servers, [{ url: 'https://shop.example.com' }]);
+    assert.equal(openapi.paths['/users/{id}'].get.operationId, 'getUsersById');
+  });
+
+  await t.test('infers path, query and header parameters', () => {
+    const parameters = openapi.paths['/users/{id}'].get.parameters;
+    const byName = Object.fromEntries(parameters.map((parameter) => [parameter.name, parameter]));
+
+    assert.deepEqual(byName.id, { name: 'id', in: 'path', required: true, schema: { type: 'integer' }, example: 42 });
+    assert.equal(byName.expand.schema.type, 'boolean');
+    assert.equal(byName.limit.required, false);
+    assert.equal(byName['X-Tenant'].in, 'header');
+    assert.equal(byName['User-Agent'], undefined);
+
+    const orderId = openapi.paths['/users/{id}/orders/{id2}'].post.parameters.find((parameter) => parameter.name === 'id2');
+    assert.deepEqual(orderId.schema, { type: 'string', format: 'uuid' });
+  });
+
+  await t.test('types a path parameter seen as numbers and UUIDs as a plain string', () => {
+    const mixed = { log: { entries: [entry('GET', 'https://shop.example.com/orders/12'), entry('GET', `https://shop.example.com/orders/${ORDER_ID}`)] } };
+    const [parameter] = convertHarToOpenApi(mixed).paths['/orders/{id}'].get.parameters;
+    assert.deepEqual(parameter, { name: 'id', in: 'path', required: true, schema: { type: 'string' }, example: ORDER_ID });
+  });
+
+  await t.test('infers request bodies and one response per status', () => {
+    const createOrder = openapi.paths['/users/{id}/orders/{id2}'].post;
+    assert.equal(createOrder.requestBody.content['application/json'].schema.properties.quantity.type, 'integer');
+
+    const getUser = openapi.paths['/users/{id}'].get;
+    assert.deepEqual(Object.keys(getUser.responses), ['200', '404']);
+    const schema = getUser.responses['200'].content['application/json'].schema;
+    assert.deepEqual(schema.required, ['id', 'name']);
+    assert.ok(schema.properties.email);
+  });
+
+  await t.test('keeps only the requested host', () => {
+    assert.deepEqual(Object.keys(convertHarToOpenApi(capture(), { host: 'cdn.example.com' }).paths), []);
+  });
+});
+
+test('/convert/har/test', async (t) => {
+  const server = await startApp();
+  t.after(() => server.close());
+  const { request } = server;
+
+  await t.test('returns the inferred document', async () => {
+    const response = await request('POST', '/convert/har/test?title=Shop', { body: capture() });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.openapiSchema.info.title, 'Shop');
+    assert.ok(response.body.openapiSchema.paths['/users/{id}'].get);
+  });
+
+  await t.test('answers in YAML with ?format=yaml', async () => {
+    const response = await request('POST', '/convert/har/test?format=yaml', { body: capture() });
+    assert.equal(response.status, 200);
+    assert.equal(yaml.load(response.body).openapi, '3.0.3');
+  });
+
+  await t.test('rejects payloads that are not HAR captures', async () => {
+    const response = await request('POST', '/convert/har/test', { body: { entries: [] } });
+    assert.equal(response.status, 400);
+  });
+
+  await t.test('rejects captures without API requests', async () => {
+    const response = await request('POST', '/convert/har/test?host=nowhere.example.com', { body: capture() });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'No API requests found in the HAR capture');
+  });
+});
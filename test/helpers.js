@@ -0,0 +1,240 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const zlib = require('zlib');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Test harness: runs app.js in process on the memory storage, with an identity provider whose keys
+ * are served from a local JWKS file. Every test file gets its own process (node --test), so each
+ * calls startApp once, before anything else loads app.js.
+ */
+
+const ISSUER = 'https://auth.api-weaver.test';
+const KEY_ID = 'test-key';
+
+/**
+ * Creates an RSA signing key and the JWKS document publishing it.
+ * @param {string} [kid] - Key id.
+ * @returns {Object} - `{ privateKey, jwks }`.
+ */
+function createSigningKey(kid = KEY_ID) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+  return { privateKey, jwks: { keys: [jwk] } };
+}
+
+/**
+ * Starts the server on a free port.
+ * @param {Object} [options] - Options.
+ * @param {Object} [options.seed] - Initial rows keyed by table name.
+ * @param {Array} [options.providers] - AUTH_PROVIDERS, the local JWKS provider by default.
+ * @param {Object} [options.env] - Further environment variables.
+ * @returns {Promise<Object>} - `{ app, baseUrl, dir, request, token, close }`.
+ */
+async function startApp(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-weaver-test-'));
+  const { privateKey, jwks } = createSigningKey();
+  const jwksFile = path.join(dir, 'jwks.json');
+  fs.writeFileSync(jwksFile, JSON.stringify(jwks));
+  fs.writeFileSync(path.join(dir, 'store.json'), JSON.stringify(options.seed || {}));
+
+  Object.assign(process.env, {
+    STORAGE_DRIVER: 'memory',
+    STORAGE_FILE: path.join(dir, 'store.json'),
+    AUTH_PROVIDERS: JSON.stringify(options.providers || [{ name: 'test', issuer: ISSUER, jwksFile }]),
+  }, options.env);
+
+  // The routes log generously, keep the test output readable (TEST_VERBOSE=1 shows the logs)
+  if (!process.env.TEST_VERBOSE) {
+    for (const level of ['log', 'warn', 'error']) {
+      console[level] = () => {};
+    }
+  }
+
+  const app = require('../app');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Signs a session JWT for a user.
+   * @param {string} sub - The user id.
+   * @param {Object} [claims] - Further claims, e.g. `email`.
+   * @returns {string} - The JWT.
+   */
+  function token(sub, claims = {}) {
+    return jwt.sign({ sub, ...claims }, privateKey, { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, expiresIn: '1h' });
+  }
+
+  /**
+   * Sends a request to the server.
+   * @param {string} method - HTTP method.
+   * @param {string} url - Path and query.
+   * @param {Object} [init] - `token`, `body` (sent as JSON unless a string), `headers` and `raw` (body as a Buffer).
+   * @returns {Promise<Object>} - `{ status, headers, body }`, JSON bodies parsed.
+   */
+  async function request(method, url, init = {}) {
+    const headers = { ...init.headers };
+    if (init.token) {
+      headers.authorization = `Bearer ${init.token}`;
+    }
+    let body = init.body;
+    if (body !== undefined && typeof body !== 'string') {
+      body = JSON.stringify(body);
+      headers['content-type'] = headers['content-type'] || 'application/json';
+    }
+
+    const response = await fetch(`${baseUrl}${url}`, { method, headers, body, redirect: 'manual' });
+    const contentType = response.headers.get('content-type') || '';
+    let payload;
+    if (init.raw) {
+      payload = Buffer.from(await response.arrayBuffer());
+    } else if (/json/i.test(contentType)) {
+      payload = await response.json();
+    } else {
+      payload = await response.text();
+    }
+    return { status: response.status, headers: response.headers, body: payload };
+  }
+
+  function close() {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  }
+
+  return { app, baseUrl, dir, request, token, close };
+}
+
+/**
+ * Starts a local HTTP server standing in for a documented API.
+ * @param {Function} handler - `(req, body) => ({ status, headers, body })`; object bodies are sent as JSON.
+ * @returns {Promise<Object>} - `{ url, requests, close }`; requests records `{ method, url, headers, body }`.
+ */
+async function startUpstream(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', async () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      const reply = await handler(req, body);
+      const payload = reply.body === undefined || typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body);
+      const headers = { ...reply.headers };
+      if (reply.body !== undefined && typeof reply.body !== 'string') {
+        headers['content-type'] = headers['content-type'] || 'application/json';
+      }
+      res.writeHead(reply.status || 200, headers);
+      res.end(payload);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * Reads the files of a ZIP archive written by lib/zip.js (sizes in the local headers, deflate or stored).
+ * @param {Buffer} buffer - The archive.
+ * @returns {Object} - File contents as UTF-8 strings keyed by name.
+ */
+function readZip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const start = offset + 30 + nameLength + buffer.readUInt16LE(offset + 28);
+    const data = buffer.subarray(start, start + size);
+    files[buffer.toString('utf8', offset + 30, offset + 30 + nameLength)] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+    offset = start + size;
+  }
+  return files;
+}
+
+/**
+ * A small OpenAPI 3.0 document with one read and one write operation.
+ * @returns {Object} - The document.
+ */
+function petStoreSpec() {
+  return {
+    openapi: '3.0.0',
+    info: { title: 'Pet Store', version: '1.0.0' },
+    servers: [{ url: 'https://pets.example.com/v1' }],
+    paths: {
+      '/pets/{petId}': {
+        get: {
+          operationId: 'getPet',
+          summary: 'Fetch a pet',
+          parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'integer' } }],
+          responses: {
+            200: {
+              description: 'The pet',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    required: ['id', 'name'],
+                    properties: { id: { type: 'integer' }, name: { type: 'string' }, tag: { type: 'string' } },
+                  },
+                  example: { id: 1, name: 'Rex', tag: 'dog' },
+                },
+              },
+            },
+            404: { description: 'Not found' },
+          },
+        },
+      },
+      '/pets': {
+        post: {
+          operationId: 'createPet',
+          summary: 'Create a pet',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } },
+              },
+            },
+          },
+          responses: {
+            201: { description: 'Created' },
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Storage rows for two users with one project each; u1's project holds one documentation.
+ * @returns {Object} - Rows keyed by table name.
+ */
+function seedRows() {
+  return {
+    users: [{ user_id: 'u1' }, { user_id: 'u2' }],
+    projects: [
+      { project_id: 'p1', user_id: 'u1', project_name: 'Pet Store', description: 'Pets' },
+      { project_id: 'p2', user_id: 'u2', project_name: 'Other', description: 'Not shared' },
+    ],
+    apidocumentation: [
+      { api_id: 'd1', project_id: 'p1', title: 'Pets', description: 'Pet operations', api_Json: petStoreSpec() },
+      { api_id: 'd2', project_id: 'p2', title: 'Other', description: 'Private', api_Json: petStoreSpec() },
+    ],
+  };
+}
+
+module.exports = { ISSUER, createSigningKey, startApp, startUpstream, readZip, petStoreSpec, seedRows };
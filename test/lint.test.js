@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintSpec, resolveRules } = require('../lib/lint');
+const { startApp, seedRows, petStoreSpec } = require('./helpers');
+
+function messySpec() {
+  const spec = petStoreSpec();
+  spec.paths['/pet_owners/'] = { get: { operationId: 'getPet', responses: { 200: { description: 'Owners' } } } };
+  spec.paths['/petOwners'] = { get: { operationId: 'listOwners', summary: 'List owners', responses: { 200: { description: 'Owners' } } } };
+  spec.components = { schemas: { Unused: { type: 'string' } } };
+  return spec;
+}
+
+test('lintSpec', async (t) => {
+  await t.test('reports every finding with its JSON path', () => {
+    const report = lintSpec(messySpec());
+    const findings = report.findings.filter((finding) => finding.rule !== 'operation-tags');
+    assert.deepEqual(findings.map((finding) => [finding.rule, finding.severity, finding.path]), [
+      ['operation-operationId-unique', 'error', "$.paths['/pet_owners/'].get.operationId"],
+      ['operation-summary', 'warning', "$.paths['/pet_owners/'].get"],
+      ['operation-4xx-response', 'warning', "$.paths['/pets'].post.responses"],
+      ['operation-4xx-response', 'warning', "$.paths['/pet_owners/'].get.responses"],
+      ['operation-4xx-response', 'warning', "$.paths['/petOwners'].get.responses"],
+      ['path-casing', 'warning', "$.paths['/petOwners']"],
+      ['path-trailing-slash', 'warning', "$.paths['/pet_owners/']"],
+      ['info-description', 'info', '$.info'],
+      ['unused-components', 'warning', '$.components.schemas.Unused'],
+    ]);
+    assert.equal(report.valid, false);
+    assert.equal(report.summary.error, 1);
+    assert.equal(report.summary.total, report.findings.length);
+  });
+
+  await t.test('applies severity overrides and disabled rules', () => {
+    const report = lintSpec(messySpec(), {
+      'operation-operationId-unique': 'warning',
+      'operation-tags': 'off',
+      'operation-4xx-response': { enabled: false },
+      'unused-components': { severity: 'error' },
+    });
+    assert.equal(report.findings.some((finding) => ['operation-tags', 'operation-4xx-response'].includes(finding.rule)), false);
+    assert.equal(report.findings.find((finding) => finding.rule === 'operation-operationId-unique').severity, 'warning');
+    assert.equal(report.findings.find((finding) => finding.rule === 'unused-components').severity, 'error');
+    assert.equal(report.valid, false);
+  });
+
+  await t.test('rejects unknown rules and severities', () => {
+    assert.deepEqual(resolveRules({ 'no-such-rule': 'error', 'operation-summary': 'fatal', 'operation-tags': { enabled: 'no' } }).errors, [
+      'unknown rule: no-such-rule',
+      'operation-summary: severity must be one of error, warning, info, off',
+      'operation-tags: enabled must be a boolean',
+    ]);
+    assert.deepEqual(resolveRules([]).errors, ['rules must be an object keyed by rule id']);
+  });
+});
+
+test('lint routes', async (t) => {
+  const server = await startApp({ seed: seedRows() });
+  t.after(() => server.close());
+  const { request } = server;
+  const owner = server.token('u1');
+
+  await t.test('/convert/lint/test lints with the default rules', async () => {
+    const response = await request('POST', '/convert/lint/test', { body: messySpec() });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.valid, false);
+    assert.equal((await request('POST', '/convert/lint/test', { body: {} })).status, 400);
+  });
+
+  await t.test('configures the rules of a project', async () => {
+    const initial = await request('POST', '/api/v1/project/p1/lint-rules/test', { token: owner });
+    assert.equal(initial.status, 200);
+    assert.deepEqual(initial.body.data.overrides, {});
+    assert.equal(initial.body.data.lint_on_save, false);
+
+    const updated = await request('PUT', '/api/v1/project/p1/lint-rules/test', {
+      token: owner,
+      body: { rules: { 'operation-tags': 'off', 'operation-4xx-response': 'error' }, lintOnSave: true },
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.lint_on_save, true);
+    assert.deepEqual(updated.body.data.rules.find((rule) => rule.id === 'operation-tags'), {
+      id: 'operation-tags', description: 'Operations should be tagged to group them in the documentation.', severity: 'info', enabled: false,
+    });
+  });
+
+  await t.test('rejects invalid rule configurations', async () => {
+    const invalid = await request('PUT', '/api/v1/project/p1/lint-rules/test', { token: owner, body: { rules: { 'no-such-rule': 'error' } } });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details, ['unknown rule: no-such-rule']);
+    assert.equal((await request('PUT', '/api/v1/project/p1/lint-rules/test', { token: owner, body: { lintOnSave: 'yes' } })).status, 400);
+  });
+
+  await t.test('lints with the rules of the project', async () => {
+    const posted = await request('POST', '/api/v1/project/p1/lint/test', { token: owner, body: { spec: petStoreSpec() } });
+    assert.equal(posted.status, 200);
+    assert.deepEqual(posted.body.data.findings.map((finding) => finding.rule), ['operation-4xx-response', 'info-description']);
+    assert.equal(posted.body.data.valid, false);
+
+    const stored = await request('POST', '/api/v1/documentation/d1/lint/test', { token: owner });
+    assert.equal(stored.status, 200);
+    assert.deepEqual(stored.body.data, posted.body.data);
+    assert.equal((await request('POST', '/api/v1/project/p1/lint/test', { token: owner, body: {} })).status, 400);
+  });
+
+  await t.test('refuses to save documents with lint errors when lint on save is on', async () => {
+    const rejected = await request('POST', '/api/v1/documentations/d1/add/schema/test', { token: owner, body: { apiData: {}, apiJson: petStoreSpec() } });
+    assert.equal(rejected.status, 422);
+    assert.equal(rejected.body.lint.summary.error, 1);
+
+    await request('PUT', '/api/v1/project/p1/lint-rules/test', { token: owner, body: { lintOnSave: false } });
+    assert.equal((await request('POST', '/api/v1/documentations/d1/add/schema/test', { token: owner, body: { apiData: {}, apiJson: petStoreSpec() } })).status, 201);
+  });
+
+  await t.test('lint rules are configured by owners', async () => {
+    const other = server.token('u2');
+    assert.equal((await request('POST', '/api/v1/project/p1/lint-rules/test', { token: other })).status, 403);
+    assert.equal((await request('PUT', '/api/v1/project/p1/lint-rules/test', { token: other, body: { rules: {} } })).status, 403);
+    assert.equal((await request('POST', '/api/v1/documentation/d1/lint/test')).status, 401);
+  });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema, coerceValue } = require('../lib/validator');
+const { startApp, seedRows, petStoreSpec } = require('./helpers');
+
+function mockSeed() {
+  const seed = seedRows();
+  const spec = petStoreSpec();
+  spec.paths['/pets'].get = {
+    parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer', maximum: 100 } }],
+    responses: { 200: { description: 'Pets', content: { 'application/json': { example: [{ id: 1, name: 'Rex' }] } } } },
+  };
+  seed.projects.push({ project_id: 'p3', user_id: 'u2', project_name: 'Published', is_public: true });
+  seed.apidocumentation.push({ api_id: 'd3', project_id: 'p3', title: 'Public pets', api_Json: spec });
+  return seed;
+}
+
+test('coerceValue', async (t) => {
+  await t.test('converts strings to the schema type', () => {
+    assert.equal(coerceValue({ type: 'integer' }, '42'), 42);
+    assert.equal(coerceValue({ type: 'boolean' }, 'false'), false);
+    assert.deepEqual(coerceValue({ type: 'array', items: { type: 'integer' } }, '1,2'), [1, 2]);
+    assert.equal(coerceValue({ type: 'integer' }, ['1', '2']), 2);
+  });
+
+  await t.test('returns values that are not strings unchanged for validation to report', () => {
+    const raw = { x: '1' };
+    assert.equal(coerceValue({ type: 'integer' }, raw), raw);
+    assert.equal(coerceValue({ type: 'array', items: { type: 'integer' } }, raw), raw);
+    assert.equal(validateSchema({ type: 'integer' }, coerceValue({ type: 'integer' }, raw), 'id').length, 1);
+  });
+});
+
+test('mock server', async (t) => {
+  const server = await startApp({ seed: mockSeed() });
+  t.after(() => server.close());
+  const { request } = server;
+  const token = server.token('u1');
+
+  await t.test('answers with the documented example', async () => {
+    const response = await request('GET', '/mock/d1/pets/1', { token });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { id: 1, name: 'Rex', tag: 'dog' });
+  });
+
+  await t.test('mocks private documentation for project members only', async () => {
+    assert.equal((await request('GET', '/mock/d1/pets/1')).status, 401);
+    assert.equal((await request('GET', '/mock/d1/pets/1', { token: server.token('u2') })).status, 404);
+    assert.equal((await request('GET', '/mock/missing/pets/1', { token })).status, 404);
+  });
+
+  await t.test('mocks published documentation for anyone', async () => {
+    const response = await request('GET', '/mock/d3/pets/1');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.name, 'Rex');
+  });
+
+  await t.test('picks the status from X-Mock-Status or Prefer', async () => {
+    assert.equal((await request('GET', '/mock/d3/pets/1', { headers: { 'x-mock-status': '404' } })).status, 404);
+    assert.equal((await request('GET', '/mock/d3/pets/1', { headers: { prefer: 'code=404' } })).status, 404);
+    assert.equal((await request('GET', '/mock/d3/pets/1', { headers: { 'x-mock-status': '409' } })).status, 501);
+  });
+
+  await t.test('rejects status codes that are not 100 to 599', async () => {
+    for (const headers of [{ 'x-mock-status': 'abc' }, { 'x-mock-status': '600' }, { 'x-mock-status': '20' }, { prefer: 'code=999' }]) {
+      const response = await request('GET', '/mock/d3/pets/1', { headers });
+      assert.equal(response.status, 400, JSON.stringify(headers));
+      assert.match(response.body.error, /Invalid mock status code/);
+    }
+  });
+
+  await t.test('validates requests against the spec', async () => {
+    assert.equal((await request('GET', '/mock/d3/pets/abc')).status, 400);
+    assert.equal((await request('GET', '/mock/d3/pets?limit=1000')).status, 400);
+    assert.equal((await request('GET', '/mock/d3/pets?limit[x]=1')).status, 400);
+    assert.equal((await request('POST', '/mock/d3/pets', { body: { tag: 'cat' } })).status, 400);
+    assert.equal((await request('POST', '/mock/d3/pets', { body: { name: 'Tom' } })).status, 201);
+  });
+
+  await t.test('answers 404 and 405 for undocumented paths and methods', async () => {
+    assert.equal((await request('GET', '/mock/d3/owners')).status, 404);
+    const response = await request('DELETE', '/mock/d3/pets/1');
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get('allow'), 'GET');
+  });
+});
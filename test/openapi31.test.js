@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getOpenApiVersion, normalizeSchema31 } = require('../lib/openapi31');
+const { startApp, petStoreSpec } = require('./helpers');
+
+function openApi31Spec() {
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Events', version: '1.0.0' },
+    paths: {
+      '/events/{id}': {
+        get: {
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: {
+              description: 'The event',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string', examples: ['launch'] },
+                      endedAt: { type: ['string', 'null'], format: 'date-time' },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    webhooks: {
+      eventCreated: {
+        post: {
+          requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { id: { type: 'string' } } } } } },
+          responses: { 200: { description: 'Received' } },
+        },
+      },
+    },
+  };
+}
+
+test('getOpenApiVersion and normalizeSchema31', async (t) => {
+  await t.test('detects the specification version', () => {
+    assert.equal(getOpenApiVersion({ swagger: '2.0' }), '2.0');
+    assert.equal(getOpenApiVersion({ openapi: '3.0.3' }), '3.0');
+    assert.equal(getOpenApiVersion({ openapi: '3.1.0' }), '3.1');
+    assert.equal(getOpenApiVersion({ openapi: '3.2.0' }), null);
+    assert.equal(getOpenApiVersion({}), null);
+  });
+
+  await t.test('maps type arrays with null and examples to 3.0 keywords', () => {
+    assert.deepEqual(normalizeSchema31({ type: ['string', 'null'], examples: ['a', 'b'] }), {
+      type: 'string',
+      nullable: true,
+      example: 'a',
+    });
+  });
+});
+
+test('validation and conversion of OpenAPI 3.1 documents', async (t) => {
+  const server = await startApp();
+  t.after(() => server.close());
+  const { request } = server;
+
+  await t.test('/convert/test flattens 3.1 schemas and webhooks', async () => {
+    const response = await request('POST', '/convert/test', { body: openApi31Spec() });
+    assert.equal(response.status, 200);
+
+    const schema = response.body.ans['/events/{id}'].GET.output[0].content['application/json'].schema;
+    assert.deepEqual(schema.properties.endedAt, { type: 'string', format: 'date-time', nullable: true });
+    assert.equal(schema.properties.name.example, 'launch');
+    assert.equal(response.body.ans.eventCreated.POST.webhook, true);
+  });
+
+  await t.test('/convert/test validates 3.1 documents against the 3.1 specification', async () => {
+    const invalid = openApi31Spec();
+    delete invalid.info.version;
+    const response = await request('POST', '/convert/test', { body: invalid });
+    assert.equal(response.status, 400);
+    assert.match(response.body.details, /version/);
+  });
+
+  await t.test('/convert/test rejects 3.1 keywords in a 3.0 document', async () => {
+    const mislabelled = { ...openApi31Spec(), openapi: '3.0.3' };
+    delete mislabelled.webhooks;
+    const response = await request('POST', '/convert/test', { body: mislabelled });
+    assert.equal(response.status, 400);
+  });
+
+  await t.test('/convert/test reports unsupported versions', async () => {
+    const response = await request('POST', '/convert/test', { body: { ...petStoreSpec(), openapi: '3.2.0' } });
+    assert.equal(response.status, 400);
+    assert.match(response.body.details, /Unsupported or missing "openapi"\/"swagger" version/);
+  });
+
+  await t.test('/convert/openapi/test validates the generated document', async () => {
+    const response = await request('POST', '/convert/openapi/test', { body: { output: { id: 1 } } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.openapiSchema.openapi, '3.0.0');
+  });
+});
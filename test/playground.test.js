@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveServerUrl, buildRequest } = require('../lib/playground');
+const { startApp, startUpstream, seedRows, petStoreSpec } = require('./helpers');
+
+test('resolveServerUrl and buildRequest', async (t) => {
+  await t.test('fills server variables and prefers an explicit base URL', () => {
+    const spec = { servers: [{ url: 'https://{region}.example.com/v1/', variables: { region: { default: 'eu' } } }] };
+    assert.equal(resolveServerUrl(spec), 'https://eu.example.com/v1');
+    assert.equal(resolveServerUrl(spec, 'http://localhost:3000/'), 'http://localhost:3000');
+    assert.equal(resolveServerUrl({ servers: [{ url: '/v1' }] }), null);
+  });
+
+  await t.test('builds the URL, headers and body', () => {
+    const spec = petStoreSpec();
+    const pathItem = spec.paths['/pets/{petId}'];
+    const { request } = buildRequest({
+      baseUrl: 'https://pets.example.com/v1',
+      path: '/pets/{petId}',
+      method: 'get',
+      pathItem,
+      operation: pathItem.get,
+      params: { path: { petId: 7 }, query: { fields: ['id', 'name'] }, header: { 'X-Trace': 'abc' }, cookie: { session: 'a b' } },
+    });
+    assert.equal(request.url, 'https://pets.example.com/v1/pets/7?fields=id&fields=name');
+    assert.deepEqual(request.headers, { 'X-Trace': 'abc', Cookie: 'session=a%20b' });
+  });
+
+  await t.test('reports missing path parameters', () => {
+    const pathItem = petStoreSpec().paths['/pets/{petId}'];
+    const built = buildRequest({ baseUrl: 'https://pets.example.com', path: '/pets/{petId}', method: 'get', pathItem, operation: pathItem.get });
+    assert.deepEqual(built.errors, [{ in: 'path', name: 'petId', message: 'is required' }]);
+  });
+});
+
+test('/api/v1/documentation/:docId/schema/playground', async (t) => {
+  const upstream = await startUpstream((req) => (req.url === '/pets/1'
+    ? { body: { id: 1, name: 'Rex' } }
+    : { status: 200, body: { id: 'two' } }));
+  const server = await startApp({ seed: seedRows() });
+  t.after(() => Promise.all([server.close(), upstream.close()]));
+  const token = server.token('u1');
+  const play = (body) => server.request('POST', '/api/v1/documentation/d1/schema/playground', { token, body });
+
+  await t.test('executes the operation and checks the response', async () => {
+    const response = await play({ path: '/pets/{petId}', method: 'get', params: { path: { petId: 1 } }, baseUrl: upstream.url });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.request.url, `${upstream.url}/pets/1`);
+    assert.deepEqual(response.body.response.body, { id: 1, name: 'Rex' });
+    assert.deepEqual(response.body.schemaMatch, { documented: true, matched: true, responseKey: '200', errors: [] });
+  });
+
+  await t.test('reports responses that do not match the schema', async () => {
+    const response = await play({ path: '/pets/{petId}', method: 'get', params: { path: { petId: 2 } }, baseUrl: upstream.url });
+    assert.equal(response.body.schemaMatch.matched, false);
+    assert.ok(response.body.schemaMatch.errors.length > 0);
+  });
+
+  await t.test('sends the request body', async () => {
+    const response = await play({ path: '/pets', method: 'post', body: { name: 'Tom' }, baseUrl: upstream.url });
+    assert.equal(response.status, 200);
+    assert.equal(upstream.requests.at(-1).body, '{"name":"Tom"}');
+    assert.equal(upstream.requests.at(-1).headers['content-type'], 'application/json');
+  });
+
+  await t.test('rejects unknown operations, missing values and relative base URLs', async () => {
+    assert.equal((await play({ path: '/owners', method: 'get', baseUrl: upstream.url })).status, 404);
+    assert.equal((await play({ path: '/pets/{petId}', method: 'get', baseUrl: upstream.url })).status, 400);
+    assert.equal((await play({ path: '/pets/{petId}', method: 'get', params: { path: { petId: 1 } }, baseUrl: '/v1' })).status, 400);
+    assert.equal((await play({ method: 'get' })).status, 400);
+  });
+
+  await t.test('answers 502 when the API cannot be reached', async () => {
+    const response = await play({ path: '/pets/{petId}', method: 'get', params: { path: { petId: 1 } }, baseUrl: 'http://127.0.0.1:1' });
+    assert.equal(response.status, 502);
+  });
+
+  await t.test('needs access to the documentation', async () => {
+    const response = await server.request('POST', '/api/v1/documentation/d1/schema/playground', {
+      token: server.token('u2'),
+      body: { path: '/pets/{petId}', method: 'get', params: { path: { petId: 1 } }, baseUrl: upstream.url },
+    });
+    assert.equal(response.status, 403);
+  });
+
+  await t.test('no longer forwards requests to arbitrary URLs on /test', async () => {
+    const response = await server.request('POST', '/test', { body: { url: `${upstream.url}/pets/1` } });
+    assert.equal(response.status, 404);
+  });
+});
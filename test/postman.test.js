@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPostmanCollection, convertPostmanCollection } = require('../lib/postman');
+const { startApp, seedRows } = require('./helpers');
+
+function collection() {
+  return {
+    info: {
+      name: 'Users API',
+      schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json',
+    },
+    variable: [{ key: 'baseUrl', value: 'https://api.example.com' }, { key: 'token', value: 'secret-token' }],
+    item: [
+      {
+        name: 'Users',
+        item: [
+          {
+            name: 'Get user',
+            request: {
+              method: 'GET',
+              url: { raw: '{{baseUrl}}/users/:id', host: ['{{baseUrl}}'], path: ['users', ':id'], variable: [{ key: 'id', value: '7' }] },
+            },
+            response: [{
+              name: 'Found',
+              code: 200,
+              header: [{ key: 'Content-Type', value: 'application/json' }],
+              body: '{"id": 7, "email": "ada@example.com"}',
+            }],
+          },
+          {
+            name: 'Create user',
+            request: {
+              method: 'POST',
+              header: [{ key: 'Content-Type', value: 'application/json' }],
+              url: '{{baseUrl}}/users',
+              body: { mode: 'raw', raw: '{"email": "ada@example.com"}', options: { raw: { language: 'json' } } },
+            },
+            response: [],
+          },
+        ],
+      },
+    ],
+  };
+}
+
+test('convertPostmanCollection', async (t) => {
+  const { openapi, operations } = convertPostmanCollection(collection());
+
+  await t.test('recognises v2.1 collections', () => {
+    assert.equal(isPostmanCollection(collection()), true);
+    assert.equal(isPostmanCollection({ info: { name: 'x' }, item: [] }), false);
+  });
+
+  await t.test('turns the collection variables of the base URL into server variables', () => {
+    assert.deepEqual(openapi.servers, [{ url: '{baseUrl}', variables: { baseUrl: { default: 'https://api.example.com' } } }]);
+    assert.doesNotMatch(JSON.stringify(openapi), /secret-token/);
+  });
+
+  await t.test('turns folders into tags and saved samples into schemas', () => {
+    assert.deepEqual(openapi.tags.map((tag) => tag.name), ['Users']);
+
+    const getUser = openapi.paths['/users/{id}'].get;
+    assert.deepEqual(getUser.tags, ['Users']);
+    const responseSchema = getUser.responses['200'].content['application/json'].schema;
+    assert.equal(responseSchema.properties.id.type, 'integer');
+    assert.equal(responseSchema.properties.email.format, 'email');
+
+    const bodySchema = openapi.paths['/users'].post.requestBody.content['application/json'].schema;
+    assert.deepEqual(Object.keys(bodySchema.properties), ['email']);
+    assert.deepEqual(operations.map((operation) => `${operation.method} ${operation.path}`), ['get /users/{id}', 'post /users']);
+  });
+});
+
+test('Postman import route', async (t) => {
+  const server = await startApp({ seed: seedRows() });
+  t.after(() => server.close());
+  const token = server.token('u1');
+
+  await t.test('stores one combined documentation by default', async () => {
+    const response = await server.request('POST', '/api/v1/documentations/p1/import/postman/test', { token, body: { collection: collection() } });
+    assert.equal(response.status, 201);
+    assert.equal(response.body.data.length, 1);
+    assert.equal(response.body.data[0].title, 'Users API');
+    assert.ok(response.body.data[0].openapi_schema['/users/{id}'].GET);
+  });
+
+  await t.test('stores one documentation per request on request', async () => {
+    const response = await server.request('POST', '/api/v1/documentations/p1/import/postman/test', {
+      token,
+      body: { collection: collection(), mode: 'per-request' },
+    });
+    assert.equal(response.status, 201);
+    assert.deepEqual(response.body.data.map((doc) => doc.title), ['Get user', 'Create user']);
+    assert.deepEqual(Object.keys(response.body.data[1].api_Json.paths), ['/users']);
+  });
+
+  await t.test('rejects payloads that are not collections', async () => {
+    const response = await server.request('POST', '/api/v1/documentations/p1/import/postman/test', { token, body: { collection: { item: [] } } });
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStorage } = require('../lib/storage');
+const { updateDocumentationWithRevision } = require('../lib/revisions');
+const { startApp, seedRows, petStoreSpec } = require('./helpers');
+
+test('updateDocumentationWithRevision', async (t) => {
+  await t.test('records the replaced state as version 1 and the save as version 2', async () => {
+    const storage = createMemoryStorage({ seed: seedRows() });
+    const { data: documentation } = await storage.getDocumentation('d1');
+
+    const { revision, error } = await updateDocumentationWithRevision(storage, documentation, { title: 'Renamed' }, { author: 'u1', message: 'Rename' });
+    assert.equal(error, null);
+    assert.equal(revision.version, 2);
+    assert.equal(revision.snapshot, undefined);
+
+    const { data: history } = await storage.listRevisions('d1');
+    assert.deepEqual(history.map((item) => [item.version, item.message, item.snapshot.title]), [
+      [1, 'Initial version', documentation.title],
+      [2, 'Rename', 'Renamed'],
+    ]);
+  });
+
+  await t.test('gives concurrent saves distinct versions', async () => {
+    const storage = createMemoryStorage({ seed: seedRows() });
+    const { data: documentation } = await storage.getDocumentation('d1');
+
+    const results = await Promise.all(['A', 'B', 'C'].map((title) =>
+      updateDocumentationWithRevision(storage, documentation, { title })
+    ));
+    assert.deepEqual(results.map((result) => result.error), [null, null, null]);
+
+    const { data: history } = await storage.listRevisions('d1');
+    assert.deepEqual(history.map((item) => item.version), [1, 2, 3, 4]);
+  });
+
+  await t.test('reports conflicts once the retries are used up', async () => {
+    const storage = createMemoryStorage({ seed: seedRows() });
+    const { data: documentation } = await storage.getDocumentation('d1');
+    const conflict = { code: '23505', message: 'duplicate key value' };
+    let attempts = 0;
+    storage.createRevision = async () => {
+      attempts += 1;
+      return { data: null, error: conflict };
+    };
+
+    const { data, revision, error } = await updateDocumentationWithRevision(storage, documentation, { title: 'Lost' });
+    assert.equal(data[0].title, 'Lost');
+    assert.equal(revision, null);
+    assert.equal(error, conflict);
+    // The conflicting initial version is skipped, the new version is tried five times
+    assert.equal(attempts, 6);
+  });
+});
+
+test('revision routes', async (t) => {
+  const server = await startApp({ seed: seedRows() });
+  t.after(() => server.close());
+  const { request } = server;
+  const token = server.token('u1');
+
+  const save = (title) => {
+    const apiJson = petStoreSpec();
+    apiJson.info.title = title;
+    return request('POST', '/api/v1/documentations/d1/add/schema/test', { token, body: { apiData: {}, apiJson, message: `Save ${title}` } });
+  };
+
+  await t.test('records a revision per save', async () => {
+    assert.equal((await save('First')).status, 201);
+    assert.equal((await save('Second')).status, 201);
+
+    const listed = await request('POST', '/api/v1/documentation/d1/revisions/test', { token });
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.data.map((item) => [item.version, item.author]), [[1, null], [2, 'u1'], [3, 'u1']]);
+    assert.equal(listed.body.data[0].snapshot, undefined);
+  });
+
+  await t.test('fetches and restores a revision', async () => {
+    const listed = await request('POST', '/api/v1/documentation/d1/revisions/test', { token });
+    const first = listed.body.data.find((item) => item.version === 2);
+
+    const fetched = await request('POST', `/api/v1/documentation/d1/revisions/${first.revision_id}/test`, { token });
+    assert.equal(fetched.body.data.snapshot.api_Json.info.title, 'First');
+
+    const restored = await request('POST', `/api/v1/documentation/d1/revisions/${first.revision_id}/restore/test`, { token, body: {} });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.data[0].api_Json.info.title, 'First');
+    assert.equal(restored.body.revision.version, 4);
+    assert.equal(restored.body.revision.restored_from, 2);
+    assert.equal(restored.body.revision.message, 'Restored version 2');
+  });
+
+  await t.test('answers 404 for unknown revisions and 403 for other users', async () => {
+    assert.equal((await request('POST', '/api/v1/documentation/d1/revisions/missing/test', { token })).status, 404);
+    assert.equal((await request('POST', '/api/v1/documentation/d1/revisions/test', { token: server.token('u2') })).status, 403);
+  });
+});
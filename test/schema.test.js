@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { inferSchema, enhanceSchema } = require('../lib/schema');
+const { startApp } = require('./helpers');
+
+test('inferSchema merges samples', async (t) => {
+  await t.test('makes fields missing from some samples optional', () => {
+    const schema = inferSchema([{ id: 1, name: 'Ada' }, { id: 2 }]);
+    assert.deepEqual(Object.keys(schema.properties), ['id', 'name']);
+    assert.deepEqual(schema.required, ['id']);
+  });
+
+  await t.test('describes fields seen with several types as oneOf', () => {
+    const schema = inferSchema([{ value: 1 }, { value: 'one' }]);
+    assert.deepEqual(schema.properties.value, {
+      oneOf: [{ type: 'integer', example: 1 }, { type: 'string', example: 'one' }],
+    });
+  });
+
+  await t.test('merges the elements of every array into one item schema', () => {
+    const schema = inferSchema([{ tags: [{ name: 'a' }] }, { tags: [{ name: 'b', color: 'red' }, { name: 'c' }] }]);
+    assert.deepEqual(schema.properties.tags.items.required, ['name']);
+    assert.deepEqual(Object.keys(schema.properties.tags.items.properties), ['name', 'color']);
+  });
+
+  await t.test('keeps the first sample as the example', () => {
+    assert.equal(inferSchema([{ id: 1 }, { id: 2 }]).properties.id.example, 1);
+  });
+
+  await t.test('enhanceSchema describes a single payload', () => {
+    assert.deepEqual(enhanceSchema({ id: 1 }), inferSchema([{ id: 1 }]));
+  });
+});
+
+test('inferSchema types, formats and enums', async (t) => {
+  await t.test('detects string formats only when every sample has them', () => {
+    const schema = inferSchema([
+      { at: '2024-01-02T10:00:00Z', day: '2024-01-02', id: '3f2b8c1e-9a4d-4e7b-8c6f-1a2b3c4d5e6f', mail: 'a@b.io', site: 'https://a.io' },
+      { at: '2024-01-03T11:30:00+02:00', day: 'tomorrow', id: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d', mail: 'c@d.io', site: 'https://c.io' },
+    ]);
+    assert.equal(schema.properties.at.format, 'date-time');
+    assert.equal(schema.properties.day.format, undefined);
+    assert.equal(schema.properties.id.format, 'uuid');
+    assert.equal(schema.properties.mail.format, 'email');
+    assert.equal(schema.properties.site.format, 'uri');
+  });
+
+  await t.test('tells integers from numbers', () => {
+    assert.equal(inferSchema([1, 2]).type, 'integer');
+    assert.equal(inferSchema([1, 2.5]).type, 'number');
+  });
+
+  await t.test('makes schemas with null samples nullable', () => {
+    assert.deepEqual(inferSchema([{ note: null }, { note: 'hi' }]).properties.note, { type: 'string', example: 'hi', nullable: true });
+  });
+
+  await t.test('gives all-null samples a type so the schema stays valid OpenAPI 3.0', () => {
+    assert.deepEqual(inferSchema([{ note: null }, { note: null }]).properties.note, { type: 'string', nullable: true });
+  });
+
+  await t.test('offers repeated short values as enum candidates', () => {
+    assert.deepEqual(inferSchema(['open', 'closed', 'open'])['x-enum-candidates'], ['open', 'closed']);
+    assert.equal(inferSchema(['a', 'b', 'c'])['x-enum-candidates'], undefined);
+    assert.equal(inferSchema(['open', 'open'])['x-enum-candidates'], undefined);
+  });
+});
+
+test('inferSchema nested arrays and depth', async (t) => {
+  await t.test('describes arrays of objects recursively', () => {
+    const schema = enhanceSchema({ orders: [{ lines: [{ sku: 'A1', qty: 1 }] }] });
+    const line = schema.properties.orders.items.properties.lines.items;
+    assert.equal(line.type, 'object');
+    assert.deepEqual(line.required, ['sku', 'qty']);
+  });
+
+  await t.test('describes arrays of arrays', () => {
+    assert.deepEqual(enhanceSchema([[1, 2], [3]]), { type: 'array', items: { type: 'array', items: { type: 'integer', example: 1 } } });
+  });
+
+  await t.test('leaves the items of empty arrays open', () => {
+    assert.deepEqual(enhanceSchema({ tags: [] }).properties.tags, { type: 'array', items: {} });
+  });
+
+  await t.test('stops describing below maxDepth', () => {
+    const schema = enhanceSchema({ a: { b: { c: 1 } }, list: [[1]] }, { maxDepth: 1 });
+    assert.deepEqual(schema.properties.a, { type: 'object' });
+    assert.deepEqual(schema.properties.list, { type: 'array', items: {} });
+  });
+
+  await t.test('ignores invalid maxDepth values', () => {
+    const nested = { a: { b: { c: 1 } } };
+    assert.deepEqual(enhanceSchema(nested, { maxDepth: 0 }), enhanceSchema(nested));
+    assert.deepEqual(enhanceSchema(nested, { maxDepth: 'deep' }), enhanceSchema(nested));
+  });
+});
+
+test('/convert/openapi/test with arrays of samples', async (t) => {
+  const server = await startApp();
+  t.after(() => server.close());
+
+  const response = await server.request('POST', '/convert/openapi/test', {
+    body: {
+      input: [{ name: 'Ada' }, { name: 'Grace', nickname: 'amazing' }],
+      output: [{ id: 1, name: 'Ada' }, { id: 2, name: 'Grace', nickname: 'amazing' }],
+    },
+  });
+  assert.equal(response.status, 200);
+
+  const operation = response.body.openapiSchema.paths['/example-endpoint'].post;
+  assert.deepEqual(operation.requestBody.content['application/json'].schema.required, ['name']);
+  const output = operation.responses['200'].content['application/json'].schema;
+  assert.deepEqual(output.required, ['id', 'name']);
+  assert.ok(output.properties.nickname);
+});
+
+test('/convert/openapi/test accepts outputs with only null values', async (t) => {
+  const server = await startApp();
+  t.after(() => server.close());
+
+  const response = await server.request('POST', '/convert/openapi/test', { body: { output: { deletedAt: null } } });
+  assert.equal(response.status, 200);
+  const schema = response.body.openapiSchema.paths['/example-endpoint'].post.responses['200'].content['application/json'].schema;
+  assert.deepEqual(schema.properties.deletedAt, { type: 'string', nullable: true });
+});
+
+test('/convert/openapi/test passes maxDepth to the inference', async (t) => {
+  const server = await startApp();
+  t.after(() => server.close());
+
+  const response = await server.request('POST', '/convert/openapi/test', { body: { output: { a: { b: { c: 1 } } }, maxDepth: 2 } });
+  assert.equal(response.status, 200);
+  const schema = response.body.openapiSchema.paths['/example-endpoint'].post.responses['200'].content['application/json'].schema;
+  assert.deepEqual(schema.properties.a.properties.b, { type: 'object' });
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateTypeScriptClient, generateSdkFiles } = require('../lib/sdk');
+const { createZip } = require('../lib/zip');
+const { startApp, readZip, seedRows, petStoreSpec } = require('./helpers');
+
+function specWithComponents() {
+  const spec = petStoreSpec();
+  spec.components = {
+    schemas: {
+      Pet: { type: 'object', required: ['id'], properties: { id: { type: 'integer' }, name: { type: 'string' } } },
+    },
+  };
+  spec.paths['/pets/{petId}'].get.responses['200'].content['application/json'].schema = { $ref: '#/components/schemas/Pet' };
+  return spec;
+}
+
+test('generateTypeScriptClient', async (t) => {
+  const client = generateTypeScriptClient(specWithComponents());
+
+  await t.test('declares component schemas as named types', () => {
+    assert.match(client, /export interface Pet \{\n {2}id: number;\n {2}name\?: string;\n\}/);
+    assert.match(client, /export type GetPetResponse = Pet;/);
+  });
+
+  await t.test('generates one typed function per operation', () => {
+    assert.match(client, /export async function getPet\(params: GetPetParams\): Promise<GetPetResponse>/);
+    assert.match(client, /path: `\/pets\/\$\{encodeURIComponent\(String\(params\.petId\)\)\}`/);
+    assert.match(client, /export async function createPet\(body: CreatePetRequestBody\): Promise<CreatePetResponse>/);
+  });
+
+  await t.test('defaults to the first server, unless a base URL is given', () => {
+    assert.match(client, /"https:\/\/pets\.example\.com\/v1"/);
+    assert.match(generateTypeScriptClient(petStoreSpec(), { baseUrl: 'http://localhost:3000' }), /"http:\/\/localhost:3000"/);
+  });
+
+  await t.test('keeps the title and version inside the header comment', () => {
+    const spec = petStoreSpec();
+    spec.info.title = 'Evil */ console.log("pwned"); /*';
+    spec.info.version = '1 */ x';
+    const source = generateTypeScriptClient(spec);
+    const header = source.slice(0, source.indexOf('*/') + 2);
+    assert.equal(header, '/**\n * Evil *\\/ console.log("pwned"); /* client (version 1 *\\/ x).\n * Generated from the OpenAPI document, do not edit by hand.\n */');
+    assert.match(source.slice(header.length), /^\n\nexport interface RequestContext/);
+  });
+
+  await t.test('packages the client with a package.json and a README', () => {
+    const files = generateSdkFiles(petStoreSpec());
+    assert.deepEqual(files.map((file) => file.name), ['client.ts', 'package.json', 'README.md']);
+    assert.deepEqual(JSON.parse(files[1].content).name, 'pet-store-client');
+  });
+
+  await t.test('zips the package', () => {
+    const files = readZip(createZip(generateSdkFiles(petStoreSpec())));
+    assert.deepEqual(Object.keys(files), ['client.ts', 'package.json', 'README.md']);
+    assert.match(files['README.md'], /^# Pet Store client/);
+  });
+});
+
+test('SDK routes', async (t) => {
+  const server = await startApp({ seed: seedRows() });
+  t.after(() => server.close());
+  const { request } = server;
+  const token = server.token('u1');
+
+  await t.test('/convert/sdk/test generates a client from a posted spec', async () => {
+    const response = await request('POST', '/convert/sdk/test', { body: specWithComponents() });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /client\.ts/);
+    assert.match(response.body, /export interface Pet/);
+  });
+
+  await t.test('/convert/sdk/test rejects invalid specs', async () => {
+    assert.equal((await request('POST', '/convert/sdk/test', { body: { openapi: '3.0.0', paths: {} } })).status, 400);
+    assert.equal((await request('POST', '/convert/sdk/test', { body: {} })).status, 400);
+  });
+
+  await t.test('generates a zip package from a stored documentation', async () => {
+    const response = await request('POST', '/api/v1/documentation/d1/sdk/test?format=zip&baseUrl=http://localhost:3000', { token, raw: true });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /application\/zip/);
+    const files = readZip(response.body);
+    assert.match(files['client.ts'], /"http:\/\/localhost:3000"/);
+  });
+
+  await t.test('needs access to the documentation', async () => {
+    assert.equal((await request('POST', '/api/v1/documentation/d1/sdk/test', { token: server.token('u2') })).status, 403);
+  });
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSnippets, generateAllSnippets, SNIPPET_LANGUAGES } = require('../lib/snippets');
+const { startApp, seedRows, petStoreSpec } = require('./helpers');
+
+function updatePet() {
+  return {
+    parameters: [
+      { name: 'petId', in: 'path', required: true, schema: { type: 'integer' } },
+      { name: 'X-Trace', in: 'header', required: true, schema: { type: 'string' } },
+      { name: 'q', in: 'query', required: false, schema: { type: 'string' } },
+    ],
+    input: { 'application/json': { schema: { type: 'object', properties: { name: { type: 'string', example: 'Rex' } } } } },
+    output: [{ code: '200', description: 'The pet', content: { 'application/json': {} } }],
+  };
+}
+
+test('generateSnippets', async (t) => {
+  const snippets = generateSnippets(null, '/pets/{petId}', 'put', updatePet());
+
+  await t.test('generates every language', () => {
+    assert.deepEqual(Object.keys(snippets), SNIPPET_LANGUAGES);
+  });
+
+  await t.test('fills in path and required parameters, and leaves optional ones out', () => {
+    assert.equal(snippets.curl, [
+      "curl -X PUT 'https://api.example.com/pets/0'",
+      "-H 'X-Trace: string'",
+      "-H 'Content-Type: application/json'",
+      "-d '{\n  \"name\": \"Rex\"\n}'",
+    ].join(' \\\n  '));
+    assert.doesNotMatch(snippets.fetch, /q=/);
+  });
+
+  await t.test('writes the body the way each client expects it', () => {
+    assert.match(snippets.fetch, /body: JSON\.stringify\(\{\n {4}"name": "Rex"\n {2}\}\),/);
+    assert.match(snippets.fetch, /await response\.json\(\)/);
+    assert.match(snippets.axios, /method: "put",\n {2}url: "https:\/\/api\.example\.com\/pets\/0",/);
+    assert.match(snippets.python, /response = requests\.put\(\n/);
+    assert.match(snippets.python, /json=\{\n {8}"name": "Rex",\n {4}\},/);
+    assert.match(snippets.go, /body := strings\.NewReader\(`\{\n {2}"name": "Rex"\n\}`\)/);
+    assert.match(snippets.go, /req\.Header\.Set\("X-Trace", "string"\)/);
+  });
+
+  await t.test('encodes form bodies and quotes shell arguments', () => {
+    const form = generateSnippets('https://x.test/', '/form', 'post', {
+      input: { 'application/x-www-form-urlencoded': { schema: { type: 'object', properties: { a: { type: 'string', example: "it's" } } } } },
+    });
+    assert.match(form.curl, /^curl -X POST 'https:\/\/x\.test\/form'/);
+    assert.match(form.curl, /--data-urlencode 'a=it'\\''s'$/);
+    assert.match(form.python, /data=\{\n {8}"a": "it's",\n {4}\},/);
+    assert.match(form.python, /response\.text\)$/);
+  });
+
+  await t.test('lets the client set the multipart boundary', () => {
+    const upload = generateSnippets('https://x.test', '/upload', 'post', {
+      input: { 'multipart/form-data': { schema: { type: 'object', properties: { file: { type: 'string', example: 'a.txt' } } } } },
+    });
+    assert.doesNotMatch(upload.curl, /Content-Type/);
+    assert.match(upload.curl, /-F 'file=a\.txt'/);
+    assert.match(upload.go, /req\.Header\.Set\("Content-Type", writer\.FormDataContentType\(\)\)/);
+  });
+
+  await t.test('keys the snippets of a document by path and method, without webhooks', () => {
+    const all = generateAllSnippets([
+      { '/pets/{petId}': [{ put: updatePet() }, { delete: {} }] },
+      { newPet: [{ post: { webhook: true } }] },
+    ], 'https://pets.example.com/v1');
+    assert.deepEqual(Object.keys(all), ['/pets/{petId}']);
+    assert.deepEqual(Object.keys(all['/pets/{petId}']), ['PUT', 'DELETE']);
+    assert.match(all['/pets/{petId}'].DELETE.curl, /^curl -X DELETE 'https:\/\/pets\.example\.com\/v1\/pets\/\{petId\}'$/);
+  });
+});
+
+test('snippet routes', async (t) => {
+  const server = await startApp({ seed: seedRows() });
+  t.after(() => server.close());
+  const { request } = server;
+  const token = server.token('u1');
+
+  await t.test('/convert/test embeds snippets on request', async () => {
+    const plain = await request('POST', '/convert/test', { body: petStoreSpec() });
+    assert.equal(plain.status, 200);
+    assert.equal(plain.body.ans['/pets/{petId}'].GET.snippets, undefined);
+
+    const response = await request('POST', '/convert/test?snippets=true', { body: petStoreSpec() });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.ans['/pets/{petId}'].GET.snippets.curl, "curl 'https://pets.example.com/v1/pets/0'");
+  });
+
+  await t.test('/convert/snippets/test narrows to one operation and some languages', async () => {
+    const response = await request('POST', '/convert/snippets/test?path=/pets&method=post&languages=curl,python', { body: petStoreSpec() });
+    assert.equal(response.status, 200);
+    assert.deepEqual(Object.keys(response.body.snippets), ['/pets']);
+    assert.deepEqual(Object.keys(response.body.snippets['/pets'].POST), ['curl', 'python']);
+    assert.match(response.body.snippets['/pets'].POST.curl, /-d '\{\n {2}"name": "string"\n\}'/);
+  });
+
+  await t.test('/convert/snippets/test rejects unknown languages, operations and invalid specs', async () => {
+    assert.equal((await request('POST', '/convert/snippets/test?languages=ruby', { body: petStoreSpec() })).status, 400);
+    assert.equal((await request('POST', '/convert/snippets/test?path=/owners', { body: petStoreSpec() })).status, 404);
+    assert.equal((await request('POST', '/convert/snippets/test', { body: {} })).status, 400);
+  });
+
+  await t.test('generates the snippets of a stored documentation', async () => {
+    const response = await request('POST', '/api/v1/documentation/d1/snippets/test', { token, body: { method: 'GET', languages: 'go' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.match(response.body.data['/pets/{petId}'].GET.go, /http\.NewRequest\("GET", "https:\/\/pets\.example\.com\/v1\/pets\/0", nil\)/);
+  });
+
+  await t.test('needs access to the documentation', async () => {
+    assert.equal((await request('POST', '/api/v1/documentation/d1/snippets/test', { body: {} })).status, 401);
+    assert.equal((await request('POST', '/api/v1/documentation/d1/snippets/test', { token: server.token('u2'), body: {} })).status, 403);
+  });
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, createMemoryStorage } = require('../lib/storage');
+const { startApp, seedRows } = require('./helpers');
+
+test('memory storage', async (t) => {
+  await t.test('is selected by STORAGE_DRIVER=memory', () => {
+    assert.equal(createStorage({ driver: 'memory' }).driver, 'memory');
+    assert.throws(() => createStorage({ driver: 'sqlite' }), /Unknown storage driver: sqlite/);
+  });
+
+  await t.test('reads, writes and deletes projects and documentation', async () => {
+    const storage = createMemoryStorage({ seed: { users: [{ user_id: 'u1' }] } });
+
+    const { data: [project] } = await storage.createProject({ project_name: 'P', user_id: 'u1' });
+    assert.ok(project.project_id);
+    assert.ok(project.created_at);
+
+    const { data: [doc] } = await storage.createDocumentation({ project_id: project.project_id, title: 'D' });
+    assert.equal((await storage.getDocumentation(doc.api_id, project.project_id)).data.title, 'D');
+    assert.equal((await storage.getDocumentation(doc.api_id, 'other')).data, null);
+
+    const { data: updated } = await storage.updateDocumentation(doc.api_id, project.project_id, { title: 'E', url: undefined });
+    assert.equal(updated[0].title, 'E');
+    assert.equal('url' in updated[0], false);
+
+    // Another user's id doesn't match the project
+    assert.deepEqual((await storage.deleteProject(project.project_id, 'u2')).data, []);
+    assert.equal((await storage.deleteProject(project.project_id, 'u1')).data.length, 1);
+    assert.deepEqual((await storage.listDocumentations({ projectId: project.project_id })).data, []);
+  });
+
+  await t.test('returns copies of the stored rows', async () => {
+    const storage = createMemoryStorage({ seed: seedRows() });
+    const { data } = await storage.getProject('p1');
+    data.project_name = 'changed';
+    assert.equal((await storage.getProject('p1')).data.project_name, 'Pet Store');
+  });
+
+  await t.test('persists to STORAGE_FILE and loads it back', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'api-weaver-store-')), 'store.json');
+    const first = createMemoryStorage({ file, seed: seedRows() });
+    await first.createProject({ project_id: 'p3', user_id: 'u1', project_name: 'Saved' });
+
+    const second = createMemoryStorage({ file });
+    assert.equal((await second.getProject('p3')).data.project_name, 'Saved');
+    assert.equal((await second.listProjects({ userId: 'u1' })).data.length, 2);
+  });
+});
+
+test('project and documentation routes on the memory storage', async (t) => {
+  const server = await startApp({ seed: seedRows() });
+  t.after(() => server.close());
+  const { request } = server;
+  const token = server.token('u1');
+
+  let projectId;
+  let docId;
+
+  await t.test('creates and lists projects', async () => {
+    const created = await request('POST', '/api/v1/projects/add/test', { token, body: { project_name: 'New', description: 'Fresh' } });
+    assert.equal(created.status, 200);
+    projectId = created.body[0].project_id;
+
+    const listed = await request('GET', '/api/v1/projects/test', { token });
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.map((project) => project.project_id).sort(), [projectId, 'p1'].sort());
+
+    const fetched = await request('POST', `/api/v1/project/${projectId}/test`, { token });
+    assert.equal(fetched.body.project_name, 'New');
+  });
+
+  await t.test('updates a project', async () => {
+    const updated = await request('PUT', '/api/v1/project/update/test', {
+      token,
+      body: { project_id: projectId, project_name: 'Renamed', description: 'Still fresh' },
+    });
+    assert.equal(updated.status, 200);
+    assert.equal((await request('POST', `/api/v1/project/${projectId}/test`, { token })).body.project_name, 'Renamed');
+  });
+
+  await t.test('adds, lists and fetches documentation', async () => {
+    const added = await request('POST', '/api/v1/documentation/add/test/aaa', {
+      token,
+      body: { project_id: projectId, title: 'Doc', description: 'About' },
+    });
+    assert.equal(added.status, 201);
+    docId = added.body.data[0].api_id;
+
+    const listed = await request('POST', `/api/v1/documentations/${projectId}/test`, { token });
+    assert.deepEqual(listed.body.data.map((doc) => doc.api_id), [docId]);
+
+    const fetched = await request('POST', `/api/v1/documentation/${docId}/test`, { token });
+    assert.equal(fetched.body[0].title, 'Doc');
+
+    const all = await request('GET', '/api/v1/documentations/test', { token });
+    assert.deepEqual(all.body.map((doc) => doc.api_id).sort(), ['d1', docId].sort());
+  });
+
+  await t.test('deletes documentation and projects', async () => {
+    const deletedDoc = await request('POST', '/api/v1/documentation/delete/test', { token, body: { docId } });
+    assert.equal(deletedDoc.status, 200);
+    assert.equal((await request('POST', `/api/v1/documentation/${docId}/test`, { token })).status, 404);
+
+    const deleted = await request('POST', '/api/v1/project/delete/test', { token, body: { project_id: projectId } });
+    assert.equal(deleted.status, 200);
+    assert.equal((await request('POST', `/api/v1/project/${projectId}/test`, { token })).status, 404);
+  });
+
+  await t.test('keeps the rows in the STORAGE_FILE', () => {
+    const stored = JSON.parse(fs.readFileSync(path.join(server.dir, 'store.json'), 'utf8'));
+    assert.deepEqual(stored.projects.map((project) => project.project_id), ['p1', 'p2']);
+  });
+});
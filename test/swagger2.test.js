@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isSwagger2, convertSwagger2ToOpenApi3 } = require('../lib/swagger2');
+const { startApp } = require('./helpers');
+
+function swaggerSpec() {
+  return {
+    swagger: '2.0',
+    info: { title: 'Legacy', version: '1.0.0' },
+    host: 'api.example.com',
+    basePath: '/v1',
+    schemes: ['https'],
+    consumes: ['application/json'],
+    produces: ['application/json'],
+    paths: {
+      '/users': {
+        post: {
+          operationId: 'createUser',
+          parameters: [
+            { name: 'body', in: 'body', required: true, schema: { $ref: '#/definitions/User' } },
+            { name: 'dryRun', in: 'query', type: 'boolean' },
+          ],
+          responses: {
+            201: { description: 'Created', schema: { $ref: '#/definitions/User' } },
+            400: { description: 'Invalid' },
+          },
+        },
+      },
+      '/avatars': {
+        post: {
+          consumes: ['multipart/form-data'],
+          parameters: [{ name: 'file', in: 'formData', type: 'file', required: true }],
+          responses: { 204: { description: 'Uploaded' } },
+        },
+      },
+    },
+    definitions: {
+      User: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } },
+    },
+  };
+}
+
+test('convertSwagger2ToOpenApi3', async (t) => {
+  const openapi = convertSwagger2ToOpenApi3(swaggerSpec());
+
+  await t.test('detects Swagger 2.0 documents only', () => {
+    assert.equal(isSwagger2(swaggerSpec()), true);
+    assert.equal(isSwagger2(openapi), false);
+  });
+
+  await t.test('builds servers from host, basePath and schemes', () => {
+    assert.deepEqual(openapi.servers, [{ url: 'https://api.example.com/v1' }]);
+  });
+
+  await t.test('moves definitions to components and rewrites their refs', () => {
+    assert.deepEqual(Object.keys(openapi.components.schemas), ['User']);
+    const operation = openapi.paths['/users'].post;
+    assert.equal(operation.requestBody.content['application/json'].schema.$ref, '#/components/schemas/User');
+    assert.equal(operation.responses['201'].content['application/json'].schema.$ref, '#/components/schemas/User');
+  });
+
+  await t.test('turns body and formData parameters into request bodies', () => {
+    const operation = openapi.paths['/users'].post;
+    assert.equal(operation.requestBody.required, true);
+    assert.deepEqual(operation.parameters, [{ name: 'dryRun', in: 'query', schema: { type: 'boolean' } }]);
+
+    const upload = openapi.paths['/avatars'].post.requestBody.content['multipart/form-data'].schema;
+    assert.deepEqual(upload.properties.file, { type: 'string', format: 'binary' });
+    assert.deepEqual(upload.required, ['file']);
+  });
+});
+
+test('/convert/test upgrades Swagger 2.0 input', async (t) => {
+  const server = await startApp();
+  t.after(() => server.close());
+
+  await t.test('converts the operations', async () => {
+    const response = await server.request('POST', '/convert/test', { body: swaggerSpec() });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.convertedSpec.openapi, '3.0.3');
+
+    const create = response.body.ans['/users'].POST;
+    assert.deepEqual(Object.keys(create.input), ['application/json']);
+    assert.deepEqual(create.output.map((item) => item.code), ['201']);
+    assert.deepEqual(create.errorResponses.map((item) => item.code), ['400']);
+  });
+
+  await t.test('returns the upgraded document with its references', async () => {
+    const response = await server.request('POST', '/convert/test', { body: swaggerSpec() });
+    const operation = response.body.convertedSpec.paths['/users'].post;
+    assert.deepEqual(operation.requestBody.content['application/json'].schema, { $ref: '#/components/schemas/User' });
+    assert.deepEqual(operation.responses['201'].content['application/json'].schema, { $ref: '#/components/schemas/User' });
+  });
+
+  await t.test('converts circular definitions', async () => {
+    const spec = swaggerSpec();
+    spec.definitions.User.properties.friends = { type: 'array', items: { $ref: '#/definitions/User' } };
+    const response = await server.request('POST', '/convert/test', { body: spec });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.convertedSpec.components.schemas.User.properties.friends.items, { $ref: '#/components/schemas/User' });
+    assert.deepEqual(response.body.ans['/users'].POST.output[0].content['application/json'].schema, { $ref: '#/components/schemas/User' });
+  });
+});
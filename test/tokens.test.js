@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateAccessToken, hashAccessToken, isAccessToken, normalizeTokenRequest } = require('../lib/tokens');
+const { startApp, seedRows, petStoreSpec } = require('./helpers');
+
+test('access token helpers', async (t) => {
+  await t.test('generates prefixed random tokens, stored as their hash', () => {
+    const token = generateAccessToken();
+    assert.match(token, /^awpat_[A-Za-z0-9_-]{43}$/);
+    assert.notEqual(token, generateAccessToken());
+    assert.match(hashAccessToken(token), /^[0-9a-f]{64}$/);
+    assert.equal(isAccessToken(token), true);
+    assert.equal(isAccessToken('eyJhbGciOiJSUzI1NiJ9.e30.sig'), false);
+  });
+
+  await t.test('validates token requests', () => {
+    const { data } = normalizeTokenRequest({ name: ' CI ', scopes: ['write', 'write'], projectIds: ['p1'], expiresInDays: 1 });
+    assert.equal(data.name, 'CI');
+    assert.deepEqual(data.scopes, ['write']);
+    assert.ok(Math.abs(Date.parse(data.expiresAt) - Date.now() - 24 * 60 * 60 * 1000) < 60 * 1000);
+
+    assert.deepEqual(normalizeTokenRequest({}), { error: 'name is required' });
+    assert.match(normalizeTokenRequest({ name: 'CI', scopes: ['admin'] }).error, /^scopes must be/);
+    assert.match(normalizeTokenRequest({ name: 'CI', projectIds: [] }).error, /^projectIds must be/);
+    assert.match(normalizeTokenRequest({ name: 'CI', expiresInDays: 366 }).error, /^expiresInDays must be/);
+  });
+});
+
+test('access token routes', async (t) => {
+  const seed = seedRows();
+  seed.projects.push({ project_id: 'p3', user_id: 'u1', project_name: 'Orders' });
+  seed.apidocumentation.push({ api_id: 'd3', project_id: 'p3', title: 'Orders', api_Json: petStoreSpec() });
+  seed.personal_access_tokens = [{
+    token_id: 't-expired', user_id: 'u1', name: 'Old', token_hash: hashAccessToken('awpat_expired'), token_prefix: 'awpat_expire',
+    scopes: ['read'], project_ids: null, expires_at: '2020-01-01T00:00:00.000Z', last_used_at: null, revoked_at: null,
+  }];
+  const server = await startApp({ seed });
+  t.after(() => server.close());
+  const { request } = server;
+  const session = server.token('u1');
+  const schema = { apiData: {}, apiJson: petStoreSpec() };
+
+  const create = async (body) => (await request('POST', '/api/v1/tokens/add/test', { token: session, body })).body;
+  const ci = await create({ name: 'CI', scopes: ['write'], projectIds: ['p1'] });
+  const reader = await create({ name: 'Reader' });
+
+  await t.test('returns the token once and stores its hash only', async () => {
+    assert.match(ci.token, /^awpat_/);
+    assert.equal(ci.data.token_prefix, ci.token.slice(0, 12));
+    assert.deepEqual(ci.data.project_ids, ['p1']);
+    assert.equal(ci.data.token_hash, undefined);
+
+    const listed = await request('POST', '/api/v1/tokens/test', { token: session });
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.data.map((row) => row.name).sort(), ['CI', 'Old', 'Reader']);
+    assert.equal(listed.body.data.some((row) => 'token_hash' in row), false);
+  });
+
+  await t.test('rejects invalid requests and projects of other users', async () => {
+    assert.equal((await request('POST', '/api/v1/tokens/add/test', { token: session, body: { scopes: ['read'] } })).status, 400);
+    const other = await request('POST', '/api/v1/tokens/add/test', { token: session, body: { name: 'CI', projectIds: ['p2'] } });
+    assert.equal(other.status, 403);
+    assert.match(other.body.error, /: p2$/);
+  });
+
+  await t.test('pushes specs from CI and records the last use', async () => {
+    assert.equal((await request('POST', '/api/v1/documentations/d1/add/schema/test', { token: ci.token, body: schema })).status, 201);
+    const listed = await request('POST', '/api/v1/tokens/test', { token: session });
+    assert.ok(listed.body.data.find((row) => row.token_id === ci.data.token_id).last_used_at);
+  });
+
+  await t.test('applies the scopes and projects of a token', async () => {
+    const readOnly = await request('POST', '/api/v1/documentations/d1/add/schema/test', { token: reader.token, body: schema });
+    assert.equal(readOnly.status, 403);
+    assert.equal(readOnly.body.error, 'This access token lacks the write scope');
+    assert.equal((await request('POST', '/api/v1/documentation/d3/schema/test', { token: reader.token })).status, 200);
+
+    const otherProject = await request('POST', '/api/v1/documentations/d3/add/schema/test', { token: ci.token, body: schema });
+    assert.deepEqual([otherProject.status, otherProject.body.error], [403, 'This access token is not valid for this project']);
+    const newProject = await request('POST', '/api/v1/projects/add/test', { token: ci.token, body: { projectName: 'New' } });
+    assert.deepEqual([newProject.status, newProject.body.error], [403, 'This access token is limited to some projects']);
+  });
+
+  await t.test('cannot manage tokens with a token', async () => {
+    assert.equal((await request('POST', '/api/v1/tokens/test', { token: ci.token })).status, 403);
+    assert.equal((await request('POST', '/api/v1/tokens/add/test', { token: ci.token, body: { name: 'More' } })).status, 403);
+  });
+
+  await t.test('rejects unknown and expired tokens', async () => {
+    const unknown = await request('POST', '/api/v1/documentation/d1/schema/test', { token: 'awpat_unknown' });
+    assert.deepEqual([unknown.status, unknown.body.details], [401, 'Unknown access token']);
+    const expired = await request('POST', '/api/v1/documentation/d1/schema/test', { token: 'awpat_expired' });
+    assert.deepEqual([expired.status, expired.body.details], [401, 'Access token has expired']);
+  });
+
+  await t.test('revokes tokens of their owner', async () => {
+    assert.equal((await request('POST', '/api/v1/tokens/revoke/test', { token: server.token('u2'), body: { tokenId: ci.data.token_id } })).status, 404);
+    assert.equal((await request('POST', '/api/v1/tokens/revoke/test', { token: session, body: {} })).status, 400);
+
+    const revoked = await request('POST', '/api/v1/tokens/revoke/test', { token: session, body: { tokenId: ci.data.token_id } });
+    assert.equal(revoked.status, 200);
+    assert.ok(revoked.body.data.revoked_at);
+    const rejected = await request('POST', '/api/v1/documentations/d1/add/schema/test', { token: ci.token, body: schema });
+    assert.deepEqual([rejected.status, rejected.body.details], [401, 'Access token has been revoked']);
+  });
+});
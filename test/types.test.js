@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { collectNamedSchemas, toTypeScript, toJsonSchemas, toJsonSchema2020 } = require('../lib/types');
+const { startApp, seedRows } = require('./helpers');
+
+function ownersSpec() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Owners', version: '1.0.0' },
+    paths: {
+      '/owners': {
+        post: {
+          operationId: 'createOwner',
+          requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Owner' } } } },
+          responses: {
+            201: { description: 'Created', content: { 'application/json': { schema: { $ref: '#/components/schemas/Owner' } } } },
+            default: { description: 'Error', content: { 'application/json': { schema: { type: 'object', properties: { message: { type: 'string' } } } } } },
+          },
+        },
+      },
+    },
+    components: {
+      schemas: {
+        Owner: {
+          type: 'object',
+          required: ['name'],
+          properties: { name: { type: 'string' }, pets: { type: 'array', items: { $ref: '#/components/schemas/Pet' } }, manager: { $ref: '#/components/schemas/Owner' } },
+        },
+        Pet: { type: 'object', properties: { name: { type: 'string', nullable: true, example: 'Rex' } } },
+      },
+    },
+  };
+}
+
+test('type exports', async (t) => {
+  const spec = ownersSpec();
+  const named = collectNamedSchemas(spec);
+
+  await t.test('names components and operation bodies', () => {
+    assert.deepEqual(named.map((item) => item.name), ['Owner', 'Pet', 'CreateOwnerRequestBody', 'CreateOwnerResponse201', 'CreateOwnerResponseDefault']);
+  });
+
+  await t.test('renders TypeScript declarations', () => {
+    const source = toTypeScript(spec, named);
+    assert.match(source, /export interface Owner \{/);
+    assert.match(source, /pets\?: Array<Pet>;\n {2}manager\?: Owner;/);
+    assert.match(source, /name\?: string \| null;/);
+    assert.match(source, /\/\/ POST \/owners 201 response\nexport type CreateOwnerResponse201 = Owner;/);
+  });
+
+  await t.test('keeps the title and paths inside their comments', () => {
+    const hostile = ownersSpec();
+    hostile.info.title = 'Evil */ console.log("pwned"); /*';
+    hostile.paths['/owners\nconsole.log("pwned")'] = hostile.paths['/owners'];
+    delete hostile.paths['/owners'];
+    const source = toTypeScript(hostile, collectNamedSchemas(hostile));
+    assert.equal(source.slice(0, source.indexOf('*/') + 2), '/**\n * Types of Evil *\\/ console.log("pwned"); /*.\n * Generated from the OpenAPI document, do not edit by hand.\n */');
+    assert.match(source, /\n\/\/ POST \/owners console\.log\("pwned"\) 201 response\nexport type/);
+    assert.doesNotMatch(source, /^console\.log/m);
+  });
+
+  await t.test('converts schemas to standalone JSON Schema 2020-12 documents', () => {
+    const documents = toJsonSchemas(spec, named);
+    assert.equal(documents.Owner.$schema, 'https://json-schema.org/draft/2020-12/schema');
+    assert.deepEqual(documents.Owner.properties.manager, { $ref: '#' });
+    assert.deepEqual(documents.Owner.properties.pets.items, { $ref: '#/$defs/Pet' });
+    assert.deepEqual(Object.keys(documents.Owner.$defs), ['Pet']);
+    assert.deepEqual(Object.keys(documents.CreateOwnerResponse201.$defs), ['Owner', 'Pet']);
+  });
+
+  await t.test('maps OpenAPI 3.0 keywords to their JSON Schema form', () => {
+    assert.deepEqual(toJsonSchema2020(spec, { type: 'string', nullable: true, example: 'Rex' }, new Map()), { type: ['string', 'null'], examples: ['Rex'] });
+    assert.deepEqual(toJsonSchema2020(spec, { type: 'number', minimum: 0, exclusiveMinimum: true }, new Map()), { type: 'number', exclusiveMinimum: 0 });
+    assert.deepEqual(toJsonSchema2020(spec, { type: 'string', format: 'binary' }, new Map()), { type: 'string', contentMediaType: 'application/octet-stream' });
+  });
+});
+
+test('type export routes', async (t) => {
+  const server = await startApp({ seed: seedRows() });
+  t.after(() => server.close());
+  const { request } = server;
+
+  await t.test('/convert/types/test exports TypeScript by default', async () => {
+    const response = await request('POST', '/convert/types/test', { body: ownersSpec() });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /types\.ts/);
+    assert.match(response.body, /export interface Owner/);
+  });
+
+  await t.test('/convert/types/test exports JSON Schema on request', async () => {
+    const response = await request('POST', '/convert/types/test?target=json-schema', { body: ownersSpec() });
+    assert.equal(response.status, 200);
+    assert.deepEqual(Object.keys(response.body.schemas).slice(0, 2), ['Owner', 'Pet']);
+  });
+
+  await t.test('/convert/types/test infers types from a sample', async () => {
+    const response = await request('POST', '/convert/types/test', { body: { sample: { id: 1, tags: ['a'] }, name: 'order item' } });
+    assert.equal(response.status, 200);
+    assert.match(response.body, /export interface OrderItem \{\n {2}id: number;\n {2}tags: Array<string>;\n\}/);
+  });
+
+  await t.test('/convert/types/test rejects unknown targets and scalar samples', async () => {
+    assert.equal((await request('POST', '/convert/types/test?target=flow', { body: ownersSpec() })).status, 400);
+    assert.equal((await request('POST', '/convert/types/test', { body: { sample: 'text' } })).status, 400);
+  });
+
+  await t.test('exports the types of a stored documentation', async () => {
+    const response = await request('POST', '/api/v1/documentation/d1/types/test?target=json-schema', { token: server.token('u1') });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.schemas.GetPetResponse200.properties.id.type, 'integer');
+    assert.equal((await request('POST', '/api/v1/documentation/d1/types/test', { token: server.token('u2') })).status, 403);
+  });
+});
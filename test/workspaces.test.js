@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { roleAtLeast, generateInvitationCode, normalizeInvitationRequest } = require('../lib/workspaces');
+const { startApp, seedRows, petStoreSpec } = require('./helpers');
+
+test('workspace helpers', async (t) => {
+  await t.test('orders roles', () => {
+    assert.equal(roleAtLeast('owner', 'editor'), true);
+    assert.equal(roleAtLeast('editor', 'editor'), true);
+    assert.equal(roleAtLeast('viewer', 'editor'), false);
+    assert.equal(roleAtLeast('admin', 'viewer'), false);
+  });
+
+  await t.test('validates invitations', () => {
+    assert.match(generateInvitationCode(), /^awinv_[A-Za-z0-9_-]{32}$/);
+    assert.equal(normalizeInvitationRequest({ email: ' Dev@Example.com ', role: 'editor' }).data.email, 'dev@example.com');
+    assert.equal(normalizeInvitationRequest({}).data.role, 'viewer');
+    assert.deepEqual(normalizeInvitationRequest({ email: 'nope' }), { error: 'email must be an email address' });
+    assert.deepEqual(normalizeInvitationRequest({ role: 'admin' }), { error: 'role must be one of viewer, editor, owner' });
+  });
+});
+
+test('workspace routes', async (t) => {
+  const seed = seedRows();
+  seed.users.push({ user_id: 'u3' });
+  const server = await startApp({ seed });
+  t.after(() => server.close());
+  const { request } = server;
+  const owner = server.token('u1');
+  const editor = server.token('u2', { email: 'dev@example.com' });
+  const viewer = server.token('u3');
+
+  const team = (await request('POST', '/api/v1/workspaces/add/test', { token: owner, body: { name: ' Team ' } })).body.data;
+  const invite = async (body) => (await request('POST', `/api/v1/workspace/${team.workspace_id}/invitations/add/test`, { token: owner, body })).body;
+
+  await t.test('creates workspaces owned by their creator', async () => {
+    assert.equal(team.name, 'Team');
+    assert.equal(team.role, 'owner');
+    assert.equal((await request('POST', '/api/v1/workspaces/add/test', { token: owner, body: {} })).status, 400);
+
+    const listed = await request('POST', '/api/v1/workspaces/test', { token: owner });
+    assert.deepEqual(listed.body.data.map((workspace) => [workspace.name, workspace.role]), [['Team', 'owner']]);
+  });
+
+  await t.test('adds new projects to the personal workspace or to a workspace the user owns', async () => {
+    const personal = await request('POST', '/api/v1/projects/add/test', { token: owner, body: { project_name: 'Scratch' } });
+    assert.equal(personal.status, 200);
+    const workspaces = (await request('POST', '/api/v1/workspaces/test', { token: owner })).body.data;
+    const personalWorkspace = workspaces.find((workspace) => workspace.personal);
+    assert.equal(personal.body[0].workspace_id, personalWorkspace.workspace_id);
+
+    const shared = await request('POST', '/api/v1/projects/add/test', { token: owner, body: { project_name: 'Shared', workspace_id: team.workspace_id } });
+    assert.equal(shared.body[0].workspace_id, team.workspace_id);
+    assert.equal((await request('POST', '/api/v1/projects/add/test', { token: editor, body: { project_name: 'Nope', workspace_id: team.workspace_id } })).status, 403);
+  });
+
+  await t.test('invites members with a role', async () => {
+    const editorInvitation = await invite({ email: 'dev@example.com', role: 'editor' });
+    assert.match(editorInvitation.code, /^awinv_/);
+    assert.equal(editorInvitation.data.code_hash, undefined);
+    assert.equal((await invite({ role: 'admin' })).success, false);
+
+    const wrongEmail = await request('POST', '/api/v1/invitations/accept/test', { token: server.token('u2', { email: 'other@example.com' }), body: { code: editorInvitation.code } });
+    assert.equal(wrongEmail.status, 403);
+
+    const accepted = await request('POST', '/api/v1/invitations/accept/test', { token: editor, body: { code: editorInvitation.code } });
+    assert.equal(accepted.status, 201);
+    assert.equal(accepted.body.data.role, 'editor');
+    assert.equal((await request('POST', '/api/v1/invitations/accept/test', { token: editor, body: { code: editorInvitation.code } })).status, 410);
+    assert.equal((await request('POST', '/api/v1/invitations/accept/test', { token: editor, body: { code: 'awinv_unknown' } })).status, 404);
+
+    const viewerInvitation = await invite({});
+    assert.equal((await request('POST', '/api/v1/invitations/accept/test', { token: viewer, body: { code: viewerInvitation.code } })).status, 201);
+
+    const members = await request('POST', `/api/v1/workspace/${team.workspace_id}/test`, { token: viewer });
+    assert.deepEqual(members.body.data.members.map((member) => [member.user_id, member.role]), [['u1', 'owner'], ['u2', 'editor'], ['u3', 'viewer']]);
+  });
+
+  await t.test('revokes invitations', async () => {
+    const invitation = await invite({ role: 'owner' });
+    const revoked = await request('POST', `/api/v1/workspace/${team.workspace_id}/invitations/${invitation.data.invitation_id}/revoke/test`, { token: owner });
+    assert.equal(revoked.status, 200);
+    assert.equal((await request('POST', '/api/v1/invitations/accept/test', { token: server.token('u4'), body: { code: invitation.code } })).status, 410);
+
+    const listed = await request('POST', `/api/v1/workspace/${team.workspace_id}/invitations/test`, { token: owner });
+    assert.equal(listed.body.data.length, 3);
+    assert.equal(listed.body.data.some((item) => 'code_hash' in item), false);
+    assert.equal((await request('POST', `/api/v1/workspace/${team.workspace_id}/invitations/test`, { token: editor })).status, 403);
+  });
+
+  await t.test('moves a project from before workspaces into a workspace the user owns', async () => {
+    assert.equal((await request('POST', '/api/v1/documentation/d1/schema/test', { token: editor })).status, 403);
+
+    assert.equal((await request('POST', '/api/v1/project/p1/move/test', { token: editor, body: { workspace_id: team.workspace_id } })).status, 403);
+    assert.equal((await request('POST', '/api/v1/project/p1/move/test', { token: owner, body: {} })).status, 400);
+    assert.equal((await request('POST', '/api/v1/project/p1/move/test', { token: owner, body: { workspace_id: 'missing' } })).status, 404);
+    const editorOfTarget = await request('POST', '/api/v1/project/p2/move/test', { token: server.token('u2'), body: { workspace_id: team.workspace_id } });
+    assert.deepEqual([editorOfTarget.status, editorOfTarget.body.error], [403, 'This action requires the owner role']);
+
+    const moved = await request('POST', '/api/v1/project/p1/move/test', { token: owner, body: { workspace_id: team.workspace_id } });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.data.workspace_id, team.workspace_id);
+    assert.equal(moved.body.data.user_id, 'u1');
+
+    const projects = await request('POST', '/api/v1/projects/test', { token: editor });
+    assert.deepEqual(projects.body.map((project) => [project.project_id, project.role]).filter(([id]) => id === 'p1'), [['p1', 'editor']]);
+  });
+
+  await t.test('applies the role of the member on shared projects', async () => {
+    const schema = { apiData: {}, apiJson: petStoreSpec() };
+    assert.equal((await request('POST', '/api/v1/documentation/d1/schema/test', { token: viewer })).status, 200);
+    const viewerWrite = await request('POST', '/api/v1/documentations/d1/add/schema/test', { token: viewer, body: schema });
+    assert.deepEqual([viewerWrite.status, viewerWrite.body.error], [403, 'This action requires the editor role']);
+
+    assert.equal((await request('POST', '/api/v1/documentations/d1/add/schema/test', { token: editor, body: schema })).status, 201);
+    assert.equal((await request('POST', '/api/v1/project/p1/publish/test', { token: editor, body: { public: true } })).status, 403);
+    assert.equal((await request('POST', '/api/v1/project/p1/publish/test', { token: owner, body: { public: true } })).status, 200);
+  });
+
+  await t.test('manages members', async () => {
+    const members = `/api/v1/workspace/${team.workspace_id}/members`;
+    assert.equal((await request('PUT', `${members}/u2/test`, { token: editor, body: { role: 'owner' } })).status, 403);
+    assert.equal((await request('PUT', `${members}/u2/test`, { token: owner, body: { role: 'admin' } })).status, 400);
+    assert.equal((await request('PUT', `${members}/u2/test`, { token: owner, body: { role: 'viewer' } })).status, 200);
+    assert.equal((await request('POST', '/api/v1/documentations/d1/add/schema/test', { token: editor, body: { apiData: {}, apiJson: petStoreSpec() } })).status, 403);
+
+    assert.equal((await request('POST', `${members}/u1/remove/test`, { token: viewer })).status, 403);
+    assert.equal((await request('POST', `${members}/u1/remove/test`, { token: owner })).status, 409);
+    assert.equal((await request('POST', `${members}/u3/remove/test`, { token: viewer })).status, 200);
+    assert.equal((await request('POST', '/api/v1/documentation/d1/schema/test', { token: viewer })).status, 403);
+  });
+
+  await t.test('manages memberships with a signed-in session only', async () => {
+    const created = await request('POST', '/api/v1/tokens/add/test', { token: owner, body: { name: 'CI', scopes: ['write'] } });
+    const accessToken = created.body.token;
+    assert.equal((await request('POST', `/api/v1/workspace/${team.workspace_id}/invitations/add/test`, { token: accessToken, body: {} })).status, 403);
+    assert.equal((await request('POST', '/api/v1/project/p1/move/test', { token: accessToken, body: { workspace_id: team.workspace_id } })).status, 403);
+  });
+});
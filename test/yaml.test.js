@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const { parseYaml, toYaml } = require('../lib/yaml');
+const { startApp, seedRows, petStoreSpec } = require('./helpers');
+
+const YAML_SPEC = `
+openapi: 3.0.0
+info:
+  title: Greetings
+  version: 1.0.0
+paths:
+  /hello:
+    get:
+      responses:
+        '200':
+          description: A greeting
+          content:
+            application/json:
+              schema:
+                type: object
+                properties:
+                  message:
+                    type: string
+`;
+
+test('parseYaml and toYaml', async (t) => {
+  await t.test('keeps dates as strings', () => {
+    assert.deepEqual(parseYaml('released: 2024-01-02'), { released: '2024-01-02' });
+  });
+
+  await t.test('rejects scalar documents', () => {
+    assert.throws(() => parseYaml('just text'), /mapping or a sequence/);
+  });
+
+  await t.test('round-trips documents', () => {
+    assert.deepEqual(yaml.load(toYaml(petStoreSpec())), petStoreSpec());
+  });
+});
+
+test('YAML on the conversion endpoints', async (t) => {
+  const server = await startApp({ seed: seedRows() });
+  t.after(() => server.close());
+  const { request } = server;
+
+  await t.test('/convert/test accepts application/yaml bodies', async () => {
+    const response = await request('POST', '/convert/test', { body: YAML_SPEC, headers: { 'content-type': 'application/yaml' } });
+    assert.equal(response.status, 200);
+    assert.ok(response.body.ans['/hello'].GET);
+  });
+
+  await t.test('reports YAML parse errors by line and column', async () => {
+    const response = await request('POST', '/convert/test', {
+      body: 'openapi: 3.0.0\ninfo:\n  title: [unclosed\n',
+      headers: { 'content-type': 'text/yaml' },
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid YAML');
+    assert.equal(typeof response.body.line, 'number');
+    assert.equal(typeof response.body.column, 'number');
+  });
+
+  await t.test('answers in YAML with ?format=yaml', async () => {
+    const response = await request('POST', '/convert/test?format=yaml', { body: petStoreSpec() });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /application\/yaml/);
+    assert.ok(yaml.load(response.body).ans['/pets/{petId}'].GET);
+  });
+
+  await t.test('/convert/openapi/test sends the generated document as YAML on Accept', async () => {
+    const response = await request('POST', '/convert/openapi/test', {
+      body: { output: { id: 1 } },
+      headers: { accept: 'application/yaml' },
+    });
+    assert.equal(response.status, 200);
+    assert.equal(yaml.load(response.body).openapi, '3.0.0');
+  });
+
+  await t.test('JSON stays the default when both are accepted', async () => {
+    const response = await request('POST', '/convert/test', {
+      body: petStoreSpec(),
+      headers: { accept: 'application/json, application/yaml' },
+    });
+    assert.match(response.headers.get('content-type'), /application\/json/);
+  });
+
+  await t.test('the documentation update accepts a YAML body', async () => {
+    const body = toYaml({
+      docId: 'd1',
+      title: 'Greetings',
+      openapi_schema: { '/hello': {} },
+      api_Json: yaml.load(YAML_SPEC),
+    });
+    const response = await request('PUT', '/api/v1/documentation/update/test', {
+      token: server.token('u1'),
+      body,
+      headers: { 'content-type': 'application/yaml' },
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data[0].api_Json.info.title, 'Greetings');
+  });
+});